@@ -17,6 +17,7 @@ class AugmentedSpotCache {
    */
   constructor(maxSize, logger, config, wavelogClient) {
     this.cache = new Map(); // Renamed cache for enriched data only
+    this.recentSpots = new Map(); // Last processed spot per Spot ID, used to re-push spots after a radio reconnect
     this.maxSize = maxSize;
     this.logger = logger;
     this.config = config;
@@ -326,6 +327,13 @@ class AugmentedSpotCache {
       // Clean the spotter's callsign without enrichment
       spot.dxcc_spotter = cleanCallsign(spot.spotter);
 
+      // Remember the spot (most recent last) so it can be re-pushed to the radio later
+      this.recentSpots.delete(spotId);
+      this.recentSpots.set(spotId, spot);
+      while (this.recentSpots.size > this.maxSize) {
+        this.recentSpots.delete(this.recentSpots.keys().next().value);
+      }
+
       // Log whether enriched data was retrieved from cache or fetched anew
       if (spot.wavelog_augmented_data) {
         this.logger.debug(`Enriched data applied to spot with Spot ID: ${spotId}`);
@@ -354,6 +362,37 @@ class AugmentedSpotCache {
     }
   }
 
+  /**
+   * Returns the last processed spot for a Spot ID, with the latest enriched data from the cache.
+   * @param {string} spotId - The unique Spot ID.
+   * @returns {object|null} - A copy of the processed spot, or null if unknown.
+   */
+  getRecentSpot(spotId) {
+    const spot = this.recentSpots.get(spotId);
+    if (!spot) return null;
+    return {
+      ...spot,
+      wavelog_augmented_data: this.cache.get(spotId) || spot.wavelog_augmented_data,
+    };
+  }
+
+  /**
+   * Finds the most recent spot close to a frequency, e.g. to read the comment of a spot
+   * that was clicked in Wavelog's bandmap.
+   * @param {number} frequencyHz - Frequency in Hertz.
+   * @param {number} [toleranceHz=500] - Largest distance from the spot frequency.
+   * @returns {object|null} - The spot, or null if none is close enough.
+   */
+  findRecentSpotNear(frequencyHz, toleranceHz = 500) {
+    const spots = Array.from(this.recentSpots.values());
+    for (let i = spots.length - 1; i >= 0; i--) {
+      if (Math.abs(spots[i].frequency * 1000 - frequencyHz) <= toleranceHz) {
+        return spots[i];
+      }
+    }
+    return null;
+  }
+
   /**
    * Retrieves all enriched data from the cache.
    * @returns {Array} - An array of enriched spot data objects.
@@ -367,6 +406,7 @@ class AugmentedSpotCache {
    */
   clear() {
     this.cache.clear();
+    this.recentSpots.clear();
     this.logger.info('AugmentedSpotCache has been cleared.');
   }
 
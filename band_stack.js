@@ -0,0 +1,115 @@
+// band_stack.js
+
+'use strict';
+
+const utils = require('./utils');
+
+// Where a band starts out before it has been used: the FT8 dial frequency
+const BAND_DEFAULTS = {
+  '160m': { frequencyHz: 1840000, mode: 'DIGU' },
+  '80m': { frequencyHz: 3573000, mode: 'DIGU' },
+  '60m': { frequencyHz: 5357000, mode: 'DIGU' },
+  '40m': { frequencyHz: 7074000, mode: 'DIGU' },
+  '30m': { frequencyHz: 10136000, mode: 'DIGU' },
+  '20m': { frequencyHz: 14074000, mode: 'DIGU' },
+  '17m': { frequencyHz: 18100000, mode: 'DIGU' },
+  '15m': { frequencyHz: 21074000, mode: 'DIGU' },
+  '12m': { frequencyHz: 24915000, mode: 'DIGU' },
+  '10m': { frequencyHz: 28074000, mode: 'DIGU' },
+  '6m': { frequencyHz: 50313000, mode: 'DIGU' },
+};
+
+/**
+ * Class remembering the last frequency, mode, filter and antennas used on each band,
+ * like the band stack of a traditional transceiver.
+ */
+class BandStack {
+  constructor() {
+    this.entries = {}; // { '20m': { frequencyHz, mode, filterLo, filterHi, rxant, txant, updatedAt } }
+  }
+
+  /**
+   * Normalizes a band name as typed by a user or sent in a URL ('20M', '20', '20m').
+   * @param {string} name - Band name.
+   * @returns {string|null} - e.g. '20m', or null when it is not a band the stack knows.
+   */
+  static normalizeBand(name) {
+    let band = String(name || '').trim().toLowerCase();
+    if (/^\d+$/.test(band)) band += 'm';
+    return BAND_DEFAULTS[band] ? band : null;
+  }
+
+  /**
+   * Records the state of a slice on the band it is tuned to.
+   * @param {object} slice - Slice (frequency in MHz, mode, filter_lo, filter_hi, rxant, txant).
+   * @returns {boolean} - True if the entry for the band changed.
+   */
+  record(slice) {
+    const frequencyHz = Math.round(slice.frequency * 1e6);
+    const band = utils.freqToBand(frequencyHz);
+    if (!band || !slice.mode) return false;
+
+    const entry = {
+      frequencyHz,
+      mode: slice.mode,
+      filterLo: slice.filter_lo,
+      filterHi: slice.filter_hi,
+      rxant: slice.rxant || null,
+      txant: slice.txant || null,
+    };
+
+    const existing = this.entries[band];
+    if (existing && Object.keys(entry).every((key) => existing[key] === entry[key])) return false;
+
+    this.entries[band] = { ...entry, updatedAt: new Date().toISOString() };
+    return true;
+  }
+
+  /**
+   * Returns the state to restore for a band.
+   * @param {string} band - e.g. '20m'.
+   * @returns {object|null} - The last recorded entry, the band's default when it has not been used, or null
+   *   for an unknown band. Filter and antennas are null when not known.
+   */
+  get(band) {
+    if (this.entries[band]) return { band, ...this.entries[band] };
+    if (!BAND_DEFAULTS[band]) return null;
+    return { band, ...BAND_DEFAULTS[band], filterLo: null, filterHi: null, rxant: null, txant: null, updatedAt: null };
+  }
+
+  /**
+   * Replaces the entries with ones read back from storage, dropping anything malformed.
+   * @param {object} data - As returned by toJSON().
+   */
+  load(data) {
+    this.entries = {};
+    if (!data || typeof data !== 'object') return;
+
+    Object.entries(data).forEach(([band, entry]) => {
+      if (!BAND_DEFAULTS[band] || !entry || typeof entry !== 'object') return;
+      if (!Number.isFinite(entry.frequencyHz) || utils.freqToBand(entry.frequencyHz) !== band || !entry.mode) return;
+
+      this.entries[band] = {
+        frequencyHz: entry.frequencyHz,
+        mode: entry.mode,
+        filterLo: Number.isFinite(entry.filterLo) ? entry.filterLo : null,
+        filterHi: Number.isFinite(entry.filterHi) ? entry.filterHi : null,
+        rxant: entry.rxant || null,
+        txant: entry.txant || null,
+        updatedAt: entry.updatedAt || null,
+      };
+    });
+  }
+
+  /**
+   * Returns the recorded entries for storage.
+   * @returns {object}
+   */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.entries));
+  }
+}
+
+BandStack.BANDS = Object.keys(BAND_DEFAULTS);
+
+module.exports = BandStack;
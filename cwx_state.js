@@ -0,0 +1,151 @@
+// cwx_state.js
+
+'use strict';
+
+// Characters the CWX keyer can send; anything else is dropped before it reaches the radio
+const CWX_CHARACTERS = /[^A-Z0-9 .,?/=+\-()'":;!@&_$]/g;
+
+/**
+ * Class representing the CWX keyer of a FlexRadio: the keyer settings from the 'cwx' status
+ * messages and the text we queued, which the radio reports sending one character at a time.
+ */
+class CwxState {
+  constructor() {
+    this.wpm = null;        // Keyer speed reported by the radio
+    this.delay = null;      // Break-in delay (ms)
+    this.qskEnabled = null;
+    this.sentIndex = -1;    // Buffer index of the last character the radio has sent
+    this.queue = [];        // [{ block, text, start, end }] text queued but not sent yet; start/end are buffer indexes
+    this.nextBlock = 1;     // Block number for the next 'cwx send', echoed in the reply
+  }
+
+  /**
+   * Prepares text for 'cwx send': upper case, characters the keyer knows, spaces as 0x7F.
+   * @param {string} text - Text to send.
+   * @returns {string} - Encoded text, empty when nothing sendable is left.
+   */
+  static encode(text) {
+    return String(text || '')
+      .toUpperCase()
+      .replace(/"/g, '')
+      .replace(CWX_CHARACTERS, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/ /g, '\u007f');
+  }
+
+  /**
+   * Fills in a macro. Placeholders: {CALL} (the station worked), {MYCALL} (our callsign), {RST} (report).
+   * @param {string} text - Macro text, e.g. '{CALL} TU 5NN {MYCALL}'.
+   * @param {object} values - { call, mycall, rst }.
+   * @returns {string}
+   */
+  static expandMacro(text, values) {
+    return String(text || '')
+      .replace(/\{CALL\}/gi, values.call || '')
+      .replace(/\{MYCALL\}/gi, values.mycall || '')
+      .replace(/\{RST\}/gi, values.rst || '');
+  }
+
+  /**
+   * Reserves the block number for the next send.
+   * @returns {number}
+   */
+  takeBlock() {
+    const block = this.nextBlock;
+    this.nextBlock = this.nextBlock >= 99999 ? 1 : this.nextBlock + 1;
+    return block;
+  }
+
+  /**
+   * Records text the radio accepted into its buffer.
+   * @param {number} block - Block number the text was sent with.
+   * @param {string} text - The text, as sent (encoded).
+   * @param {number} start - Buffer index of the first character, from the 'cwx send' reply.
+   */
+  queued(block, text, start) {
+    this.queue.push({ block, text: text.replace(/\u007f/g, ' '), start, end: start + text.length - 1 });
+  }
+
+  /**
+   * Updates the state from a cwx status message.
+   * @param {string} statusMessage - e.g. "sent=42", "erase=40,45" or "wpm=25 delay=5 qsk_enabled=1".
+   * @returns {boolean} - True if anything a user would see changed.
+   */
+  statusUpdate(statusMessage) {
+    let changed = false;
+    (statusMessage.match(/(?:[^\s"]+|"[^"]*")+/g) || []).forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      if (equalIndex < 0) return;
+      const key = pair.substring(0, equalIndex);
+      const value = pair.substring(equalIndex + 1).replace(/"/g, '');
+
+      switch (key) {
+        case 'sent':
+          this.sentIndex = parseInt(value, 10);
+          this.queue = this.queue.filter((entry) => entry.end > this.sentIndex);
+          changed = true; // Progress through the text being sent
+          break;
+        case 'erase': {
+          // Characters start..stop were taken out of the buffer (cwx clear, or another client erasing)
+          const [start, stop] = value.split(',').map((n) => parseInt(n, 10));
+          if (!isNaN(start)) {
+            const end = isNaN(stop) ? start : stop;
+            this.queue = this.queue.filter((entry) => entry.end < start || entry.start > end);
+            changed = true;
+          }
+          break;
+        }
+        case 'wpm':
+          changed = changed || this.wpm !== parseInt(value, 10);
+          this.wpm = parseInt(value, 10);
+          break;
+        case 'delay':
+          this.delay = parseInt(value, 10);
+          break;
+        case 'qsk_enabled':
+          this.qskEnabled = value === '1';
+          break;
+        default:
+          break;
+      }
+    });
+    return changed;
+  }
+
+  /**
+   * Forgets the queued text (after 'cwx clear').
+   */
+  clear() {
+    this.queue = [];
+  }
+
+  /**
+   * True while queued text is still being sent.
+   * @returns {boolean}
+   */
+  isSending() {
+    return this.queue.length > 0;
+  }
+
+  /**
+   * Returns the state for the UI.
+   * @returns {{wpm: number|null, sending: boolean, queue: Array<{block: number, text: string, sentChars: number}>}}
+   */
+  toJSON() {
+    return {
+      wpm: this.wpm,
+      sending: this.isSending(),
+      queue: this.queue.map((entry) => ({
+        block: entry.block,
+        text: entry.text,
+        sentChars: Math.max(0, Math.min(entry.text.length, this.sentIndex - entry.start + 1)),
+      })),
+    };
+  }
+}
+
+CwxState.MIN_WPM = 5;
+CwxState.MAX_WPM = 100;
+
+module.exports = CwxState;
@@ -76,6 +76,11 @@ const defaultConfig = {
       'SET/SKIMMER CW',
       'SET/SEEME',
     ],
+    keepalive: {
+      idleSeconds: 120,          // Probe the server after this long without any data from it (0 = off)
+      probeCommand: 'sh/time',   // Command sent as probe; any answer (even an error) proves the link is alive
+      timeoutSeconds: 30,        // No data this long after a probe tears the connection down and reconnects
+    },
     reconnect: {
       initialDelay: 10000,      // Initial delay before reconnection attempt in milliseconds
       maxDelay: 60000,          // Maximum delay for reconnection attempts in milliseconds
@@ -90,10 +95,33 @@ const defaultConfig = {
     enabled: true,                  // Toggle FlexRadio integration
     host: 'my-flexradio.example.com',   // Hostname or IP where FlexRadio is running
     port: 4992,                     // Port for FlexRadio Telnet connection
+    serial: '',                     // Serial of the radio picked from LAN discovery; its address is followed on change
+    discovery: {
+      enabled: true,                // Listen for FlexRadio discovery broadcasts (UDP 4992)
+    },
     commandTimeout: 15000,          // Time to wait for a response after a command was sent
+    bindStation: '',                // Multi-Flex: station name of the SmartSDR/Maestro client to follow ('' = whoever has the TX slice)
+    keepalive: {
+      intervalSeconds: 10,          // Ping the radio this often to detect a dead link (0 = off)
+      timeoutMs: 10000,             // A ping unanswered this long tears the connection down and reconnects
+    },
+    reconnect: {
+      initialDelay: 5000,           // Delay before the first reconnection attempt in milliseconds
+      maxDelay: 60000,              // Maximum delay for reconnection attempts in milliseconds
+      backoffFactor: 2,             // Factor by which the reconnection delay increases
+    },
+
+    meters: {
+      enabled: true,                // Read TX power, SWR, ALC and PA temperature from the radio
+      udpPort: 0,                   // Local UDP port for the radio's meter stream (0 = any free port)
+    },
   
     antennaManagement: {
       mode: 'off',                  // 'off', 'profiles', or 'matrix'
+      // 'profiles' mode: Global Profile name templates, tried in order (the first name the radio has is loaded).
+      // Placeholders: {mode} {band} {BAND} {meters} {sep}. The default matches TeensyMaestro CE ("CW - 20m").
+      profileTemplates: ['{mode}{sep}{band}'],
+      profileModes: ['CW', 'SSB', 'DIGU'], // Mode groups the Profiles tab checks for a profile on every band
       bands: {
         '160m': { rxant: '', txant: '' },
         '80m':  { rxant: '', txant: '' },
@@ -109,7 +137,53 @@ const defaultConfig = {
       }
     },
 
+    powerManagement: {
+      enabled: false,               // Apply the band's TX power, tune power and ATU setting when a QSY changes band
+      // rfpower/tunepower 0-100, null leaves the radio's setting alone. atu: '' (leave), 'bypass' or 'memory'.
+      // rfpowerByMode overrides rfpower for SSB (all voice modes), CW or DIGI.
+      bands: {
+        '160m': { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '80m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '60m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '40m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '30m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '20m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '17m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '15m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '12m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '10m':  { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } },
+        '6m':   { rfpower: null, tunepower: null, atu: '', rfpowerByMode: { SSB: null, CW: null, DIGI: null } }
+      }
+    },
+
+    // Further radios run alongside the one above, each with its own connection:
+    // { id, enabled, host, port, radioName, pushSpots, antennaManagement, bindStation }. The id selects the radio in
+    // CAT and WebSocket requests, radioName is the radio's name in Wavelog (defaults to the id), antennaManagement
+    // (null = same as above) replaces the antenna settings above for that radio, and bindStation works as above.
+    additionalRadios: [],
+
+    cwx: {
+      rst: '599',                   // Report for {RST} when the QSO Assistant's RST field is empty
+      // CW macros of the QSO Assistant, sent through the radio's CWX keyer. Placeholders: {CALL} {MYCALL} {RST}
+      macros: [
+        { label: 'CQ', text: 'CQ CQ DE {MYCALL} {MYCALL} K' },
+        { label: 'CALL', text: '{CALL} DE {MYCALL}' },
+        { label: 'RST', text: '{CALL} UR {RST} {RST} BK' },
+        { label: 'TU', text: 'TU 73 DE {MYCALL} EE' },
+        { label: 'MY', text: '{MYCALL}' },
+        { label: '?', text: '?' }
+      ]
+    },
+
+    split: {
+      enabled: false,               // Work split when the DX spot comment says so (e.g. "UP 2", "QSX 14.025")
+      spotMatchHz: 500,             // A QSY from Wavelog within this distance of a cluster spot uses that spot's comment
+    },
+
     spotManagement: {
+      pushSpots: true,               // Show DX Cluster spots on this radio's panadapter
+      panadapterAware: true,         // Only send spots for bands a panadapter shows; hold the others until one does
+      maxSpotsPerSecond: 2,          // Most spots sent to the radio per second (0 = no limit); QSY commands always go first
       lifetimeSeconds: 500,          // Lifetime of each spot in seconds
       cleanupIntervalSeconds: 60,    // Interval for cleaning up expired spots in seconds
   
@@ -156,6 +230,18 @@ const defaultConfig = {
           textColor: '#D94F4F',        // Red text for no LoTW
         },
       },
+
+      // Ordered spot color rules (see spot_color_rules.js); empty = built-in rules from the colors above
+      colorRules: [],
+
+      // What happens when a spot is clicked on the panadapter (any combination, all off = nothing)
+      clickActions: {
+        openLogQSO: true,           // Open Wavelog's QSO logging page in the browser
+        qsoAssistant: true,         // Look the callsign up in the QSO Assistant, if its window is open
+        rotateShortPath: false,     // Turn the rotator to the short-path bearing
+        wsjtReply: false,           // Digital spots: answer the station's latest CQ in WSJT-X
+        wavelogLiveForm: false,     // Push the callsign to Wavelog's live logging form over the WebSocket
+      },
     },
   },
 
@@ -187,6 +273,16 @@ const defaultConfig = {
     logQSO: true,
   },
 
+  // ==============================
+  // License Privileges (band-edge protection)
+  // ==============================
+  licensePrivileges: {
+    enabled: false,                 // Check QSY, spot click and WSJT-X transmit frequencies against a license
+    table: 'CEPT',                  // Built-in table from license_privileges.js ('CEPT', 'US-Extra', 'US-General', 'US-Technician') or 'custom'
+    action: 'reject',               // 'reject' refuses the QSY and halts WSJT-X, 'warn' only warns
+    customSegments: [],             // { startKHz, endKHz, modes: ['CW', 'DATA', 'PHONE'] }, used when table is 'custom'
+  },
+
   // ==============================
   // Local HTTP CAT Listener
   // ==============================
@@ -4,6 +4,8 @@ const net = require('net');
 const events = require('events');
 const util = require('util');
 const sleep = util.promisify(setTimeout);
+const LinkHealth = require('./link_health');
+const ReconnectPolicy = require('./reconnect_policy');
 
 /**
  * DXClusterClient class responsible for connecting to a DX Cluster server,
@@ -49,8 +51,18 @@ class DXClusterClient extends events.EventEmitter {
     this.loginTimer = null;
     this.shouldReconnect = true; 
     this.isReconnecting = false;
-    this.reconnectDelay = config.dxCluster.reconnect.maxDelay || 5000;
+    // Delay before each retry grows from reconnect.initialDelay to reconnect.maxDelay
+    this.reconnectPolicy = new ReconnectPolicy(config.dxCluster.reconnect);
+    this.reconnectPolicy.on('change', (state) => this.emit('reconnectState', state));
     this.commandsSent = false;
+    this.recorder = null; // SessionRecorder capturing raw traffic, if recording
+
+    // Keepalive: after keepalive.idleSeconds without data a probe command is sent; no answer tears the socket down
+    this.keepalive = config.dxCluster.keepalive || {};
+    this.idleTimer = null;
+    this.probeTimer = null;
+    this.probeSentAt = null;
+    this.linkHealth = new LinkHealth();
   }
 
   /**
@@ -79,6 +91,9 @@ class DXClusterClient extends events.EventEmitter {
         this._stopLoginTimer();
         this.logger.info(`Login successful on ${serverType} DX Cluster server [${serverInfo}]`);
         this.commandsSent = false; 
+        this.linkHealth.resetFailures();
+        this.reconnectPolicy.connected();
+        this._startIdleTimer();
         
         // Clean up the timeout listener
         this.removeListener('logintimeout', onLoginTimeout);
@@ -102,10 +117,12 @@ class DXClusterClient extends events.EventEmitter {
         this.status.connected = true;
         this.status.awaiting_login = true;
         this.logger.info(`Connected to ${serverType} DX Cluster server at ${serverInfo}`);
+        if (this.recorder) this.recorder.recordEvent('cluster', 'connected');
         this._startLoginTimer();
       });
 
       this.socket.on('data', (data) => {
+        if (this.recorder) this.recorder.record('cluster', 'in', data);
         try {
           this._handleData(data);
         } catch (error) {
@@ -114,6 +131,7 @@ class DXClusterClient extends events.EventEmitter {
       });
 
       this.socket.on('close', () => {
+        if (this.recorder) this.recorder.recordEvent('cluster', 'closed');
         // If socket closes before login, ensure we clean up the pending listeners
         this.removeListener('loggedin', onLoggedIn);
         this.removeListener('logintimeout', onLoginTimeout);
@@ -147,6 +165,7 @@ class DXClusterClient extends events.EventEmitter {
 
   _handleData(data) {
     this.buffer += data.toString('utf8');
+    this._noteActivity();
 
     if (this.status.awaiting_login && this.buffer.includes(this.loginPrompt)) {
       this.logger.info('DX Cluster login prompt detected. Sending callsign.');
@@ -173,6 +192,8 @@ class DXClusterClient extends events.EventEmitter {
     this.status.awaiting_login = false;
     this.status.logged_in = false;
     this._stopLoginTimer();
+    this._stopKeepalive();
+    this.reconnectPolicy.disconnected();
     this.emit('close');
   }
 
@@ -182,6 +203,7 @@ class DXClusterClient extends events.EventEmitter {
 
   write(data) {
     if (this.socket && !this.socket.destroyed && this.socket.writable) {
+      if (this.recorder) this.recorder.record('cluster', 'out', data + this.ct);
       this.socket.write(data + this.ct);
     } else {
       this.logger.warn('Cannot write to DX Cluster socket; not connected.');
@@ -190,6 +212,8 @@ class DXClusterClient extends events.EventEmitter {
 
   close() {
     this.shouldReconnect = false;
+    this.reconnectPolicy.cancel();
+    this.isReconnecting = false;
     if (this.socket) {
       this.socket.end();
     }
@@ -209,6 +233,66 @@ class DXClusterClient extends events.EventEmitter {
       this.status.awaiting_login = false;
       this.status.logged_in = false;
       this._stopLoginTimer();
+      this._stopKeepalive();
+  }
+
+  /**
+   * Called for all data from the server: answers a pending probe and restarts the idle timer.
+   */
+  _noteActivity() {
+    if (this.probeSentAt !== null) {
+      this.linkHealth.recordSuccess(Date.now() - this.probeSentAt);
+      this.probeSentAt = null;
+      clearTimeout(this.probeTimer);
+      this.probeTimer = null;
+      this.emit('linkHealth', this.getLinkHealth());
+    }
+    if (this.status.logged_in) this._startIdleTimer();
+  }
+
+  _startIdleTimer() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+    const idleSeconds = this.keepalive.idleSeconds ?? 120;
+    if (!(idleSeconds > 0) || this.probeSentAt !== null) return;
+
+    this.idleTimer = setTimeout(() => this._sendProbe(), idleSeconds * 1000);
+  }
+
+  /**
+   * Sends the probe command after a quiet period. A half-open connection (VPN drop, sleeping laptop)
+   * never closes by itself; if nothing comes back in time the socket is destroyed, which reconnects.
+   */
+  _sendProbe() {
+    this.idleTimer = null;
+    if (!this.status.logged_in || !this.socket || this.socket.destroyed) return;
+
+    this.probeSentAt = Date.now();
+    this.write(this.keepalive.probeCommand ?? 'sh/time');
+    this.probeTimer = setTimeout(() => {
+      this.probeTimer = null;
+      this.probeSentAt = null;
+      this.linkHealth.recordFailure();
+      this.emit('linkHealth', this.getLinkHealth());
+      this.logger.warn('DX Cluster server did not answer the keepalive probe. Dropping the connection to reconnect.');
+      this.destroy();
+    }, (this.keepalive.timeoutSeconds || 30) * 1000);
+  }
+
+  _stopKeepalive() {
+    clearTimeout(this.idleTimer);
+    clearTimeout(this.probeTimer);
+    this.idleTimer = null;
+    this.probeTimer = null;
+    this.probeSentAt = null;
+  }
+
+  /**
+   * Returns the keepalive round-trip times of the cluster link.
+   * @returns {object} - { lastLatencyMs, averageLatencyMs, maxLatencyMs, history, failures, lastProbeAt, ok }
+   */
+  getLinkHealth() {
+    return this.linkHealth.toJSON();
   }
 
   _parseBuffer() {
@@ -276,16 +360,18 @@ class DXClusterClient extends events.EventEmitter {
     if (this.isReconnecting) return;
 
     this.isReconnecting = true;
-    this.logger.info(`Retrying connection to PRIMARY DX Cluster server (${this.primaryHost}) in ${this.reconnectDelay / 1000} seconds...`);
-    
-    setTimeout(() => {
+    const delay = this.reconnectPolicy.schedule(() => {
       this.isReconnecting = false;
       if (!this.status.connected && this.shouldReconnect) {
         this.connect().catch((err) => {
           this.logger.error(`DX Cluster reconnection attempt failed: ${err.message}`);
         });
       }
-    }, this.reconnectDelay);
+    });
+    this.logger.info(
+      `Retrying connection to PRIMARY DX Cluster server (${this.primaryHost}) in ${Math.round(delay / 1000)} seconds ` +
+        `(attempt ${this.reconnectPolicy.attempt})...`
+    );
   }
 
   async sendCommandsAfterLogin() {
@@ -5,12 +5,85 @@ const EventEmitter = require('events');
 const FlexRadioMessageParser = require('./flexradio_message_parser');
 const Spot = require('./spot');
 const Slice = require('./slice');
+const Meter = require('./meter');
+const Memory = require('./memory');
+const Panadapter = require('./panadapter');
+const TransmitState = require('./transmit_state');
+const CwxState = require('./cwx_state');
+const RadioIdentity = require('./radio_identity');
+const LinkHealth = require('./link_health');
+const ReconnectPolicy = require('./reconnect_policy');
+const BandStack = require('./band_stack');
+const FlexRadioMeterStream = require('./flexradio_meter_stream');
+const FlexRadioCommandError = require('./flexradio_command_error');
+const { buildDefaultRules, evaluateSpotRules } = require('./spot_color_rules');
+const profileNames = require('./profile_names');
+const { checkTransmit } = require('./license_privileges');
 const { exec } = require('child_process');
 const os = require('os');
 const fetch = require('node-fetch');
 const utils = require('./utils');
 const WavelogClient = require('./wavelog_client');
 
+// Minimum interval between 'meters' events. The radio streams meters at up to 40 fps.
+const METER_EMIT_INTERVAL_MS = 500;
+// Minimum interval between 'slicesChanged' events. Tuning with the VFO knob sends a slice status per step.
+const SLICES_EMIT_INTERVAL_MS = 500;
+// Forward power above this level (Watts) is treated as an ongoing transmission.
+const TX_POWER_THRESHOLD_WATTS = 1;
+
+// Spots held back for bands no panadapter shows; the oldest are dropped beyond this
+const MAX_HELD_SPOTS = 1000;
+
+// Order in which queued commands go out, lowest first; commands of the same priority keep their order.
+// QSY, antenna and transmitter commands overtake the spot traffic waiting in the queue.
+const COMMAND_PRIORITY = { HIGH: 0, NORMAL: 1, SPOT: 2 };
+// Number of recent commands the queue latency figures are taken from
+const COMMAND_LATENCY_SAMPLES = 50;
+// Minimum interval between 'commandQueueStats' events
+const COMMAND_STATS_INTERVAL_MS = 1000;
+
+// How long a QSY waits, after the radio has accepted its commands, for the slice to report the target state.
+const QSY_CONFIRM_TIMEOUT_MS = 3000;
+
+// Modes a slice (and a memory) can be set to
+const SLICE_MODES = ['USB', 'LSB', 'CW', 'CWL', 'CWU', 'AM', 'SAM', 'FM', 'NFM', 'DFM', 'DIGU', 'DIGL', 'RTTY', 'FDV'];
+
+// The radio writes spaces in station names as 0x7F
+function decodeStationName(name) {
+  return String(name || '').replace(/\u007f/g, ' ').trim();
+}
+
+function normalizeStationName(name) {
+  return decodeStationName(name).toLowerCase();
+}
+
+/**
+ * Maps a slice mode to the mode group used by the per-band power presets.
+ * @param {string} mode - Slice mode (e.g. 'USB', 'CWL', 'DIGU').
+ * @returns {string} - 'CW', 'DIGI' or 'SSB' (all voice modes).
+ */
+function powerModeGroup(mode) {
+  const upper = (mode || '').toUpperCase();
+  if (upper.startsWith('CW')) return 'CW';
+  if (upper.startsWith('DIG') || ['RTTY', 'FT8', 'FT4', 'DATA'].includes(upper)) return 'DIGI';
+  return 'SSB';
+}
+
+/**
+ * Maps a mode from a memory list to the slice mode the radio stores: SSB becomes the usual
+ * sideband for the band, digital modes (FT8, PSK31...) DIGU.
+ * @param {string|null} mode - e.g. 'SSB', 'FT8', 'CW'.
+ * @param {number} frequencyHz - Frequency of the memory.
+ * @returns {string} - Slice mode, or '' when no mode is given.
+ */
+function memorySliceMode(mode, frequencyHz) {
+  const upper = String(mode || '').toUpperCase();
+  if (upper === 'SSB') return frequencyHz < 10000000 ? 'LSB' : 'USB';
+  if (upper && !SLICE_MODES.includes(upper)) return 'DIGU';
+  return upper;
+}
+
 module.exports = class FlexRadioClient extends EventEmitter {
   /**
    * Creates an instance of FlexRadioClient.
@@ -31,12 +104,36 @@ module.exports = class FlexRadioClient extends EventEmitter {
     this.flexSpotsByID = new Map();
     this.flexSpotsBySpotID = new Map();
     this.flexSlicesByID = new Map();
+    this.staleSpotsByID = null; // Our spot mappings from before a reconnect, pending reconciliation
+    this.heldSpots = new Map(); // Spot ID -> { spot, frequencyHz, expirationTime } for bands no panadapter shows
+    this.panadaptersByID = new Map(); // Panadapters shown by the GUI clients, by stream ID
     this.handleStationMap = new Map();
     this.isReconnecting = false;
     this.connected = false;
+    this.activeHost = null; // Address used by the current socket
+    this.recorder = null; // SessionRecorder capturing raw traffic, if recording
 
     this.commandQueue = [];
     this.sendingCommands = false;
+    this.activeCommand = null; // Queue entry currently on the wire
+    this.commandLatency = { queue: [], reply: [] }; // Recent queue waits and reply times (ms)
+    this.statsEmitTimer = null;
+    this.lastStatsEmit = 0;
+
+    // Spots waiting to be sent, key -> { spot, options, waiters }. A newer spot for the same key replaces a waiting one.
+    this.spotOutbox = new Map();
+    this.spotOutboxTimer = null;
+    this.deliveringSpot = false;
+    this.lastSpotSentAt = 0;
+
+    // Keepalive: a 'ping' every keepalive.intervalSeconds; an unanswered one tears the socket down
+    this.keepaliveTimer = null;
+    this.keepaliveInFlight = false;
+    this.linkHealth = new LinkHealth();
+
+    // Delay before each retry grows from flexRadio.reconnect.initialDelay to maxDelay
+    this.reconnectPolicy = new ReconnectPolicy(this.config.flexRadio.reconnect);
+    this.reconnectPolicy.on('change', (state) => this.emit('reconnectState', state));
 
     this.shouldReconnect = true;
     this.isDisconnecting = false;
@@ -46,6 +143,31 @@ module.exports = class FlexRadioClient extends EventEmitter {
     // State filtering and Timer
     this.pendingQsy = null;
     this.qsyTimer = null;
+    this.qsyAbortController = null; // Cancels the commands of an in-progress QSY
+    this.split = null; // { rxSliceIndex, txSliceIndex, created, txFrequencyHz } while working split
+    this.globalProfiles = null; // Global Profile names from the radio, null until the list has been received
+    this.bandStack = new BandStack(); // Last frequency, mode, filter and antennas per band
+
+    // Transmitter state (interlock + transmit status)
+    this.transmitState = new TransmitState();
+    // CWX keyer: speed and the text still being sent
+    this.cwx = new CwxState();
+    // Memory channels stored in the radio, by memory index
+    this.memoriesByID = new Map();
+    // Model, serial, firmware, licensed features and GPS of the radio we are connected to
+    this.identity = new RadioIdentity();
+    this.firmwareWarned = false; // The firmware warning is raised once per connection
+
+    // Meter state (definitions arrive over TCP, values over the UDP stream)
+    this.clientHandle = null;
+    this.metersByID = new Map();
+    this.meterStream = null;
+    this.meterReadings = this._emptyMeterReadings();
+    this.txPeakWatts = null;
+    this.lastMeterEmit = 0;
+    this.meterEmitTimer = null;
+    this.lastSlicesEmit = 0;
+    this.slicesEmitTimer = null;
 
     this.messageParser = new FlexRadioMessageParser();
     this.wavelogClient = new WavelogClient(this.config, this.logger);
@@ -60,12 +182,28 @@ module.exports = class FlexRadioClient extends EventEmitter {
     this.messageParser.on('spotStatus', this.handleSpotStatus.bind(this));
     this.messageParser.on('sliceStatus', this.handleSliceStatus.bind(this));
     this.messageParser.on('clientStatus', this.handleClientStatus.bind(this));
+    this.messageParser.on('interlockStatus', this.handleInterlockStatus.bind(this));
+    this.messageParser.on('transmitStatus', this.handleTransmitStatus.bind(this));
+    this.messageParser.on('cwxStatus', this.handleCwxStatus.bind(this));
+    this.messageParser.on('panStatus', this.handlePanStatus.bind(this));
+    this.messageParser.on('panRemoved', this.handlePanRemoved.bind(this));
+    this.messageParser.on('memoryStatus', this.handleMemoryStatus.bind(this));
+    this.messageParser.on('memoryRemoved', this.handleMemoryRemoved.bind(this));
+    this.messageParser.on('radioStatus', this.handleRadioStatus.bind(this));
+    this.messageParser.on('gpsStatus', this.handleGpsStatus.bind(this));
+    this.messageParser.on('licenseStatus', this.handleLicenseStatus.bind(this));
+    this.messageParser.on('meterStatus', this.handleMeterStatus.bind(this));
+    this.messageParser.on('meterRemoved', ({ index }) => {
+      this.metersByID.delete(index);
+    });
     this.messageParser.on('globalProfileList', (profiles) => {
         this.logger.info(`Received ${profiles.length} global profiles from radio.`);
+        this.globalProfiles = profiles;
         this.emit('globalProfilesList', profiles);
     });
     this.messageParser.on('handle', (data) => {
       this.logger.info(`Received handle: ${data.handle}`);
+      this.clientHandle = data.handle;
     });
     this.messageParser.on('protocolVersion', (data) => {
       this.logger.info(`Protocol Version: ${data.version}`);
@@ -100,6 +238,9 @@ module.exports = class FlexRadioClient extends EventEmitter {
       return;
     }
 
+    // Undo an earlier disconnect()
+    this.shouldReconnect = true;
+    this.isDisconnecting = false;
     this.initiateConnection();
   }
 
@@ -110,23 +251,66 @@ module.exports = class FlexRadioClient extends EventEmitter {
   initiateConnection() {
     const { host, port } = this.config.flexRadio;
 
+    this.activeHost = host;
     this.flexClient = new net.Socket();
 
     this.flexClient.connect(port, host, () => {
       this.logger.info('Connected to FlexRadio server.');
+      if (this.recorder) this.recorder.recordEvent('flex', 'connected');
       this.connected = true;
       this.isReconnecting = false;
+      this.reconnectPolicy.connected();
+      // Slices, GUI clients, panadapters and memories are re-announced by their 'sub ... all'; drop the ones from a previous session
+      this.flexSlicesByID.clear();
+      this.handleStationMap.clear();
+      this.panadaptersByID.clear();
+      this.memoriesByID.clear();
+      this.identity = new RadioIdentity();
+      this.firmwareWarned = false;
+      this.linkHealth.resetFailures();
+      this._startKeepalive();
+
+      // Spots we pushed before the link dropped must be reconciled instead of cleared
+      const isResync = this.flexSpotsByID.size > 0;
 
       setTimeout(() => {
+        const subscribeSpots = () => {
+          this.beginSpotSync();
+          this.queueCommand('sub spot all', (response) => {
+            this.logger.debug(`Response to sub spot all: ${response}`);
+            this.queueCommand('sub tx all', (response) => {
+              this.logger.debug(`Response to sub tx all: ${response}`);
+              // The radio answers in order, so the spot status dump has arrived by the time this reply does
+              this.finishSpotSync();
+              this.queueCommand('sub cwx all', (response) => {
+                this.logger.debug(`Response to sub cwx all: ${response}`);
+              });
+              this.queueCommand('sub memories all', (response) => {
+                this.logger.debug(`Response to sub memories all: ${response}`);
+              });
+              this.subscribeMeters();
+              this.requestRadioIdentity();
+              // The antenna "profiles" mode only loads names the radio actually has
+              this.getGlobalProfiles();
+            });
+          });
+        };
+
         this.queueCommand('sub slice all', (response) => {
           this.logger.debug(`Response to sub slice all: ${response}`);
           this.queueCommand('sub client all', (response) => {
             this.logger.debug(`Response to sub client all: ${response}`);
-            this.queueCommand('spot clear', (response) => {
-              this.logger.debug(`Response to spot clear: ${response}`);
-              this.queueCommand('sub spot all', (response) => {
-                this.logger.debug(`Response to sub spot all: ${response}`);
-              });
+            // Panadapters before spots, so spots only go to the bands being shown
+            this.queueCommand('sub pan all', (response) => {
+              this.logger.debug(`Response to sub pan all: ${response}`);
+              if (isResync) {
+                subscribeSpots();
+              } else {
+                this.queueCommand('spot clear', (response) => {
+                  this.logger.debug(`Response to spot clear: ${response}`);
+                  subscribeSpots();
+                });
+              }
             });
           });
         });
@@ -135,17 +319,24 @@ module.exports = class FlexRadioClient extends EventEmitter {
     });
 
     this.flexClient.on('data', (data) => {
+      if (this.recorder) this.recorder.record('flex', 'in', data);
       this.processData(data);
     });
 
     this.flexClient.on('error', (err) => {
       if (['ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH'].includes(err.code)) {
-        this.logger.warn(`FlexRadio is not available (${err.code}). Retrying in 5 seconds...`);
+        this.logger.warn(`FlexRadio is not available (${err.code}).`);
       } else {
         this.logger.error(`Unexpected FlexRadio socket error: ${err.message}`);
       }
       this.connected = false;
+      this._stopKeepalive();
+      this.reconnectPolicy.disconnected();
       this.flexClient.destroy();
+      this._failPendingCommands(FlexRadioCommandError.DISCONNECTED);
+      this._clearSpotOutbox('FlexRadio is not connected.');
+      this._resetMeters();
+      this._resetTransmitState();
 
       this.emit('error', err);
 
@@ -153,18 +344,25 @@ module.exports = class FlexRadioClient extends EventEmitter {
     });
 
     this.flexClient.on('close', (hadError) => {
+      if (this.recorder) this.recorder.recordEvent('flex', 'closed');
+      this._stopKeepalive();
       if (this.isDisconnecting) {
         this.logger.info('FlexRadio connection closed after intentional disconnect.');
+        this._failPendingCommands(FlexRadioCommandError.DISCONNECTED);
         return;
       }
 
       if (hadError) {
-        this.logger.warn('FlexRadio connection attempt failed. Retrying in 5 seconds...');
+        this.logger.warn('FlexRadio connection attempt failed.');
       } else {
-        this.logger.warn('FlexRadio connection closed. Retrying in 5 seconds...');
+        this.logger.warn('FlexRadio connection closed.');
       }
       this.connected = false;
+      this.reconnectPolicy.disconnected();
       this.flexClient.destroy();
+      this._failPendingCommands(FlexRadioCommandError.DISCONNECTED);
+      this._resetMeters();
+      this._resetTransmitState();
 
       this.emit('disconnected');
 
@@ -198,9 +396,12 @@ module.exports = class FlexRadioClient extends EventEmitter {
     const pendingCommand = this.flexPendingCommands[seqNum];
     if (pendingCommand) {
       this.logger.debug(`Received response for command C${seqNum}: ${response}`);
-      pendingCommand.callback(response);
-      clearTimeout(pendingCommand.timeout);
-      delete this.flexPendingCommands[seqNum];
+      const reply = FlexRadioClient.parseResponse(response);
+      if (reply.code === 0) {
+        this._finishCommand(pendingCommand, null, reply);
+      } else {
+        this._finishCommand(pendingCommand, FlexRadioCommandError.fromReply(pendingCommand.command, reply));
+      }
     } else {
       this.logger.warn(`Received response for unknown command C${seqNum}: ${response}`);
     }
@@ -221,26 +422,33 @@ module.exports = class FlexRadioClient extends EventEmitter {
     }
 
     slice.statusUpdate(handle, statusMessage);
-
-    // Extract antenna details from statusMessage safely using Regex
-    const rxantMatch = statusMessage.match(/rxant=([^ \n]+)/);
-    if (rxantMatch) slice.rxant = rxantMatch[1];
-
-    // FlexRadio sometimes outputs txant= and sometimes tx_ant= depending on version/context
-    const txantMatch = statusMessage.match(/txant=([^ \n]+)/) || statusMessage.match(/tx_ant=([^ \n]+)/);
-    if (txantMatch) slice.txant = txantMatch[1];
-
     slice.updateStationName(this.handleStationMap);
 
-    if (sliceAdded) {
+    if (!slice.in_use) {
+      // in_use=0 means the slice was closed by its GUI client
+      if (sliceAdded) return;
+      this.flexSlicesByID.delete(index);
+      slice.tx = false;
+      this.logger.info(`Slice ${slice.index_letter || index} was removed.`);
+    } else if (sliceAdded) {
       this.flexSlicesByID.set(index, slice);
       this.logger.info(`Added new slice with label ${slice.index_letter}`);
     }
 
+    this._emitSlicesChanged();
+
+    // Multi-Flex: a slice of another operator's GUI client is listed, but does not drive QSY or Wavelog
+    if (!this._isBoundSlice(slice)) {
+      this._updateActiveTXSlices();
+      return;
+    }
+
     // --- PENDING QSY FILTER LOGIC ---
     // Prevent sending updates to Wavelog if frequency has changed
     // but mode hasn't updated yet (intermediate state).
-    if (this.pendingQsy) {
+    // Only the slice being tuned (the RX slice while split) can confirm the QSY; another slice
+    // already sitting on the target says nothing about whether the tuned one moved.
+    if (this.pendingQsy && slice.index === this.pendingQsy.sliceIndex) {
         const currentFreqHz = Math.round(slice.frequency * 1e6);
         const targetFreqHz = this.pendingQsy.frequency;
 
@@ -261,17 +469,52 @@ module.exports = class FlexRadioClient extends EventEmitter {
         if (freqMatch && modeMatch) {
             this.logger.info(`QSY Filter: Target reached (${slice.frequency.toFixed(6)} MHz, ${slice.mode}). Sending update.`);
 
-            // SUCCESS: Clear the safety timer and the filter
-            if (this.qsyTimer) {
-                clearTimeout(this.qsyTimer);
-                this.qsyTimer = null;
-            }
-            this.pendingQsy = null;
+            // SUCCESS: Clear the safety timer and the filter, and confirm the QSY to its caller
+            this._settlePendingQsy({ success: true, error: null });
         }
     }
     // ------------------------------------
 
-    const activeTXSlices = Array.from(this.flexSlicesByID.values()).filter((s) => s.tx);
+    this._updateActiveTXSlices();
+
+    // Band stack: remember where we are on this band (the RX slice while split, else the TX slice)
+    const splitSlices = this._getSplitSlices();
+    const stackSlice = splitSlices ? splitSlices.rx : slice;
+    if ((splitSlices || stackSlice.tx) && this.bandStack.record(stackSlice)) {
+      this.emit('bandStackChanged', this.bandStack.toJSON());
+    }
+
+    this._emitSliceStatus(slice);
+  }
+
+  /**
+   * Emits 'sliceStatus' for a slice of the station we follow.
+   * @param {Slice} slice - The slice that changed.
+   */
+  _emitSliceStatus(slice) {
+    // While split, a change on the RX slice is reported through the TX slice, which carries both frequencies
+    const splitSlices = this._getSplitSlices();
+    const reportedSlice = splitSlices && slice === splitSlices.rx ? splitSlices.tx : slice;
+
+    // Emit a snapshot rather than the live Slice instance. Consumers hold the reference
+    // across async boundaries (HTTP send, .then() callbacks, pendingSlice buffer), and the
+    // shared Slice is mutated in place by later events in the same burst. All Slice fields
+    // are primitives so a shallow clone is sufficient.
+    const sliceSnapshot = Object.assign({}, reportedSlice);
+    sliceSnapshot.power = this.getReportedPower();
+    if (splitSlices && reportedSlice === splitSlices.tx) {
+      sliceSnapshot.rxFrequency = splitSlices.rx.frequency;
+      sliceSnapshot.rxMode = splitSlices.rx.mode;
+    }
+    this.emit('sliceStatus', sliceSnapshot);
+  }
+
+  /**
+   * Rebuilds activeTXSlices from the slice list: the slices with the TX flag that belong to the
+   * GUI client we follow (all of them unless flexRadio.bindStation is set).
+   */
+  _updateActiveTXSlices() {
+    const activeTXSlices = Array.from(this.flexSlicesByID.values()).filter((s) => s.tx && this._isBoundSlice(s));
 
     const updatedActiveTXSlices = activeTXSlices.map((slice) => {
       const xitAdjustment = slice.xit_on ? slice.xit_freq : 0;
@@ -316,55 +559,130 @@ module.exports = class FlexRadioClient extends EventEmitter {
 
     // Update the active TX slices array
     this.activeTXSlices = updatedActiveTXSlices;
+  }
 
-    // Emit a snapshot rather than the live Slice instance. Consumers hold the reference
-    // across async boundaries (HTTP send, .then() callbacks, pendingSlice buffer), and the
-    // shared Slice is mutated in place by later events in the same burst. All Slice fields
-    // are primitives so a shallow clone is sufficient.
-    const sliceSnapshot = Object.assign({}, slice);
-    this.emit('sliceStatus', sliceSnapshot);
+  /**
+   * Returns the station name of the GUI client we follow in Multi-Flex (flexRadio.bindStation).
+   * @returns {string} - Normalized station name, or '' to follow whichever client has the TX slice.
+   */
+  _boundStation() {
+    return normalizeStationName(this.config.flexRadio.bindStation);
   }
 
-/**
-   * Handles the QSY Timeout.
-   * Forces an update if the radio has been silent or slow to report the new frequency.
+  /**
+   * Tells whether a slice belongs to the GUI client we follow. Without a binding every slice does.
+   * The slices of our own split count as bound, whichever client the radio reports for them.
+   * @param {Slice} slice - Slice to check.
+   * @returns {boolean}
    */
-  _handleQsyTimeout() {
-    if (!this.pendingQsy) return;
+  _isBoundSlice(slice) {
+    const station = this._boundStation();
+    if (!station) return true;
+    if (this.split && (slice.index === this.split.rxSliceIndex || slice.index === this.split.txSliceIndex)) {
+      return true;
+    }
+    return normalizeStationName(slice.stationName) === station;
+  }
+
+  /**
+   * Returns the GUI client we follow in Multi-Flex.
+   * @returns {{station: string, connected: boolean, handle: string|null}|null} - Null when not bound to a station.
+   */
+  getBoundStation() {
+    const station = this._boundStation();
+    if (!station) return null;
+    const entry = Array.from(this.handleStationMap.entries()).find(([, name]) => normalizeStationName(name) === station);
+    return { station: this.config.flexRadio.bindStation.trim(), connected: !!entry, handle: entry ? entry[0] : null };
+  }
 
-    this.logger.warn(`QSY Filter: Timeout (3s) waiting for radio report. Forcing API update with target values.`);
+  /**
+   * Returns the station names of the GUI clients (SmartSDR, Maestro) connected to the radio.
+   * @returns {string[]}
+   */
+  getGuiClients() {
+    return Array.from(new Set(this.handleStationMap.values()));
+  }
 
-    // 1. Create a "Synthetic" slice object based on what we REQUESTED
-    const targetFreqMHz = this.pendingQsy.frequency / 1e6;
-    const targetMode = this.pendingQsy.mode || 'UNKNOWN';
+  /**
+   * Returns the current split, if the integrator has set one up and it is still in place.
+   * @returns {object|null} - { rxSlice, txSlice, rxFrequencyHz, txFrequencyHz } (slice letters and Hz), or null.
+   */
+  getSplit() {
+    const slices = this._getSplitSlices();
+    if (!slices) return null;
+    return {
+      rxSlice: slices.rx.index_letter || String(slices.rx.index),
+      txSlice: slices.tx.index_letter || String(slices.tx.index),
+      rxFrequencyHz: Math.round(slices.rx.frequency * 1e6),
+      txFrequencyHz: Math.round(slices.tx.frequency * 1e6),
+    };
+  }
 
-    // Find the active slice to get the Index ID, or default to 0
-    let sliceIndex = 0;
-    let sliceLetter = 'A';
-    if (this.activeTXSlices && this.activeTXSlices.length > 0) {
-        sliceIndex = this.activeTXSlices[0].index;
-        sliceLetter = this.activeTXSlices[0].index_letter;
+  /**
+   * Looks up the slices of our split. Forgets the split if either slice is gone
+   * or the TX flag has been moved elsewhere (e.g. by the operator in SmartSDR).
+   * @returns {{rx: Slice, tx: Slice}|null}
+   */
+  _getSplitSlices() {
+    if (!this.split) return null;
+    const rx = this.flexSlicesByID.get(this.split.rxSliceIndex);
+    const tx = this.flexSlicesByID.get(this.split.txSliceIndex);
+    if (!rx || !tx || !tx.tx) {
+      this.logger.info('Split ended outside the integrator.');
+      this.split = null;
+      return null;
     }
+    return { rx, tx };
+  }
 
-    // Construct the forced slice data
-    const forcedSlice = {
-        index: sliceIndex,
-        index_letter: sliceLetter,
-        frequency: targetFreqMHz,
-        mode: targetMode,
-        tx: 1
-    };
+/**
+   * Returns a summary of every slice on the radio, ordered by index.
+   * @returns {object[]} - See Slice.toSummary().
+   */
+  getSlices() {
+    return Array.from(this.flexSlicesByID.values())
+      .sort((a, b) => a.index - b.index)
+      .map((slice) => slice.toSummary());
+  }
 
-    // 2. Clear filter
+  /**
+   * Resolves the pending QSY's confirmation and stops filtering slice updates.
+   * @param {object} result - { success, error } handed to the caller of setSliceFrequency.
+   */
+  _settlePendingQsy(result) {
+    if (this.qsyTimer) {
+      clearTimeout(this.qsyTimer);
+      this.qsyTimer = null;
+    }
+    const pendingQsy = this.pendingQsy;
     this.pendingQsy = null;
-    this.qsyTimer = null;
+    if (pendingQsy) pendingQsy.settle(result);
+  }
+
+  /**
+   * Handles the QSY Timeout.
+   * Fails the QSY with what the slice reports instead, and reports that real state: updates held back
+   * while waiting for the target mode are released, so Wavelog never sees a frequency the radio is not on.
+   */
+  _handleQsyTimeout() {
+    if (!this.pendingQsy) return;
+
+    this.logger.warn(`QSY Filter: Timeout (${QSY_CONFIRM_TIMEOUT_MS / 1000}s) waiting for radio report.`);
+
+    const target = `${(this.pendingQsy.frequency / 1e6).toFixed(6)} MHz${this.pendingQsy.mode ? ` ${this.pendingQsy.mode}` : ''}`;
+    const slice = this.flexSlicesByID.get(this.pendingQsy.sliceIndex);
+    let reason = `Radio did not confirm ${target} within ${QSY_CONFIRM_TIMEOUT_MS / 1000} seconds.`;
+    if (slice) {
+      reason += ` Slice ${slice.index_letter} reports ${slice.frequency.toFixed(6)} MHz ${slice.mode}.`;
+    }
 
-    // 3. Force the update to Wavelog API
-    this.logger.info(`Forced Update: Slice ${sliceLetter}, Frequency: ${targetFreqMHz.toFixed(6)} MHz, Mode: ${targetMode}`);
-    this.sendActiveSliceToWavelog(forcedSlice);
+    this._settlePendingQsy({ success: false, error: reason });
+    this.emit('qsyFailed', reason);
 
-    // 4. Also emit to main.js so the WebSocket gets the "Official" status
-    this.emit('sliceStatus', forcedSlice);
+    if (slice && this._isBoundSlice(slice)) {
+      this.logger.info(`QSY Filter: Reporting Slice ${slice.index_letter} as the radio shows it.`);
+      this._emitSliceStatus(slice);
+    }
   }
 
   async sendActiveSliceToWavelog(activeTXSlice) {
@@ -376,21 +694,41 @@ module.exports = class FlexRadioClient extends EventEmitter {
   }
 
   /**
-   * Handles a spot being triggered.
+   * Handles a spot being clicked on the panadapter.
+   * What happens next is decided by the listener of 'externalSpotTriggered'
+   * (see flexRadio.spotManagement.clickActions).
    * @param {object} eventData - Data associated with the event.
    */
   handleSpotTriggered(eventData) {
-    const { handle, index } = eventData;
+    const { index, handle, pan } = eventData;
     const spotData = this.flexSpotsByID.get(index);
-    if (spotData) {
+    if (spotData && !this._isBoundSpotClick(handle, pan)) {
+      this.logger.info(`Spot ${spotData.callsign} clicked by another Multi-Flex station; ignored.`);
+    } else if (spotData) {
       this.logger.info(`Spot triggered: callsign=${spotData.callsign}, index=${index}`);
-      utils.openLogQSO(spotData.callsign, this.config);
-      this.emit('externalSpotTriggered', spotData.callsign);
+      this.emit('externalSpotTriggered', spotData.callsign, spotData);
     } else {
       this.logger.warn(`No spot data found for FlexRadio Spot ID ${index}`);
     }
   }
 
+  /**
+   * Tells whether a spot click came from the GUI client we follow: on a panadapter one of its slices
+   * is on, or, when the panadapter is not known, from its handle.
+   * @param {string} handle - Handle the triggered status was sent with.
+   * @param {string|null} pan - Panadapter the spot was clicked on.
+   * @returns {boolean}
+   */
+  _isBoundSpotClick(handle, pan) {
+    if (!this._boundStation()) return true;
+    const boundSlices = Array.from(this.flexSlicesByID.values()).filter((slice) => this._isBoundSlice(slice));
+    if (pan && boundSlices.some((slice) => slice.pan)) {
+      return boundSlices.some((slice) => slice.pan === pan);
+    }
+    const bound = this.getBoundStation();
+    return !!bound.handle && bound.handle === String(handle || '').replace(/^0+/, '');
+  }
+
   /**
    * Handles a spot being removed.
    * @param {object} eventData - Data associated with the event.
@@ -432,6 +770,179 @@ module.exports = class FlexRadioClient extends EventEmitter {
     }
   }
 
+  /**
+   * Handles a panadapter status update. Held spots go out once a panadapter shows their band.
+   * @param {object} eventData - Data associated with the event.
+   */
+  handlePanStatus(eventData) {
+    const { streamId, statusMessage } = eventData;
+    let pan = this.panadaptersByID.get(streamId);
+    if (!pan) {
+      pan = new Panadapter(streamId);
+      this.panadaptersByID.set(streamId, pan);
+    }
+
+    const before = pan.getBands().join(',');
+    pan.statusUpdate(statusMessage);
+    if (pan.getBands().join(',') !== before) {
+      this.logger.debug(`Panadapter ${streamId} shows ${pan.getBands().join(', ') || 'no amateur band'}`);
+    }
+    this._flushHeldSpots();
+  }
+
+  /**
+   * Handles a panadapter being closed.
+   * @param {object} eventData - Data associated with the event.
+   */
+  handlePanRemoved(eventData) {
+    this.panadaptersByID.delete(eventData.streamId);
+  }
+
+  /**
+   * Tells whether a panadapter belongs to the GUI client we follow in Multi-Flex. Without a binding every one does.
+   * @param {Panadapter} pan - Panadapter to check.
+   * @returns {boolean}
+   */
+  _isBoundPan(pan) {
+    if (!this._boundStation()) return true;
+    const owner = Slice.normalizeHandle(pan.client_handle);
+    if (owner && this.handleStationMap.has(owner)) {
+      return normalizeStationName(this.handleStationMap.get(owner)) === this._boundStation();
+    }
+    return Array.from(this.flexSlicesByID.values()).some((slice) => slice.pan === pan.streamId && this._isBoundSlice(slice));
+  }
+
+  /**
+   * Tells whether a spot would be seen: its band (or, outside the amateur bands, its frequency)
+   * is on a panadapter of the GUI client we follow.
+   * Until the radio has reported any panadapter every spot counts as seen, like before panadapters were tracked.
+   * @param {number} frequencyHz - Spot frequency in Hz.
+   * @returns {boolean}
+   */
+  _isSpotShown(frequencyHz) {
+    if (this.config.flexRadio.spotManagement.panadapterAware === false || this.panadaptersByID.size === 0) return true;
+
+    const band = utils.freqToBand(frequencyHz);
+    return Array.from(this.panadaptersByID.values())
+      .filter((pan) => this._isBoundPan(pan))
+      .some((pan) => {
+        if (band) return pan.getBands().includes(band);
+        const range = pan.getRange();
+        return !!range && frequencyHz >= range.lowHz && frequencyHz <= range.highHz;
+      });
+  }
+
+  /**
+   * Keeps a spot for a band no panadapter shows, replacing an earlier version of the same spot.
+   * @param {object} processedSpot - The spot as passed to sendSpot.
+   * @param {number} lifetimeSeconds - Lifetime the spot was sent with.
+   */
+  _holdSpot(processedSpot, lifetimeSeconds) {
+    const key = processedSpot.id || `${processedSpot.spotted}@${processedSpot.frequency}`;
+    this.heldSpots.delete(key);
+    this.heldSpots.set(key, {
+      spot: processedSpot,
+      frequencyHz: Math.round(processedSpot.frequency * 1000),
+      expirationTime: Date.now() + lifetimeSeconds * 1000,
+    });
+
+    if (this.heldSpots.size > MAX_HELD_SPOTS) {
+      this.heldSpots.delete(this.heldSpots.keys().next().value);
+    }
+  }
+
+  /**
+   * Pushes the held spots that a panadapter now shows, with what is left of their lifetime.
+   */
+  _flushHeldSpots() {
+    if (this.heldSpots.size === 0 || !this.isConnected()) return;
+
+    const now = Date.now();
+    const toPush = [];
+    this.heldSpots.forEach((held, key) => {
+      if (held.expirationTime <= now) {
+        this.heldSpots.delete(key);
+      } else if (this._isSpotShown(held.frequencyHz)) {
+        this.heldSpots.delete(key);
+        toPush.push(held);
+      }
+    });
+    if (toPush.length === 0) return;
+
+    this.logger.info(`Panadapter moved: pushing ${toPush.length} held spot(s) to the radio.`);
+    toPush.forEach((held) => {
+      this.sendSpot(held.spot, { lifetimeSeconds: Math.ceil((held.expirationTime - now) / 1000) });
+    });
+  }
+
+  /**
+   * Returns the number of spots held back for bands no panadapter shows.
+   * @returns {number}
+   */
+  getHeldSpotCount() {
+    return this.heldSpots.size;
+  }
+
+  /**
+   * Starts spot reconciliation: our current mappings are set aside so that
+   * 'sub spot all' rebuilds the lookup tables from what the radio actually holds.
+   */
+  beginSpotSync() {
+    if (this.flexSpotsByID.size === 0) {
+      this.staleSpotsByID = null;
+      return;
+    }
+    this.staleSpotsByID = new Map(this.flexSpotsByID);
+    this.flexSpotsByID.clear();
+    this.flexSpotsBySpotID.clear();
+  }
+
+  /**
+   * Finishes spot reconciliation after the radio has reported its spots.
+   * Spots still on the radio are re-adopted, orphaned mappings are dropped and
+   * spots still inside their lifetime are handed back via 'spotsResync' to be re-pushed.
+   */
+  finishSpotSync() {
+    if (!this.staleSpotsByID) return;
+
+    const staleSpots = this.staleSpotsByID;
+    this.staleSpotsByID = null;
+
+    const now = Date.now();
+    const toRepush = [];
+    let adopted = 0;
+    let dropped = 0;
+
+    for (const [flexRadioSpotID, staleSpot] of staleSpots.entries()) {
+      if (!staleSpot.spotID) continue; // Spot from another source, the radio re-reports it if it still exists
+
+      const radioSpot = this.flexSpotsByID.get(flexRadioSpotID);
+      const stillOnRadio = radioSpot && radioSpot.callsign.toUpperCase() === staleSpot.callsign.toUpperCase();
+
+      if (staleSpot.expirationTime <= now) {
+        dropped++;
+      } else if (stillOnRadio) {
+        radioSpot.spotID = staleSpot.spotID;
+        radioSpot.expirationTime = staleSpot.expirationTime;
+        this.flexSpotsBySpotID.set(radioSpot.spotID, radioSpot);
+        adopted++;
+      } else {
+        toRepush.push({
+          spotID: staleSpot.spotID,
+          remainingSeconds: Math.ceil((staleSpot.expirationTime - now) / 1000),
+        });
+      }
+    }
+
+    this.logger.info(
+      `Spot resync after reconnect: ${adopted} still on radio, ${toRepush.length} to re-push, ${dropped} expired.`
+    );
+
+    if (toRepush.length > 0) {
+      this.emit('spotsResync', toRepush);
+    }
+  }
+
   /**
    * Handles a client status update.
    * @param {object} eventData - Data associated with the event.
@@ -444,158 +955,949 @@ module.exports = class FlexRadioClient extends EventEmitter {
       let stationName = null;
       for (const part of statusParts) {
         if (part.startsWith('station=')) {
-          stationName = part.split('=')[1];
+          stationName = decodeStationName(part.split('=')[1]);
           break;
         }
       }
       // Store the handle and stationName in the Map
       if (stationName) {
+        const isNew = this.handleStationMap.get(handle) !== stationName;
         this.handleStationMap.set(handle, stationName);
-        this.logger.info(`Connected GUI client ${handle} with name ${stationName}`);
+        if (isNew) {
+          this.logger.info(`Connected GUI client ${handle} with name ${stationName}`);
+          this._refreshSliceStations(stationName, true);
+        }
       } else {
         this.logger.warn(`Station name not found in statusMessage: ${statusMessage}`);
       }
     } else if (statusParts[0] == 'disconnected') {
       // Remove the handle from the Map
-      this.logger.info(`Station ${this.handleStationMap.get(handle)} disconnected.`);
+      const stationName = this.handleStationMap.get(handle);
+      this.logger.info(`Station ${stationName} disconnected.`);
       this.handleStationMap.delete(handle);
+      if (stationName) this._refreshSliceStations(stationName, false);
     } else {
       this.logger.error(`Unhandled client status: ${statusMessage}`);
     }
   }
 
   /**
-   * Schedules a reconnection attempt after a delay.
+   * Updates the station names of the slices after a GUI client came or went. Slices are announced
+   * before their clients on connect, so this is also where the slices of the bound station are found.
+   * @param {string} stationName - Station name of the client that connected or disconnected.
+   * @param {boolean} connected - Whether it connected.
    */
-  scheduleReconnect() {
-    if (!this.shouldReconnect) {
-      this.logger.info('Reconnection not scheduled due to manual disconnect.');
+  _refreshSliceStations(stationName, connected) {
+    this.flexSlicesByID.forEach((slice) => slice.updateStationName(this.handleStationMap));
+    if (this.flexSlicesByID.size > 0) this._emitSlicesChanged();
+
+    const station = this._boundStation();
+    if (!station || normalizeStationName(stationName) !== station) return;
+
+    this._updateActiveTXSlices();
+    if (!connected) {
+      this.logger.warn(`Bound station ${stationName} disconnected. QSY and Wavelog updates wait until it returns.`);
+      this.emit('boundStationChanged', this.getBoundStation());
       return;
     }
 
-    if (this.isReconnecting) {
-      this.logger.warn('Reconnection attempt already in progress.');
-      return;
+    this.logger.info(`Following Multi-Flex station ${stationName}.`);
+    this.emit('boundStationChanged', this.getBoundStation());
+    // Report the bound operator's TX slice right away rather than on its next change
+    if (this.activeTXSlices.length > 0) {
+      const txSlice = this.flexSlicesByID.get(this.activeTXSlices[0].index);
+      const sliceSnapshot = Object.assign({}, txSlice);
+      sliceSnapshot.power = this.getReportedPower();
+      this.emit('sliceStatus', sliceSnapshot);
     }
+  }
 
-    this.isReconnecting = true;
-    this.logger.info('Retrying connection to FlexRadio in 5 seconds...');
-    setTimeout(() => {
-      if (!this.connected && this.shouldReconnect) {
-        this.initiateConnection();
+  /**
+   * Handles an interlock status update and emits PTT transitions.
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleInterlockStatus(eventData) {
+    const wasPttOn = this.transmitState.isPttOn();
+    const previousState = this.transmitState.state;
+    const previousReason = this.transmitState.reason;
+
+    this.transmitState.interlockUpdate(eventData.statusMessage);
+    const state = this.getTransmitState();
+
+    if (!wasPttOn && state.ptt) {
+      this.logger.info(`PTT ON (source: ${state.source || 'unknown'})`);
+      this.emit('pttOn', state);
+    } else if (wasPttOn && !state.ptt) {
+      this.logger.info('PTT OFF');
+      this.emit('pttOff', state);
+      if (this._endTxPowerPeak()) {
+        this.meterReadings.updatedAt = Date.now();
+        this._emitMeterReadings();
       }
-      this.isReconnecting = false;
-    }, 5000);
+    }
+
+    if (state.reason && state.reason !== previousReason) {
+      this.logger.warn(`TX inhibited: ${state.reason} (interlock state ${state.state})`);
+    }
+
+    if (state.state !== previousState || state.reason !== previousReason) {
+      this.emit('transmitState', state);
+    }
   }
 
   /**
-   * Checks if the FlexRadio client is connected.
-   * @returns {boolean} - True if connected, false otherwise.
+   * Handles a transmit status update (RF power setting, MOX, TUNE).
+   * @param {object} eventData - Data associated with the event.
    */
-  isConnected() {
-    return this.connected;
+  handleTransmitStatus(eventData) {
+    const previousPower = this.transmitState.rfPower;
+    const previousMox = this.transmitState.mox;
+    const previousTune = this.transmitState.tune;
+
+    this.transmitState.transmitUpdate(eventData.statusMessage);
+
+    if (
+      this.transmitState.rfPower !== previousPower ||
+      this.transmitState.mox !== previousMox ||
+      this.transmitState.tune !== previousTune
+    ) {
+      this.logger.debug(`Transmit: RF power ${this.transmitState.rfPower}, MOX ${this.transmitState.mox}, TUNE ${this.transmitState.tune}`);
+      this.emit('transmitState', this.getTransmitState());
+    }
   }
 
   /**
-   * Queues a command to be sent to the FlexRadio server.
-   * @param {string} command - The command string to send.
-   * @param {function} callback - Callback function to handle the response.
+   * Handles a CWX status update (keyer speed, characters sent, characters erased).
+   * @param {object} eventData - Data associated with the event.
    */
-  queueCommand(command, callback) {
-    this.commandQueue.push({ command, callback });
-    if (!this.sendingCommands) {
-      this.processCommandQueue();
+  handleCwxStatus(eventData) {
+    if (this.cwx.statusUpdate(eventData.statusMessage)) {
+      this.emit('cwxStatus', this.getCwxState());
     }
   }
 
   /**
-   * Processes the command queue with a delay between each command.
+   * Returns a snapshot of the CWX keyer.
+   * @returns {object} - { wpm, sending, queue: [{ block, text, sentChars }] }
    */
-  processCommandQueue() {
-    if (this.commandQueue.length === 0) {
-      this.sendingCommands = false;
-      return;
+  getCwxState() {
+    return this.cwx.toJSON();
+  }
+
+  /**
+   * Sends text as CW through the radio's CWX keyer. The text is appended to what is still being sent.
+   * @param {string} text - Text to send; characters the keyer cannot send are dropped.
+   * @returns {Promise<object>} - { success, error }.
+   */
+  async sendCwx(text) {
+    if (!this.isConnected()) {
+      return { success: false, error: 'Not connected' };
     }
 
-    this.sendingCommands = true;
+    const encoded = CwxState.encode(text);
+    if (!encoded) {
+      return { success: false, error: 'Nothing to send' };
+    }
 
-    const { command, callback } = this.commandQueue.shift();
-    this.sendCommand(command, (response) => {
-      if (callback) {
-        callback(response);
+    const block = this.cwx.takeBlock();
+    try {
+      // Reply: "<buffer index of the first character>,<block>"
+      const reply = await this.sendCommandAsync(`cwx send "${encoded}" ${block}`);
+      const start = parseInt(String(reply.message).split(',')[0], 10);
+      this.logger.info(`CWX: sending "${encoded.replace(/\u007f/g, ' ')}"`);
+      if (!isNaN(start)) {
+        this.cwx.queued(block, encoded, start);
+        this.emit('cwxStatus', this.getCwxState());
       }
-      setTimeout(() => this.processCommandQueue(), 200);
-    });
+      return { success: true, error: null };
+    } catch (error) {
+      this.logger.error(`CWX send failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
-   * Sends a command to the FlexRadio server.
-   * @param {string} command - The command string to send.
-   * @param {function} callback - Callback function to handle the response.
+   * Sets the CWX keyer speed.
+   * @param {number} wpm - Words per minute, 5-100.
+   * @returns {Promise<object>} - { success, error }.
    */
-  sendCommand(command, callback) {
+  async setCwxSpeed(wpm) {
     if (!this.isConnected()) {
-      if (!this.isDisconnecting) {
-        this.logger.warn('Cannot send command. FlexRadio client is not connected.');
-      }
-      if (typeof callback === 'function') {
-        callback('Client not connected');
-      }
-      return;
+      return { success: false, error: 'Not connected' };
     }
 
-    if (this.flexSequenceNumber > 99999) {
-      this.flexSequenceNumber = 1;
+    const speed = parseInt(wpm, 10);
+    if (isNaN(speed) || speed < CwxState.MIN_WPM || speed > CwxState.MAX_WPM) {
+      return { success: false, error: `Speed must be ${CwxState.MIN_WPM}-${CwxState.MAX_WPM} WPM` };
     }
 
-    const seqNum = this.flexSequenceNumber++;
-    const fullCommand = `C${seqNum}|${command}`;
-
-    this.flexPendingCommands[seqNum] = {
-      command: command,
-      callback: callback,
-      timeout: setTimeout(() => {
-        this.logger.error(`Timeout waiting for response to command C${seqNum}`);
-        if (typeof callback === 'function') {
-          callback('Timeout');
-        }
-        delete this.flexPendingCommands[seqNum];
-      }, this.config.flexRadio.commandTimeout || 15000),
-    };
-
-    this.logger.debug(`Sending command: ${fullCommand}`);
-    this.flexClient.write(fullCommand + '\n', (err) => {
-      if (err) {
-        this.logger.error(`Error sending command "${fullCommand}": ${err.message}`);
-        delete this.flexPendingCommands[seqNum];
-        if (typeof callback === 'function') {
-          callback(`Error sending command: ${err.message}`);
-        }
-      }
-    });
+    try {
+      await this.sendCommandAsync(`cwx wpm ${speed}`);
+      return { success: true, error: null };
+    } catch (error) {
+      this.logger.error(`CWX speed change failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
-   * Prepares and sends a spot to FlexRadio.
-   * @param {object} processedSpot - The processed spot object.
+   * Stops sending CW: clears the radio's CWX buffer, including the character being sent.
+   * @returns {Promise<object>} - { success, error }.
    */
-  sendSpot(processedSpot) {
-    if (!this.connected) {
-      const now = Date.now();
-      // Only log the warning if 120 seconds (120,000 ms) have passed since the last time
-      if (now - this.lastConnectionWarningTime > 120000) {
-        this.logger.warn('FlexRadio is not connected. Cannot send spot. (Warning suppressed for 120s)');
-        this.lastConnectionWarningTime = now;
-      }
-      return;
+  async stopCwx() {
+    if (!this.isConnected()) {
+      return { success: false, error: 'Not connected' };
     }
 
     try {
-      const rxFreq = (processedSpot.frequency / 1000).toFixed(6);
-      const txFreq = rxFreq;
-      this.logger.debug('ProcessedSpot:', processedSpot);
-
-      let timestamp;
+      await this.sendCommandAsync('cwx clear', { priority: COMMAND_PRIORITY.HIGH });
+      this.logger.info('CWX: stopped.');
+      this.cwx.clear();
+      this.emit('cwxStatus', this.getCwxState());
+      return { success: true, error: null };
+    } catch (error) {
+      this.logger.error(`CWX stop failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Returns a snapshot of the transmitter state.
+   * @returns {object} - { state, ptt, transmitting, reason, source, txAllowed, rfPower, tunePower, mox, tune }
+   */
+  getTransmitState() {
+    const { state, reason, source, txAllowed, rfPower, tunePower, mox, tune } = this.transmitState;
+    return {
+      state,
+      ptt: this.transmitState.isPttOn(),
+      transmitting: this.transmitState.isTransmitting(),
+      reason,
+      source,
+      txAllowed,
+      rfPower,
+      tunePower,
+      mox,
+      tune,
+    };
+  }
+
+  /**
+   * Forgets the transmitter state after a connection loss, releasing PTT if it was on.
+   */
+  _resetTransmitState() {
+    // The radio's CWX buffer does not survive our connection; forget what we queued
+    if (this.cwx.isSending()) {
+      this.cwx.clear();
+      this.emit('cwxStatus', this.getCwxState());
+    }
+
+    const wasPttOn = this.transmitState.isPttOn();
+    this.transmitState = new TransmitState();
+    if (wasPttOn) {
+      this.emit('pttOff', this.getTransmitState());
+    }
+    this.emit('transmitState', this.getTransmitState());
+  }
+
+  /**
+   * True while the radio is keyed (or being keyed/unkeyed).
+   * @returns {boolean}
+   */
+  isTransmitting() {
+    return this.transmitState.isTransmitting();
+  }
+
+  /**
+   * Power to report to Wavelog: the measured TX power. The RF power setting is a percentage of the
+   * radio's maximum, not watts, so nothing is reported without a meter reading.
+   * @returns {number|null} - Watts, or null if no power has been measured.
+   */
+  getReportedPower() {
+    return this.meterReadings.txPowerWatts;
+  }
+
+  /**
+   * Subscribes to the radio's meter list and registers our UDP port for the meter stream.
+   */
+  subscribeMeters() {
+    if (this.config.flexRadio.meters?.enabled === false) {
+      this.logger.info('FlexRadio meter reading is disabled in config.');
+      return;
+    }
+
+    const registerPort = (port) => {
+      this.queueCommand('sub meter all', (response) => {
+        this.logger.debug(`Response to sub meter all: ${response}`);
+      });
+      this.queueCommand(`client udpport ${port}`, (response) => {
+        this.logger.debug(`Response to client udpport ${port}: ${response}`);
+      });
+    };
+
+    if (!this.meterStream) {
+      this.meterStream = new FlexRadioMeterStream(this.config, this.logger);
+      this.meterStream.on('meterValues', this.handleMeterValues.bind(this));
+      this.meterStream.on('error', () => {
+        this.meterStream = null;
+      });
+    }
+
+    if (this.meterStream.port) {
+      registerPort(this.meterStream.port);
+    } else {
+      this.meterStream.once('listening', registerPort);
+      this.meterStream.start();
+    }
+  }
+
+  /**
+   * Handles a meter definition update.
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleMeterStatus(eventData) {
+    const { index, statusMessage } = eventData;
+    let meter = this.metersByID.get(index);
+    if (!meter) {
+      meter = new Meter(index);
+      this.metersByID.set(index, meter);
+    }
+    meter.statusUpdate(statusMessage);
+  }
+
+  /**
+   * Handles a batch of raw meter values from the UDP stream.
+   * Only the meters we report on (forward power, SWR, ALC and PA temperature) are tracked.
+   * @param {Array<{id: number, raw: number}>} values - Raw meter values.
+   */
+  handleMeterValues(values) {
+    let changed = false;
+
+    values.forEach(({ id, raw }) => {
+      const meter = this.metersByID.get(id);
+      if (!meter) return;
+
+      const value = meter.updateValue(raw);
+      switch (meter.name) {
+        case 'FWDPWR':
+          // Forward power is reported in dBm
+          this.meterReadings.fwdPowerWatts = Math.round(Math.pow(10, (value - 30) / 10) * 10) / 10;
+          this._trackTxPower(this.meterReadings.fwdPowerWatts);
+          changed = true;
+          break;
+        case 'SWR':
+          this.meterReadings.swr = Math.round(value * 100) / 100;
+          changed = true;
+          break;
+        case 'ALC':
+        case 'HWALC':
+          this.meterReadings.alc = Math.round(value * 10) / 10;
+          changed = true;
+          break;
+        case 'PATEMP':
+          this.meterReadings.paTempC = Math.round((meter.units === 'degF' ? (value - 32) * 5 / 9 : value) * 10) / 10;
+          changed = true;
+          break;
+        default:
+          break;
+      }
+    });
+
+    if (changed) {
+      this.meterReadings.updatedAt = Date.now();
+      this._emitMeterReadings();
+    }
+  }
+
+  /**
+   * Tracks the peak forward power of the current transmission.
+   * When the transmission ends, the peak becomes the reported TX power.
+   * @param {number} watts - Current forward power in Watts.
+   */
+  _trackTxPower(watts) {
+    if (watts >= TX_POWER_THRESHOLD_WATTS) {
+      this.txPeakWatts = Math.max(this.txPeakWatts || 0, watts);
+    } else {
+      this._endTxPowerPeak();
+    }
+  }
+
+  /**
+   * Ends the current transmission's peak: it becomes the reported TX power and is emitted as 'txPower'.
+   * Called when the forward power drops below the threshold or PTT is released, whichever comes first.
+   * @returns {boolean} - True if a transmission was being tracked.
+   */
+  _endTxPowerPeak() {
+    if (this.txPeakWatts === null) return false;
+    this.logger.debug(`Transmission ended. Peak forward power: ${this.txPeakWatts} W`);
+    this.meterReadings.txPowerWatts = Math.round(this.txPeakWatts);
+    this.txPeakWatts = null;
+    this.emit('txPower', this.meterReadings.txPowerWatts);
+    return true;
+  }
+
+  /**
+   * Emits the slice list, throttled to SLICES_EMIT_INTERVAL_MS. The list is read when the event is emitted.
+   */
+  _emitSlicesChanged() {
+    const elapsed = Date.now() - this.lastSlicesEmit;
+    if (elapsed >= SLICES_EMIT_INTERVAL_MS) {
+      this.lastSlicesEmit = Date.now();
+      this.emit('slicesChanged', this.getSlices());
+    } else if (!this.slicesEmitTimer) {
+      this.slicesEmitTimer = setTimeout(() => {
+        this.slicesEmitTimer = null;
+        this.lastSlicesEmit = Date.now();
+        this.emit('slicesChanged', this.getSlices());
+      }, SLICES_EMIT_INTERVAL_MS - elapsed);
+    }
+  }
+
+  /**
+   * Emits the current meter readings, throttled to METER_EMIT_INTERVAL_MS.
+   */
+  _emitMeterReadings() {
+    const elapsed = Date.now() - this.lastMeterEmit;
+    if (elapsed >= METER_EMIT_INTERVAL_MS) {
+      this.lastMeterEmit = Date.now();
+      this.emit('meters', this.getMeterReadings());
+    } else if (!this.meterEmitTimer) {
+      this.meterEmitTimer = setTimeout(() => {
+        this.meterEmitTimer = null;
+        this.lastMeterEmit = Date.now();
+        this.emit('meters', this.getMeterReadings());
+      }, METER_EMIT_INTERVAL_MS - elapsed);
+    }
+  }
+
+  /**
+   * Returns a snapshot of the latest meter readings.
+   * @returns {object} - { fwdPowerWatts, swr, alc, paTempC, txPowerWatts, updatedAt }
+   */
+  getMeterReadings() {
+    return Object.assign({}, this.meterReadings);
+  }
+
+  _emptyMeterReadings() {
+    return {
+      fwdPowerWatts: null,
+      swr: null,
+      alc: null,
+      paTempC: null,
+      txPowerWatts: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Forgets meter definitions after a connection loss. The radio re-sends them on 'sub meter all'.
+   * The last TX power is kept so Wavelog keeps a sensible value across short outages.
+   */
+  _resetMeters() {
+    const txPowerWatts = this.meterReadings.txPowerWatts;
+    this.metersByID.clear();
+    this.txPeakWatts = null;
+    this.meterReadings = this._emptyMeterReadings();
+    this.meterReadings.txPowerWatts = txPowerWatts;
+    if (this.meterEmitTimer) {
+      clearTimeout(this.meterEmitTimer);
+      this.meterEmitTimer = null;
+    }
+    this.emit('meters', this.getMeterReadings());
+  }
+
+  /**
+   * Schedules a reconnection attempt after a delay.
+   */
+  scheduleReconnect() {
+    if (!this.shouldReconnect) {
+      this.logger.info('Reconnection not scheduled due to manual disconnect.');
+      return;
+    }
+
+    if (this.isReconnecting) {
+      this.logger.warn('Reconnection attempt already in progress.');
+      return;
+    }
+
+    this.isReconnecting = true;
+    const delay = this.reconnectPolicy.schedule(() => {
+      this.isReconnecting = false;
+      if (!this.connected && this.shouldReconnect) {
+        this.initiateConnection();
+      }
+    });
+    this.logger.info(`Retrying connection to FlexRadio in ${Math.round(delay / 1000)} seconds (attempt ${this.reconnectPolicy.attempt})...`);
+  }
+
+  /**
+   * Returns the reconnect countdown.
+   * @returns {object} - { attempt, nextAttemptAt, delayMs }; nextAttemptAt is null while no retry is scheduled.
+   */
+  getReconnectState() {
+    return this.reconnectPolicy.getState();
+  }
+
+  /**
+   * Starts pinging the radio. A half-open connection (VPN drop, sleeping laptop) never closes by itself;
+   * an unanswered ping is the only way to notice it.
+   */
+  _startKeepalive() {
+    this._stopKeepalive();
+    const intervalSeconds = this.config.flexRadio.keepalive?.intervalSeconds ?? 10;
+    if (!(intervalSeconds > 0)) return;
+
+    this.keepaliveTimer = setInterval(() => this._sendKeepalive(), intervalSeconds * 1000);
+  }
+
+  _stopKeepalive() {
+    if (this.keepaliveTimer) {
+      clearInterval(this.keepaliveTimer);
+      this.keepaliveTimer = null;
+    }
+  }
+
+  /**
+   * Sends one 'ping' and records its round-trip time. If the radio does not answer in time the socket
+   * is destroyed, which runs the normal close handling and reconnects.
+   */
+  async _sendKeepalive() {
+    if (this.keepaliveInFlight || !this.isConnected()) return;
+
+    this.keepaliveInFlight = true;
+    const startedAt = Date.now();
+    try {
+      const reply = await this.sendCommandAsync('ping', {
+        priority: COMMAND_PRIORITY.HIGH,
+        timeoutMs: this.config.flexRadio.keepalive?.timeoutMs || 10000,
+      });
+      this.linkHealth.recordSuccess(reply.latencyMs ?? Date.now() - startedAt);
+      this.emit('linkHealth', this.getLinkHealth());
+    } catch (error) {
+      if (error.code === FlexRadioCommandError.TIMEOUT && this.isConnected()) {
+        this.linkHealth.recordFailure();
+        this.emit('linkHealth', this.getLinkHealth());
+        this.logger.warn('FlexRadio did not answer the keepalive ping. Dropping the connection to reconnect.');
+        if (this.flexClient) this.flexClient.destroy();
+      } else if (error.code === FlexRadioCommandError.RADIO_ERROR) {
+        // Any reply, even an error, proves the link is alive
+        this.linkHealth.recordSuccess(Date.now() - startedAt);
+        this.emit('linkHealth', this.getLinkHealth());
+      }
+    } finally {
+      this.keepaliveInFlight = false;
+    }
+  }
+
+  /**
+   * Returns the keepalive round-trip times of the radio link.
+   * @returns {object} - { lastLatencyMs, averageLatencyMs, maxLatencyMs, history, failures, lastProbeAt, ok }
+   */
+  getLinkHealth() {
+    return this.linkHealth.toJSON();
+  }
+
+  /**
+   * Checks if the FlexRadio client is connected.
+   * @returns {boolean} - True if connected, false otherwise.
+   */
+  isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Points the client at a new radio address (e.g. after a DHCP change seen by discovery).
+   * An established connection is left alone; the next (re)connect attempt uses the new address.
+   * @param {string} host - The radio's new IP address.
+   */
+  updateHost(host) {
+    if (!host) return;
+    this.config.flexRadio.host = host;
+    if (!this.activeHost || host === this.activeHost) return;
+
+    this.logger.info(`FlexRadio address changed from ${this.activeHost} to ${host}.`);
+    this.activeHost = host;
+
+    if (!this.connected && this.shouldReconnect && this.flexClient && !this.isReconnecting) {
+      // The old address is unreachable; retry right away instead of waiting for the socket timeout
+      this.flexClient.destroy();
+    } else if (!this.connected && this.shouldReconnect && this.isReconnecting) {
+      // Waiting out the backoff for the old address; the new one is worth a try now
+      this.reconnectPolicy.retryNow();
+    }
+  }
+
+  /**
+   * Queues a command and returns a promise for the radio's reply.
+   * Commands are sent one at a time, by priority and then in order, with a short gap between them.
+   * @param {string} command - The command string to send.
+   * @param {object} [options] - Command options.
+   * @param {AbortSignal} [options.signal] - Cancels the command. A queued command is dropped; a command
+   *   already sent cannot be recalled from the radio, but its reply is no longer waited for.
+   * @param {number} [options.timeoutMs] - Overrides flexRadio.commandTimeout for this command.
+   * @param {number} [options.priority] - COMMAND_PRIORITY; the command goes out ahead of queued commands
+   *   of a lower priority. Defaults to NORMAL.
+   * @returns {Promise<{code: number, message: string, response: string, latencyMs: number}>} - Resolves when the
+   *   radio answers with code 0; `message` is the text after the code (e.g. the ID returned by 'spot add'),
+   *   `latencyMs` the time from sending the command until the reply.
+   * @throws {FlexRadioCommandError} - Non-zero response code, timeout, cancellation or connection failure.
+   */
+  sendCommandAsync(command, options = {}) {
+    const { signal, timeoutMs } = options;
+    const priority = Number.isInteger(options.priority) ? options.priority : COMMAND_PRIORITY.NORMAL;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new FlexRadioCommandError(command, FlexRadioCommandError.CANCELLED));
+        return;
+      }
+
+      const entry = {
+        command,
+        timeoutMs,
+        priority,
+        queuedAt: Date.now(),
+        sentAt: null,
+        seqNum: null,
+        timeout: null,
+        finished: false,
+        settled: false,
+      };
+      const onAbort = () => this._cancelCommand(entry);
+
+      entry.settle = (err, reply) => {
+        if (entry.settled) return;
+        entry.settled = true;
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (err) {
+          reject(err);
+        } else {
+          resolve(reply);
+        }
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      // Behind everything of the same or a higher priority
+      const insertAt = this.commandQueue.findIndex((queued) => queued.priority > priority);
+      if (insertAt === -1) {
+        this.commandQueue.push(entry);
+      } else {
+        this.commandQueue.splice(insertAt, 0, entry);
+      }
+      this._scheduleCommandStats();
+
+      if (!this.sendingCommands) {
+        this.processCommandQueue();
+      }
+    });
+  }
+
+  /**
+   * Queues a command to be sent to the FlexRadio server.
+   * Callback form of sendCommandAsync: the callback receives the raw reply (e.g. "0|12" or "50000015|...")
+   * or the error message if the command could not be completed.
+   * @param {string} command - The command string to send.
+   * @param {function} callback - Callback function to handle the response.
+   */
+  queueCommand(command, callback) {
+    this.sendCommandAsync(command)
+      .then(
+        (reply) => {
+          if (typeof callback === 'function') callback(reply.response);
+        },
+        (err) => {
+          if (typeof callback === 'function') callback(err.response || err.message);
+        }
+      )
+      .catch((error) => {
+        this.logger.error(`Error in callback for command "${command}": ${error.message}`);
+      });
+  }
+
+  /**
+   * Sends the next queued command.
+   */
+  processCommandQueue() {
+    const entry = this.commandQueue.shift();
+    if (!entry) {
+      this.sendingCommands = false;
+      this.activeCommand = null;
+      return;
+    }
+
+    this.sendingCommands = true;
+    this.activeCommand = entry;
+    this.writeCommand(entry);
+  }
+
+  /**
+   * Writes a queued command to the socket and registers it as pending until its reply arrives.
+   * @param {object} entry - Queue entry created by sendCommandAsync.
+   */
+  writeCommand(entry) {
+    if (!this.isConnected()) {
+      if (!this.isDisconnecting) {
+        this.logger.warn('Cannot send command. FlexRadio client is not connected.');
+      }
+      this._finishCommand(entry, new FlexRadioCommandError(entry.command, FlexRadioCommandError.NOT_CONNECTED));
+      return;
+    }
+
+    if (this.flexSequenceNumber > 99999) {
+      this.flexSequenceNumber = 1;
+    }
+
+    const seqNum = this.flexSequenceNumber++;
+    const fullCommand = `C${seqNum}|${entry.command}`;
+
+    entry.seqNum = seqNum;
+    entry.sentAt = Date.now();
+    this._recordLatency('queue', entry.sentAt - entry.queuedAt);
+    entry.timeout = setTimeout(() => {
+      this.logger.error(`Timeout waiting for response to command C${seqNum}`);
+      this._finishCommand(entry, new FlexRadioCommandError(entry.command, FlexRadioCommandError.TIMEOUT));
+    }, entry.timeoutMs || this.config.flexRadio.commandTimeout || 15000);
+    this.flexPendingCommands[seqNum] = entry;
+
+    this.logger.debug(`Sending command: ${fullCommand}`);
+    if (this.recorder) this.recorder.record('flex', 'out', fullCommand + '\n');
+    this.flexClient.write(fullCommand + '\n', (err) => {
+      if (err) {
+        this.logger.error(`Error sending command "${fullCommand}": ${err.message}`);
+        this._finishCommand(
+          entry,
+          new FlexRadioCommandError(entry.command, FlexRadioCommandError.SEND_FAILED, { detail: err.message })
+        );
+      }
+    });
+  }
+
+  /**
+   * Settles a command and, if it was the one being sent, moves the queue on.
+   * @param {object} entry - Queue entry created by sendCommandAsync.
+   * @param {FlexRadioCommandError|null} err - The failure, or null on success.
+   * @param {object} [reply] - The parsed reply on success.
+   */
+  _finishCommand(entry, err, reply) {
+    if (entry.finished) return;
+    entry.finished = true;
+
+    clearTimeout(entry.timeout);
+    if (entry.seqNum !== null && this.flexPendingCommands[entry.seqNum] === entry) {
+      delete this.flexPendingCommands[entry.seqNum];
+    }
+    // Only commands the radio answered tell how fast it is
+    if (entry.sentAt !== null && (reply || (err && err.response))) {
+      const latencyMs = Date.now() - entry.sentAt;
+      this._recordLatency('reply', latencyMs);
+      if (reply) reply.latencyMs = latencyMs;
+    }
+    entry.settle(err, reply);
+    this._scheduleCommandStats();
+
+    if (this.activeCommand === entry) {
+      this.activeCommand = null;
+      setTimeout(() => this.processCommandQueue(), 200);
+    }
+  }
+
+  /**
+   * Cancels a command, whether it is still queued or waiting for its reply.
+   * @param {object} entry - Queue entry created by sendCommandAsync.
+   */
+  _cancelCommand(entry) {
+    const err = new FlexRadioCommandError(entry.command, FlexRadioCommandError.CANCELLED);
+    const queuedIndex = this.commandQueue.indexOf(entry);
+    if (queuedIndex !== -1) {
+      this.commandQueue.splice(queuedIndex, 1);
+      entry.finished = true;
+      entry.settle(err);
+      return;
+    }
+
+    if (entry.seqNum !== null) {
+      this.logger.debug(`Command C${entry.seqNum} cancelled while waiting for its reply.`);
+    }
+    this._finishCommand(entry, err);
+  }
+
+  /**
+   * Fails every command that is waiting for a reply, e.g. because the connection closed.
+   * @param {string} code - FlexRadioCommandError code to fail them with.
+   */
+  _failPendingCommands(code) {
+    Object.values(this.flexPendingCommands).forEach((entry) => {
+      this._finishCommand(entry, new FlexRadioCommandError(entry.command, code));
+    });
+  }
+
+  /**
+   * Fails every command that has not been sent yet.
+   * @param {string} code - FlexRadioCommandError code to fail them with.
+   */
+  _failQueuedCommands(code) {
+    const queued = this.commandQueue;
+    this.commandQueue = [];
+    queued.forEach((entry) => {
+      entry.finished = true;
+      entry.settle(new FlexRadioCommandError(entry.command, code));
+    });
+  }
+
+  /**
+   * Splits a reply into its SmartSDR response code and message.
+   * @param {string} response - Reply text after the sequence number, e.g. "0|12" or "50000015|...".
+   * @returns {{code: number, message: string, response: string}} - `code` is NaN if the reply has no hex code.
+   */
+  static parseResponse(response) {
+    const separator = response.indexOf('|');
+    const codeText = separator === -1 ? response : response.substring(0, separator);
+    const message = separator === -1 ? '' : response.substring(separator + 1);
+    const code = /^[0-9A-Fa-f]+$/.test(codeText) ? parseInt(codeText, 16) : NaN;
+    return { code, message, response };
+  }
+
+  /**
+   * Keeps a latency sample for getCommandQueueStats().
+   * @param {string} kind - 'queue' (time waiting in the queue) or 'reply' (time until the radio answered).
+   * @param {number} ms - Latency in milliseconds.
+   */
+  _recordLatency(kind, ms) {
+    const samples = this.commandLatency[kind];
+    samples.push(ms);
+    if (samples.length > COMMAND_LATENCY_SAMPLES) samples.shift();
+  }
+
+  /**
+   * Returns the state of the command queue.
+   * @returns {object} - { queued, queuedSpotCommands, spotsWaiting, spotsHeld, queueLatencyMs, maxQueueLatencyMs,
+   *   replyLatencyMs }. Latencies are over the last commands sent, null before the first one.
+   */
+  getCommandQueueStats() {
+    const average = (samples) =>
+      samples.length > 0 ? Math.round(samples.reduce((sum, ms) => sum + ms, 0) / samples.length) : null;
+    const { queue, reply } = this.commandLatency;
+    return {
+      queued: this.commandQueue.length,
+      queuedSpotCommands: this.commandQueue.filter((entry) => entry.priority === COMMAND_PRIORITY.SPOT).length,
+      spotsWaiting: this.spotOutbox.size,
+      spotsHeld: this.heldSpots.size,
+      queueLatencyMs: average(queue),
+      maxQueueLatencyMs: queue.length > 0 ? Math.max(...queue) : null,
+      replyLatencyMs: average(reply),
+    };
+  }
+
+  /**
+   * Emits 'commandQueueStats', throttled to COMMAND_STATS_INTERVAL_MS.
+   */
+  _scheduleCommandStats() {
+    if (this.statsEmitTimer) return;
+    const elapsed = Date.now() - this.lastStatsEmit;
+    this.statsEmitTimer = setTimeout(() => {
+      this.statsEmitTimer = null;
+      this.lastStatsEmit = Date.now();
+      this.emit('commandQueueStats', this.getCommandQueueStats());
+    }, Math.max(0, COMMAND_STATS_INTERVAL_MS - elapsed));
+  }
+
+  /**
+   * Sends a spot to FlexRadio. Spots go out one at a time, at most flexRadio.spotManagement.maxSpotsPerSecond,
+   * behind any other command; a newer spot for the same callsign, band and mode replaces one still waiting.
+   * @param {object} processedSpot - The processed spot object.
+   * @param {object} [options] - { lifetimeSeconds } to override the configured spot lifetime (used when re-pushing).
+   * @returns {Promise<object>} - { success: boolean, error: string|null, held?: boolean }, resolved once the spot
+   *   (or the newer spot that replaced it) is on the radio, or held back for a band no panadapter shows.
+   */
+  async sendSpot(processedSpot, options = {}) {
+    if (!this.connected) {
+      const now = Date.now();
+      // Only log the warning if 120 seconds (120,000 ms) have passed since the last time
+      if (now - this.lastConnectionWarningTime > 120000) {
+        this.logger.warn('FlexRadio is not connected. Cannot send spot. (Warning suppressed for 120s)');
+        this.lastConnectionWarningTime = now;
+      }
+      return { success: false, error: 'FlexRadio is not connected.' };
+    }
+
+    // Spots for bands nobody is looking at wait until a panadapter shows them
+    if (!this._isSpotShown(Math.round(processedSpot.frequency * 1000))) {
+      const lifetimeSeconds =
+        options.lifetimeSeconds || this.config.flexRadio.spotManagement.lifetimeSeconds || 3600;
+      this._holdSpot(processedSpot, lifetimeSeconds);
+      this.logger.debug(`Spot ${processedSpot.spotted} held: no panadapter shows ${processedSpot.frequency} kHz`);
+      return { success: true, error: null, held: true };
+    }
+
+    const key = processedSpot.id || `${processedSpot.spotted}|${Math.round(processedSpot.frequency)}`;
+    return new Promise((resolve) => {
+      const waiting = this.spotOutbox.get(key);
+      if (waiting) {
+        // Skimmer bursts: only the newest report of a spot still waiting is sent
+        waiting.spot = processedSpot;
+        waiting.options = options;
+        waiting.waiters.push(resolve);
+      } else {
+        this.spotOutbox.set(key, { spot: processedSpot, options, waiters: [resolve] });
+      }
+      this._scheduleCommandStats();
+      this._pumpSpotOutbox();
+    });
+  }
+
+  /**
+   * Sends the next waiting spot once the previous one is done and the rate limit allows.
+   */
+  _pumpSpotOutbox() {
+    if (this.deliveringSpot || this.spotOutboxTimer || this.spotOutbox.size === 0) return;
+
+    const maxRate = this.config.flexRadio.spotManagement.maxSpotsPerSecond;
+    const wait = maxRate > 0 ? this.lastSpotSentAt + 1000 / maxRate - Date.now() : 0;
+    if (wait > 0) {
+      this.spotOutboxTimer = setTimeout(() => {
+        this.spotOutboxTimer = null;
+        this._pumpSpotOutbox();
+      }, wait);
+      return;
+    }
+
+    const [key, item] = this.spotOutbox.entries().next().value;
+    this.spotOutbox.delete(key);
+    this.deliveringSpot = true;
+    this.lastSpotSentAt = Date.now();
+
+    this._deliverSpot(item.spot, item.options).then((result) => {
+      this.deliveringSpot = false;
+      item.waiters.forEach((resolve) => resolve(result));
+      this._pumpSpotOutbox();
+    });
+  }
+
+  /**
+   * Drops the spots still waiting to be sent, e.g. because the connection closed.
+   * @param {string} error - Reason given to whoever waits for them.
+   */
+  _clearSpotOutbox(error) {
+    clearTimeout(this.spotOutboxTimer);
+    this.spotOutboxTimer = null;
+    const waiting = Array.from(this.spotOutbox.values());
+    this.spotOutbox.clear();
+    waiting.forEach((item) => item.waiters.forEach((resolve) => resolve({ success: false, error })));
+  }
+
+  /**
+   * Adds a spot to the radio, replacing the spot it sent earlier under the same spot ID.
+   * @param {object} processedSpot - The processed spot object.
+   * @param {object} options - { lifetimeSeconds }.
+   * @returns {Promise<object>} - { success: boolean, error: string|null }
+   */
+  async _deliverSpot(processedSpot, options) {
+    try {
+      const rxFreq = (processedSpot.frequency / 1000).toFixed(6);
+      const txFreq = rxFreq;
+      this.logger.debug('ProcessedSpot:', processedSpot);
+
+      let timestamp;
 
       if (typeof processedSpot.timestamp === 'number') {
         timestamp = processedSpot.timestamp;
@@ -611,100 +1913,27 @@ module.exports = class FlexRadioClient extends EventEmitter {
       const mode = processedSpot.mode || 'CW';
       const source = 'wave-flex-integrator';
       const lifetimeSeconds =
-        this.config.flexRadio.spotManagement.lifetimeSeconds || 3600;
-      const priority = 4;
+        options.lifetimeSeconds || this.config.flexRadio.spotManagement.lifetimeSeconds || 3600;
       const triggerAction = 'tune';
 
-      let textColor = this.config.flexRadio.spotManagement.colors.default.textColor;
-      let backgroundColor = this.config.flexRadio.spotManagement.colors.default.backgroundColor;
-      let backgroundOpacity = 80;
-      let textOpacity = 100;
-
-      const augmentedData = processedSpot.wavelog_augmented_data || {};
-      const {
-        call_confirmed,
-        call_confirmed_band,
-        call_confirmed_band_mode,
-        call_worked,
-        call_worked_band,
-        call_worked_band_mode,
-        dxcc_confirmed,
-        dxcc_confirmed_on_band,
-        dxcc_confirmed_on_band_mode,
-        lotw_member,
-      } = augmentedData;
-
-      const spottedCallsign = processedSpot.spotted.toUpperCase();
-
-      this.logger.debug(`Processing spot for callsign: ${spottedCallsign}`);
-
-      let commentParts = [];
-
-      if (spottedCallsign === this.stationCallsign) {
-        this.logger.debug("Callsign matches my own callsign.");
-        textColor = this.config.flexRadio.spotManagement.colors.myCallsign.textColor;
-        backgroundColor = this.config.flexRadio.spotManagement.colors.myCallsign.backgroundColor;
-        backgroundOpacity = 80;
-
-        commentParts.push('You.');
-      } else {
-        if (dxcc_confirmed === false) {
-          this.logger.debug("DXCC needed.");
-          textColor = this.config.flexRadio.spotManagement.colors.dxccNeeded.textColor;
-          backgroundColor = this.config.flexRadio.spotManagement.colors.dxccNeeded.backgroundColor;
-          commentParts.push('New DXCC.');
-        } else if (dxcc_confirmed_on_band === false) {
-          this.logger.debug("DXCC is needed for band.");
-          textColor = this.config.flexRadio.spotManagement.colors.dxccNeededBand.textColor;
-          backgroundColor = this.config.flexRadio.spotManagement.colors.dxccNeededBand.backgroundColor;
-          commentParts.push('DXCC needed for band.');
-        } else if (dxcc_confirmed_on_band_mode === false) {
-          this.logger.debug("DXCC is needed for the band and mode.");
-          textColor = this.config.flexRadio.spotManagement.colors.dxccNeededBandMode.textColor;
-          backgroundColor = this.config.flexRadio.spotManagement.colors.dxccNeededBandMode.backgroundColor;
-          commentParts.push('DXCC needed for band and mode.');
-        } else {
-          this.logger.debug("DXCC is confirmed for band and mode. Using default colors.");
-        }
+      const spotManagement = this.config.flexRadio.spotManagement;
+      const rules =
+        Array.isArray(spotManagement.colorRules) && spotManagement.colorRules.length > 0
+          ? spotManagement.colorRules
+          : buildDefaultRules(spotManagement.colors);
 
-        if (lotw_member === false) {
-          this.logger.debug("Callsign is not an active member of LoTW.");
-          textColor = this.config.flexRadio.spotManagement.colors.notLotw.textColor;
-          commentParts.push('LoTW inactive.');
-        }
+      this.logger.debug(`Processing spot for callsign: ${processedSpot.spotted.toUpperCase()}`);
 
-        if (call_confirmed_band_mode === true) {
-          backgroundOpacity = this.config.flexRadio.spotManagement.colors.callConfirmedBandMode.opacity;
-          this.logger.debug(`Call confirmed on actual band and mode. Set opacity to ${backgroundOpacity}%.`);
-          commentParts.push('Call confirmed on band and mode.');
-        } else if (call_worked_band_mode === true) {
-          backgroundOpacity = this.config.flexRadio.spotManagement.colors.callWorkedBandMode.opacity;
-          this.logger.debug(`Worked before on actual band and mode. Set opacity to ${backgroundOpacity}%.`);
-          commentParts.push('Worked before on band and mode.');
-        } else if (call_confirmed_band === true) {
-          backgroundOpacity = this.config.flexRadio.spotManagement.colors.callConfirmedBand.opacity;
-          this.logger.debug(`Call confirmed on actual band. Set opacity to ${backgroundOpacity}%.`);
-          commentParts.push('Call confirmed on band.');
-        } else if (call_worked_band === true) {
-          backgroundOpacity = this.config.flexRadio.spotManagement.colors.callWorkedBand.opacity;
-          this.logger.debug(`Worked before on actual band. Set opacity to ${backgroundOpacity}%.`);
-          commentParts.push('Worked before on band.');
-        } else if (call_confirmed === true) {
-          backgroundOpacity = this.config.flexRadio.spotManagement.colors.callConfirmed.opacity;
-          this.logger.debug(`Call confirmed. Set opacity to ${backgroundOpacity}%.`);
-          commentParts.push('Call confirmed.');
-        } else if (call_worked === true) {
-          backgroundOpacity = this.config.flexRadio.spotManagement.colors.callWorked.opacity;
-          this.logger.debug(`Worked before on any band and mode. Set opacity to ${backgroundOpacity}%.`);
-          commentParts.push('Worked before');
-        } else {
-          backgroundOpacity = 80;
-          this.logger.debug(`Call not confirmed. Using default background opacity of ${backgroundOpacity}%.`);
-          commentParts.push('New callsign.');
-        }
-      }
+      const style = evaluateSpotRules(rules, processedSpot, {
+        stationCallsign: this.stationCallsign,
+        defaultTextColor: spotManagement.colors.default.textColor,
+        defaultBackgroundColor: spotManagement.colors.default.backgroundColor,
+      });
+      this.logger.debug(`Spot color rules matched: ${style.matched.join(', ') || 'none'}`);
 
-      textOpacity = 100;
+      const { textColor, backgroundColor, priority } = style;
+      const backgroundOpacity = style.opacity;
+      const textOpacity = 100;
 
       const backgroundOpacityHex = Math.round((backgroundOpacity / 100) * 255)
         .toString(16)
@@ -722,7 +1951,7 @@ module.exports = class FlexRadioClient extends EventEmitter {
       this.logger.debug(`Final text color: ${finalTextColor}`);
       this.logger.debug(`Final background color: ${finalBackgroundColor}`);
 
-      let comment = commentParts.join(' ');
+      let comment = style.comment;
 
       if (comment.length > 120) {
         comment = comment.substring(0, 117) + '...';
@@ -736,30 +1965,6 @@ module.exports = class FlexRadioClient extends EventEmitter {
         processedSpot.spotter
       } timestamp=${timestamp} lifetime_seconds=${lifetimeSeconds} priority=${priority} comment=${comment} trigger_action=${triggerAction}`;
 
-      const sendSpotAddCommand = () => {
-        this.queueCommand(spotCommand, (addResponse) => {
-          this.logger.debug(`Response from FlexRadio for spot add: ${addResponse}`);
-          const responseMatch = addResponse.match(/^0\|(\d+)$/);
-          if (responseMatch) {
-            const flexRadioSpotID = parseInt(responseMatch[1], 10);
-
-            const spot = new Spot(flexRadioSpotID);
-            spot.spotID = processedSpot.id;
-            spot.callsign = processedSpot.spotted;
-            spot.expirationTime = Date.now() + lifetimeSeconds * 1000;
-
-            this.flexSpotsByID.set(flexRadioSpotID, spot);
-            if (spot.spotID) {
-              this.flexSpotsBySpotID.set(spot.spotID, spot);
-            }
-
-            this.logger.debug(`Stored FlexRadio Spot ID ${flexRadioSpotID} with Spot ID ${spot.spotID}`);
-          } else {
-            this.logger.warn(`Unexpected response format for spot add: ${addResponse}`);
-          }
-        });
-      };
-
       if (this.flexSpotsBySpotID.has(processedSpot.id)) {
         this.logger.debug(
           `Existing spot found, need to remove it before adding a new spot: ${processedSpot.id}`
@@ -767,18 +1972,42 @@ module.exports = class FlexRadioClient extends EventEmitter {
         const existingSpotData = this.flexSpotsBySpotID.get(processedSpot.id);
         const existingFlexRadioSpotID = existingSpotData.index;
 
-        this.queueCommand(`spot remove ${existingFlexRadioSpotID}`, (removeResponse) => {
-          this.logger.debug(`Response from FlexRadio for spot remove: ${removeResponse}`);
-          this.flexSpotsByID.delete(existingFlexRadioSpotID);
-          this.flexSpotsBySpotID.delete(processedSpot.id);
+        try {
+          await this.sendCommandAsync(`spot remove ${existingFlexRadioSpotID}`, { priority: COMMAND_PRIORITY.SPOT });
+        } catch (error) {
+          // The radio may already have dropped it (e.g. lifetime expired); add the new one regardless
+          this.logger.debug(`Spot remove ${existingFlexRadioSpotID} failed: ${error.message}`);
+        }
+        this.flexSpotsByID.delete(existingFlexRadioSpotID);
+        this.flexSpotsBySpotID.delete(processedSpot.id);
+      }
 
-          sendSpotAddCommand();
-        });
-      } else {
-        sendSpotAddCommand();
+      const addReply = await this.sendCommandAsync(spotCommand, { priority: COMMAND_PRIORITY.SPOT });
+      this.logger.debug(`Response from FlexRadio for spot add: ${addReply.response}`);
+
+      const flexRadioSpotID = parseInt(addReply.message, 10);
+      if (isNaN(flexRadioSpotID)) {
+        this.logger.warn(`Unexpected response format for spot add: ${addReply.response}`);
+        return { success: false, error: `Unexpected response to spot add: ${addReply.response}` };
+      }
+
+      const spot = new Spot(flexRadioSpotID);
+      spot.spotID = processedSpot.id;
+      spot.callsign = processedSpot.spotted;
+      spot.frequency = parseFloat(rxFreq);
+      spot.mode = mode;
+      spot.expirationTime = Date.now() + lifetimeSeconds * 1000;
+
+      this.flexSpotsByID.set(flexRadioSpotID, spot);
+      if (spot.spotID) {
+        this.flexSpotsBySpotID.set(spot.spotID, spot);
       }
+
+      this.logger.debug(`Stored FlexRadio Spot ID ${flexRadioSpotID} with Spot ID ${spot.spotID}`);
+      return { success: true, error: null };
     } catch (error) {
       this.logger.error(`Error sending spot: ${error.message}`);
+      return { success: false, error: error.message };
     }
   }
 
@@ -800,36 +2029,65 @@ module.exports = class FlexRadioClient extends EventEmitter {
       }
     }
 
+    for (const [key, held] of this.heldSpots.entries()) {
+      if (held.expirationTime <= now) {
+        this.heldSpots.delete(key);
+        removedCount++;
+      }
+    }
+
     if (removedCount > 0) {
       this.logger.debug(`Cleanup complete. Removed ${removedCount} expired spot(s).`);
     } else {
       this.logger.debug('Cleanup complete. No expired spots found.');
     }
 
-    this.logger.debug(`Current lookup table size: ${this.flexSpotsByID.size} spot(s).`);
+    this.logger.debug(`Current lookup table size: ${this.flexSpotsByID.size} spot(s), ${this.heldSpots.size} held.`);
   }
 
   /**
    * Sets the frequency and mode of the currently active Transmit Slice.
    * Starts a background timer to ensure state synchronization even if the radio is silent.
-   * Includes logic to load Global Profiles or force Antenna Matrix based on config.
+   * Includes logic to load Global Profiles or force Antenna Matrix based on config, and applies the
+   * per-band power and ATU presets (flexRadio.powerManagement) when the band or mode group changes.
+   * With options.txFrequencyHz the radio works split: freqHz is tuned on the RX slice and the TX flag
+   * moves to a second slice at txFrequencyHz. Without it, any split set up earlier is undone.
+   * options.filter and options.antennas restore a band stack entry; the antennas are only used
+   * when antenna management is off.
    * @param {number} freqHz - Frequency in Hertz.
    * @param {string} mode - Mode string (e.g., 'cw', 'ssb').
-   * @returns {object} - { success: boolean, error: string|null }
+   * @param {object} [options] - { txFrequencyHz } to work split, { filter: { low, high } } in Hz relative to
+   *   the slice frequency, { antennas: { rxant, txant } }.
+   * @returns {Promise<object>} - { success: boolean, error: string|null }, resolved once the slice reports the
+   *   target frequency and mode, or with the reason when a command is rejected or the report does not come in time.
    */
-  setSliceFrequency(freqHz, mode) {
+  async setSliceFrequency(freqHz, mode, options = {}) {
     if (!this.isConnected()) {
       const msg = 'FlexRadio is NOT connected.';
       this.logger.warn(`Ignored QSY request because ${msg}`);
       return { success: false, error: msg };
     }
 
-    // 1. Find Active TX Slice
-    let targetSlice = null;
-    if (this.activeTXSlices && this.activeTXSlices.length > 0) {
+    if (this.isTransmitting()) {
+      const msg = 'Radio is transmitting. QSY refused.';
+      this.logger.warn(`Ignored QSY request to ${freqHz} Hz: ${msg}`);
+      return { success: false, error: msg };
+    }
+
+    // 1. Find the slice to tune: the RX slice of our split, else the active TX slice
+    const splitSlices = this._getSplitSlices();
+    let targetSlice = splitSlices ? splitSlices.rx : null;
+    if (!targetSlice && this.activeTXSlices && this.activeTXSlices.length > 0) {
       targetSlice = this.activeTXSlices[0];
-    } else if (this.flexSlicesByID.size > 0) {
-      targetSlice = this.flexSlicesByID.values().next().value;
+    } else if (!targetSlice) {
+      targetSlice = Array.from(this.flexSlicesByID.values()).find((slice) => this._isBoundSlice(slice)) || null;
+    }
+
+    if (!targetSlice && this._boundStation()) {
+      const station = this.config.flexRadio.bindStation.trim();
+      const msg = `No slice of station ${station} found. Ensure SmartSDR or Maestro is running on ${station}.`;
+      this.logger.error(`Cannot QSY: ${msg}`);
+      return { success: false, error: msg };
     }
 
     if (!targetSlice) {
@@ -884,167 +2142,617 @@ module.exports = class FlexRadioClient extends EventEmitter {
     } else if (antMgmt.mode === 'profiles' && targetBand) {
         // Only load a profile if we are changing BANDS (prevents extreme relay-wear and delays on same-band spots)
         if (targetBand !== currentBand) {
-            needProfileLoad = true;
-            const modeForProfile = flexMode || targetSlice.mode;
-
-            // Map specific voice modes to 'SSB' for the profile lookup
-            let profileModeGroup = modeForProfile.toUpperCase();
-            if (['LSB', 'USB'].includes(profileModeGroup)) {
-                profileModeGroup = 'SSB';
-            }
-
-            // Apply strict spacing/dashes rules matching TeensyMaestro CE
-            let separator = " - "; // Default for 2-digit bands (e.g. 10m, 80m)
-            if (targetBand === "160m") {
-                separator = " -- ";
-            } else if (targetBand.length === 2) {
-                // Single digit band like '6m' (length is 2). Needs an extra space for alignment.
-                separator = " -  ";
+            const profileModeGroup = profileNames.profileModeGroup(flexMode || targetSlice.mode);
+            profileNameTarget = profileNames.resolveProfileName(
+              antMgmt.profileTemplates,
+              targetBand,
+              profileModeGroup,
+              this.globalProfiles
+            );
+
+            if (profileNameTarget) {
+                needProfileLoad = true;
+            } else {
+                // Loading a name the radio does not have would only produce an error reply
+                this.logger.warn(`Antenna Management: No Global Profile for ${profileModeGroup} on ${targetBand}, none loaded.`);
             }
-
-            profileNameTarget = `${profileModeGroup}${separator}${targetBand}`;
         }
+    } else if ((antMgmt.mode || 'off') === 'off' && options.antennas) {
+        // Antennas remembered in the band stack
+        rxAntTarget = options.antennas.rxant || null;
+        txAntTarget = options.antennas.txant || null;
+        needAntennaMatrix =
+          (!!rxAntTarget && rxAntTarget !== (targetSlice.rxant || '')) ||
+          (!!txAntTarget && txAntTarget !== (targetSlice.txant || ''));
+    }
+
+    // RX filter remembered in the band stack. A mode change resets the filter, so send it again after one.
+    const filter = options.filter || null;
+    const needFilter =
+      !!filter && (needMode || targetSlice.filter_lo !== filter.low || targetSlice.filter_hi !== filter.high);
+
+    // Per-band RF power, tune power and ATU, applied when the QSY changes band or mode group
+    const targetMode = flexMode || targetSlice.mode;
+    const powerPreset = this._getPowerPreset(targetBand, targetMode);
+    const needPowerPreset =
+      !!powerPreset && (targetBand !== currentBand || powerModeGroup(targetMode) !== powerModeGroup(targetSlice.mode));
+
+    // Split: TX on a second slice, or back on the RX slice when no TX frequency is given
+    const txFrequencyHz = Number.isFinite(options.txFrequencyHz) ? Math.round(options.txFrequencyHz) : null;
+    const txMode = flexMode || targetSlice.mode;
+    const needSplit =
+      txFrequencyHz !== null &&
+      (!splitSlices ||
+        Math.round(splitSlices.tx.frequency * 1e6) !== txFrequencyHz ||
+        splitSlices.tx.mode !== txMode);
+    const needUnsplit = txFrequencyHz === null && !!splitSlices;
+
+    // License privileges apply where we transmit: the TX slice when split, else the tuned slice
+    const privilege = checkTransmit(this.config.licensePrivileges, txFrequencyHz ?? freqHz, txMode);
+    if (!privilege.allowed) {
+      if (this.config.licensePrivileges.action !== 'warn') {
+        this.logger.warn(`QSY refused: ${privilege.reason}`);
+        this.emit('licenseWarning', `QSY refused: ${privilege.reason}`);
+        return { success: false, error: privilege.reason };
+      }
+      this.logger.warn(`QSY outside license privileges: ${privilege.reason}`);
+      this.emit('licenseWarning', privilege.reason);
     }
 
     // Bail out early if absolutely nothing needs changing
-    if (!needTune && !needMode && !needAntennaMatrix && !needProfileLoad) {
+    if (!needTune && !needMode && !needFilter && !needAntennaMatrix && !needProfileLoad && !needSplit && !needUnsplit) {
         this.logger.info(`QSY Ignored: Radio already at ${freqMHzString} MHz / ${targetSlice.mode} with correct antenna/profile.`);
         return { success: true, error: null };
     }
 
-    // --- SET TARGET STATE AND START TIMER (Safety Filter) ---
-    if (this.qsyTimer) clearTimeout(this.qsyTimer);
+    // --- SET TARGET STATE (Safety Filter) ---
+    // The QSY resolves once handleSliceStatus sees the target frequency and mode, not when the commands are answered
+    if (this.pendingQsy) {
+        this._settlePendingQsy({ success: false, error: 'Superseded by a newer QSY request.' });
+    }
 
-    this.pendingQsy = {
+    const pendingQsy = {
         frequency: freqHz,
         mode: flexMode, // Can be null if only frequency changes
+        txFrequency: txFrequencyHz, // Set when working split
+        sliceIndex: targetSlice.index,
         timestamp: Date.now()
     };
-
-    // Start strict 3-second timer
-    this.qsyTimer = setTimeout(() => {
-        this._handleQsyTimeout();
-    }, 3000);
+    pendingQsy.confirmation = new Promise((resolve) => {
+        pendingQsy.settle = resolve;
+    });
+    this.pendingQsy = pendingQsy;
 
     this.logger.info(
-      `QSY Request: Slice ${targetSlice.index_letter} -> ${needTune ? freqMHzString + ' MHz' : '(No Freq)'}, ${needMode ? flexMode : '(No Mode)'}`
+      `QSY Request: Slice ${targetSlice.index_letter} -> ${needTune ? freqMHzString + ' MHz' : '(No Freq)'}, ${needMode ? flexMode : '(No Mode)'}` +
+        (txFrequencyHz !== null ? `, split TX ${(txFrequencyHz / 1e6).toFixed(6)} MHz` : needUnsplit ? ', end split' : '')
     );
 
-    // 4. Send Commands (Sequential with delays to ensure proper parsing by the radio)
-    let delayMs = 0;
+    // 4. Send Commands (Sequential; each one waits for the radio's reply before the next is sent)
+    // A newer QSY request supersedes whatever is left of this one
+    if (this.qsyAbortController) this.qsyAbortController.abort();
+    const qsyAbortController = new AbortController();
+    this.qsyAbortController = qsyAbortController;
+    const { signal } = qsyAbortController;
 
-    // A. Load Profile FIRST if needed (takes time for the radio hardware to settle)
-    if (needProfileLoad) {
-        const profileCmd = `profile global load "${profileNameTarget}"`;
+    try {
+      // A. Load Profile FIRST if needed (takes time for the radio hardware to settle)
+      if (needProfileLoad) {
         this.logger.info(`Antenna Management: Loading Global Profile '${profileNameTarget}'`);
-        setTimeout(() => {
-            this.queueCommand(profileCmd, (resp) => {
-                this.logger.debug(`QSY Profile Load Response: ${resp}`);
-            });
-        }, delayMs);
-        delayMs += 1000; // Give the radio 1000ms to switch hardware relays before sending tune/mode
-    }
+        try {
+          const resp = await this.sendCommandAsync(`profile global load "${profileNameTarget}"`, { signal, priority: COMMAND_PRIORITY.HIGH });
+          this.logger.debug(`QSY Profile Load Response: ${resp.response}`);
+          // Give the radio 1000ms to switch hardware relays before sending tune/mode
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+        } catch (error) {
+          if (error.code === FlexRadioCommandError.CANCELLED) throw error;
+          // A missing profile should not stop the QSY itself
+          this.logger.warn(`Antenna Management: ${error.message}`);
+        }
+      }
 
-    // B. Send Frequency Tune
-    if (needTune) {
-        const tuneCmd = `slice tune ${targetSlice.index} ${freqMHzString}`;
-        setTimeout(() => {
-            this.queueCommand(tuneCmd, (resp) => {
-                this.logger.debug(`QSY Tune Response: ${resp}`);
-            });
-        }, delayMs);
-        delayMs += 50;
-    }
+      // B. Send Frequency Tune
+      if (needTune) {
+        const resp = await this.sendCommandAsync(`slice tune ${targetSlice.index} ${freqMHzString}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+        this.logger.debug(`QSY Tune Response: ${resp.response}`);
+      }
 
-    // C. Send Mode
-    if (needMode) {
-        const modeCmd = `slice set ${targetSlice.index} mode=${flexMode}`;
-        setTimeout(() => {
-            this.queueCommand(modeCmd, (resp) => {
-                this.logger.debug(`QSY Mode Response: ${resp}`);
-            });
-        }, delayMs);
-        delayMs += 50;
-    }
+      // C. Send Mode
+      if (needMode) {
+        const resp = await this.sendCommandAsync(`slice set ${targetSlice.index} mode=${flexMode}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+        this.logger.debug(`QSY Mode Response: ${resp.response}`);
+      }
+
+      // D. Set TX power and ATU only once tune and mode are answered: SmartSDR restores the power it
+      // remembers for a band when the slice changes band, which would overwrite a preset sent earlier
+      if (needPowerPreset) {
+        await this._applyPowerPreset(targetBand, powerPreset, signal);
+      }
+
+      if (needFilter) {
+        const resp = await this.sendCommandAsync(`filt ${targetSlice.index} ${filter.low} ${filter.high}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+        this.logger.debug(`QSY Filter Response: ${resp.response}`);
+      }
 
-    // D. Send Antenna Matrix commands (MUST be after Tune so any listening Maestro links antenna to the NEW band)
-    if (needAntennaMatrix) {
+      // E. Send Antenna Matrix commands (MUST be after Tune so any listening Maestro links antenna to the NEW band)
+      if (needAntennaMatrix) {
         const rxStr = rxAntTarget ? "rxant=" + rxAntTarget : "";
         const txStr = txAntTarget ? "txant=" + txAntTarget : "";
         const combinedArgs = [rxStr, txStr].filter(Boolean).join(" ");
 
         if (combinedArgs.length > 0) {
-            setTimeout(() => {
-                this.queueCommand(`slice set ${targetSlice.index} ${combinedArgs}`, (resp) => {
-                    this.logger.debug(`QSY Antenna Response: ${resp}`);
-                });
-            }, delayMs);
-            delayMs += 50;
+          const resp = await this.sendCommandAsync(`slice set ${targetSlice.index} ${combinedArgs}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+          this.logger.debug(`QSY Antenna Response: ${resp.response}`);
         }
+      }
+
+      // F. Split (after the RX slice is on its new frequency and band)
+      if (needSplit) {
+        await this._setupSplit(targetSlice, txFrequencyHz, txMode, txAntTarget, signal);
+      } else if (needUnsplit) {
+        await this._clearSplit(signal);
+      }
+    } catch (error) {
+      if (error.code === FlexRadioCommandError.CANCELLED) {
+        this.logger.info(`QSY to ${freqMHzString} MHz superseded by a newer request.`);
+        return { success: false, error: 'Superseded by a newer QSY request.' };
+      }
+
+      this.logger.error(`QSY to ${freqMHzString} MHz failed: ${error.message}`);
+      // Stop filtering slice updates so the UI and Wavelog show where the radio really is
+      if (this.pendingQsy === pendingQsy) this._settlePendingQsy({ success: false, error: error.message });
+      this.emit('qsyFailed', `QSY to ${freqMHzString} MHz failed: ${error.message}`);
+      return { success: false, error: error.message };
+    } finally {
+      if (this.qsyAbortController === qsyAbortController) {
+        this.qsyAbortController = null;
+      }
     }
 
-    // E. Active Polling (The Kicker)
-    setTimeout(() => {
+    // G. Wait for the radio to report the target state. The slice status usually arrives with the
+    // command replies, so the QSY is often confirmed already; if not, poll and start the timeout.
+    if (this.pendingQsy === pendingQsy) {
+      // Active Polling (The Kicker)
+      setTimeout(() => {
         this.queueCommand('sub slice all', (resp) => {
-            this.logger.debug(`QSY Verification Poll Sent: ${resp}`);
+          this.logger.debug(`QSY Verification Poll Sent: ${resp}`);
         });
-    }, delayMs + 200);
+      }, 200);
+
+      this.qsyTimer = setTimeout(() => {
+        this._handleQsyTimeout();
+      }, QSY_CONFIRM_TIMEOUT_MS);
+    }
+
+    return pendingQsy.confirmation;
+  }
+
+  /**
+   * Returns the radio to the last frequency, mode, filter and antennas used on a band.
+   * A band that has not been used yet starts on its FT8 frequency.
+   * @param {string} band - Band name, e.g. '20m' (also accepts '20M' or '20').
+   * @returns {Promise<object>} - { success: boolean, error: string|null }.
+   */
+  async goToBand(band) {
+    const bandName = BandStack.normalizeBand(band);
+    if (!bandName) {
+      return { success: false, error: `Unknown band "${band}".` };
+    }
+
+    const entry = this.bandStack.get(bandName);
+    const hasFilter = Number.isFinite(entry.filterLo) && Number.isFinite(entry.filterHi);
+    const hasAntennas = !!(entry.rxant || entry.txant);
+    this.logger.info(
+      `Band Stack: Going to ${bandName}, ${(entry.frequencyHz / 1e6).toFixed(6)} MHz ${entry.mode}` +
+        (entry.updatedAt ? '' : ' (band default)')
+    );
+
+    return this.setSliceFrequency(entry.frequencyHz, entry.mode, {
+      filter: hasFilter ? { low: entry.filterLo, high: entry.filterHi } : null,
+      antennas: hasAntennas ? { rxant: entry.rxant, txant: entry.txant } : null,
+    });
+  }
+
+  /**
+   * Handles a memory status update.
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleMemoryStatus(eventData) {
+    const { index, statusMessage } = eventData;
+    let memory = this.memoriesByID.get(index);
+    if (!memory) {
+      memory = new Memory(index);
+      this.memoriesByID.set(index, memory);
+    }
+    memory.statusUpdate(statusMessage);
+    this.emit('memoriesChanged', this.getMemories());
+  }
+
+  /**
+   * Handles a memory being removed.
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleMemoryRemoved(eventData) {
+    if (this.memoriesByID.delete(eventData.index)) {
+      this.emit('memoriesChanged', this.getMemories());
+    }
+  }
+
+  /**
+   * Handles a radio status update (nickname, callsign, reference oscillator).
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleRadioStatus(eventData) {
+    if (this.identity.radioUpdate(eventData.statusMessage)) {
+      this.emit('radioIdentity', this.getRadioIdentity());
+    }
+  }
+
+  /**
+   * Handles a GPS status update (lock, position, satellites).
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleGpsStatus(eventData) {
+    if (this.identity.gpsUpdate(eventData.statusMessage)) {
+      this.emit('radioIdentity', this.getRadioIdentity());
+    }
+  }
+
+  /**
+   * Handles a license status update (licensed features).
+   * @param {object} eventData - Data associated with the event.
+   */
+  handleLicenseStatus(eventData) {
+    if (this.identity.licenseUpdate(eventData.statusMessage)) {
+      this.emit('radioIdentity', this.getRadioIdentity());
+    }
+  }
+
+  /**
+   * Asks the radio who it is ('info', 'version') and subscribes to its radio, GPS and license status.
+   * Emits 'radioIdentity' with the result and 'firmwareWarning' if the firmware is outside the supported range.
+   * @returns {Promise<void>}
+   */
+  async requestRadioIdentity() {
+    try {
+      const info = await this.sendCommandAsync('info');
+      this.identity.infoUpdate(info.message);
+      const version = await this.sendCommandAsync('version');
+      this.identity.versionUpdate(version.message);
+      this.logger.info(
+        `Connected to ${this.identity.model || 'FlexRadio'} "${this.identity.nickname || ''}" ` +
+          `(serial ${this.identity.serial || 'unknown'}, SmartSDR ${this.identity.firmware || 'unknown'})`
+      );
+    } catch (error) {
+      this.logger.warn(`Could not read the radio's identity: ${error.message}`);
+    }
+
+    for (const subscription of ['radio', 'gps', 'license']) {
+      this.queueCommand(`sub ${subscription} all`, (response) => {
+        this.logger.debug(`Response to sub ${subscription} all: ${response}`);
+      });
+    }
+
+    this.emit('radioIdentity', this.getRadioIdentity());
+
+    const firmware = this.identity.checkFirmware();
+    if (!firmware.supported && !this.firmwareWarned) {
+      this.firmwareWarned = true;
+      this.logger.warn(firmware.warning);
+      this.emit('firmwareWarning', firmware.warning);
+    }
+  }
+
+  /**
+   * Returns what the radio told us about itself, with the latest PA temperature.
+   * @returns {object} - { model, serial, nickname, callsign, firmware, versions, region, options, features,
+   *   gps, oscillator, firmwareSupported, firmwareWarning, paTempC }. Fields are null until the radio reports them.
+   */
+  getRadioIdentity() {
+    const firmware = this.identity.checkFirmware();
+    return {
+      ...this.identity.toJSON(),
+      firmwareSupported: firmware.supported,
+      firmwareWarning: firmware.warning,
+      paTempC: this.meterReadings.paTempC,
+    };
+  }
+
+  /**
+   * Returns the radio's memory channels, sorted by group and frequency.
+   * @returns {Array<object>} - [{ index, frequencyHz, mode, name, group, owner, filterLow, filterHigh }]
+   */
+  getMemories() {
+    return Array.from(this.memoriesByID.values())
+      .map((memory) => memory.toSummary())
+      .filter((memory) => memory.frequencyHz > 0)
+      .sort((a, b) => a.group.localeCompare(b.group) || a.frequencyHz - b.frequencyHz || a.index - b.index);
+  }
+
+  /**
+   * Tunes to a memory channel: frequency, mode and RX filter, confirmed like any other QSY.
+   * @param {number} index - Memory index.
+   * @returns {Promise<object>} - { success: boolean, error: string|null }.
+   */
+  async qsyToMemory(index) {
+    const memory = this.memoriesByID.get(parseInt(index, 10));
+    if (!memory || !(memory.frequency > 0)) {
+      return { success: false, error: `Unknown memory ${index}.` };
+    }
+
+    const entry = memory.toSummary();
+    const hasFilter = Number.isFinite(entry.filterLow) && Number.isFinite(entry.filterHigh);
+    this.logger.info(
+      `Memory: Going to ${entry.name || `memory ${entry.index}`}, ${(entry.frequencyHz / 1e6).toFixed(6)} MHz ${entry.mode}`
+    );
+
+    return this.setSliceFrequency(entry.frequencyHz, entry.mode || null, {
+      filter: hasFilter ? { low: entry.filterLow, high: entry.filterHigh } : null,
+    });
+  }
+
+  /**
+   * Stores a new memory channel in the radio.
+   * @param {object} entry - { frequencyHz, mode, name, group }.
+   * @returns {Promise<object>} - { success: boolean, error: string|null, index: number|null }.
+   */
+  async createMemory(entry) {
+    if (!this.isConnected()) {
+      return { success: false, error: 'Not connected', index: null };
+    }
+    if (!entry || !Number.isFinite(entry.frequencyHz) || entry.frequencyHz <= 0) {
+      return { success: false, error: 'Invalid frequency', index: null };
+    }
+
+    const mode = memorySliceMode(entry.mode, entry.frequencyHz);
+    // Text fields cannot hold spaces or quotes; the radio expects spaces as 0x7F
+    const text = (value) => String(value || '').replace(/["=]/g, '').trim().replace(/\s+/g, '\u007f');
+
+    let index = null;
+    try {
+      const reply = await this.sendCommandAsync('memory create');
+      index = parseInt(reply.message, 10);
+      if (isNaN(index)) {
+        index = null;
+        throw new Error(`Unexpected reply to memory create: ${reply.response}`);
+      }
+
+      const settings = [`freq=${(entry.frequencyHz / 1e6).toFixed(6)}`];
+      if (mode) settings.push(`mode=${mode}`);
+      if (entry.name) settings.push(`name=${text(entry.name)}`);
+      if (entry.group) settings.push(`group=${text(entry.group)}`);
+      if (this.stationCallsign) settings.push(`owner=${text(this.stationCallsign)}`);
+      await this.sendCommandAsync(`memory set ${index} ${settings.join(' ')}`);
+
+      this.logger.info(`Memory: Created memory ${index} at ${(entry.frequencyHz / 1e6).toFixed(6)} MHz ${mode}`);
+      return { success: true, error: null, index };
+    } catch (error) {
+      this.logger.error(`Memory create failed: ${error.message}`);
+      // Do not leave an empty memory behind when it was created but could not be set
+      if (index !== null) {
+        try {
+          await this.sendCommandAsync(`memory remove ${index}`);
+        } catch (removeError) {
+          this.logger.warn(`Memory: Could not remove empty memory ${index}: ${removeError.message}`);
+        }
+      }
+      return { success: false, error: error.message, index: null };
+    }
+  }
+
+  /**
+   * Stores a list of memory channels, skipping the ones the radio already holds (same frequency, mode and name).
+   * @param {Array<object>} entries - [{ frequencyHz, mode, name, group }].
+   * @returns {Promise<object>} - { success, error, created, duplicates }.
+   */
+  async importMemories(entries) {
+    // Compare modes as the radio stores them, so an imported SSB or FT8 entry matches its LSB/USB or DIGU memory
+    const key = (memory) => `${memory.frequencyHz}|${memorySliceMode(memory.mode, memory.frequencyHz)}|${memory.name || ''}`;
+    const existing = new Set(this.getMemories().map(key));
+    let created = 0;
+    let duplicates = 0;
+
+    for (const entry of entries) {
+      if (existing.has(key(entry))) {
+        duplicates++;
+        continue;
+      }
+      const result = await this.createMemory(entry);
+      if (!result.success) {
+        return { success: false, error: result.error, created, duplicates };
+      }
+      existing.add(key(entry));
+      created++;
+    }
+    return { success: true, error: null, created, duplicates };
+  }
+
+  /**
+   * Looks up the power preset for a band and mode (flexRadio.powerManagement).
+   * An RF power set for the mode group overrides the band's RF power.
+   * @param {string|null} band - Band name (e.g. '20m').
+   * @param {string} mode - Slice mode.
+   * @returns {{rfpower: number|null, tunepower: number|null, atu: string}|null} - Null when disabled or nothing is set.
+   */
+  _getPowerPreset(band, mode) {
+    const powerMgmt = this.config.flexRadio.powerManagement;
+    if (!powerMgmt || !powerMgmt.enabled || !band || !powerMgmt.bands || !powerMgmt.bands[band]) return null;
+
+    const entry = powerMgmt.bands[band];
+    const level = (value) => (Number.isFinite(value) ? Math.min(100, Math.max(0, Math.round(value))) : null);
+    const preset = {
+      rfpower: level(entry.rfpowerByMode?.[powerModeGroup(mode)]) ?? level(entry.rfpower),
+      tunepower: level(entry.tunepower),
+      atu: ['bypass', 'memory'].includes(entry.atu) ? entry.atu : '',
+    };
 
-    return { success: true, error: null };
+    if (preset.rfpower === null && preset.tunepower === null && !preset.atu) return null;
+    return preset;
+  }
+
+  /**
+   * Sends a power preset to the radio. A failed power command fails the QSY; a failed ATU command
+   * (e.g. a radio without an ATU) is only logged.
+   * @param {string} band - Band the preset belongs to, for logging.
+   * @param {object} preset - From _getPowerPreset.
+   * @param {AbortSignal} signal - Cancels the commands when a newer QSY arrives.
+   */
+  async _applyPowerPreset(band, preset, signal) {
+    const settings = [];
+    if (preset.rfpower !== null) settings.push(`rfpower=${preset.rfpower}`);
+    if (preset.tunepower !== null) settings.push(`tunepower=${preset.tunepower}`);
+
+    if (settings.length > 0) {
+      this.logger.info(`Power Management: ${band} preset ${settings.join(' ')}`);
+      await this.sendCommandAsync(`transmit set ${settings.join(' ')}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+    }
+
+    if (preset.atu) {
+      const command = preset.atu === 'bypass' ? 'atu bypass' : 'atu set memories_enabled=1';
+      try {
+        await this.sendCommandAsync(command, { signal, priority: COMMAND_PRIORITY.HIGH });
+        this.logger.info(`Power Management: ${band} ATU ${preset.atu === 'bypass' ? 'bypassed' : 'memories enabled'}`);
+      } catch (error) {
+        if (error.code === FlexRadioCommandError.CANCELLED) throw error;
+        this.logger.warn(`Power Management: ATU command failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Puts the transmitter on a second slice. Reuses our split slice, or another slice of the station we
+   * follow on the same panadapter, and only creates a new slice when there is none. In Multi-Flex another
+   * operator's slice on a shared panadapter is never taken over.
+   * @param {Slice} rxSlice - The slice we listen on.
+   * @param {number} txFrequencyHz - Where to transmit.
+   * @param {string} mode - Mode for the TX slice (same as the RX slice).
+   * @param {string|null} txAnt - TX antenna from the antenna matrix, if any.
+   * @param {AbortSignal} signal - Cancels the commands when a newer QSY arrives.
+   */
+  async _setupSplit(rxSlice, txFrequencyHz, mode, txAnt, signal) {
+    const txFreqString = (txFrequencyHz / 1e6).toFixed(6);
+    const current = this._getSplitSlices();
+    let created = current ? this.split.created : false;
+
+    let txSlice = current ? current.tx : null;
+    if (!txSlice && rxSlice.pan) {
+      txSlice =
+        Array.from(this.flexSlicesByID.values()).find(
+          (s) => s.index !== rxSlice.index && s.pan === rxSlice.pan && this._isBoundSlice(s)
+        ) || null;
+    }
+
+    let txIndex;
+    if (txSlice) {
+      txIndex = txSlice.index;
+      await this.sendCommandAsync(`slice tune ${txIndex} ${txFreqString}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+      if (txSlice.mode !== mode) {
+        await this.sendCommandAsync(`slice set ${txIndex} mode=${mode}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+      }
+    } else {
+      const panArg = rxSlice.pan ? `pan=${rxSlice.pan} ` : '';
+      const reply = await this.sendCommandAsync(`slice create ${panArg}freq=${txFreqString} mode=${mode}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+      txIndex = parseInt(reply.message, 10);
+      if (isNaN(txIndex)) {
+        throw new Error(`Unexpected response to slice create: ${reply.response}`);
+      }
+      created = true;
+    }
+
+    if (txAnt) {
+      await this.sendCommandAsync(`slice set ${txIndex} txant=${txAnt}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+    }
+    await this.sendCommandAsync(`slice set ${txIndex} tx=1`, { signal, priority: COMMAND_PRIORITY.HIGH });
+
+    this.split = { rxSliceIndex: rxSlice.index, txSliceIndex: txIndex, created, txFrequencyHz };
+    this.logger.info(
+      `Split: listening on slice ${rxSlice.index_letter || rxSlice.index}, transmitting on slice ${txIndex} at ${txFreqString} MHz.`
+    );
+  }
+
+  /**
+   * Moves the TX flag back to the RX slice and removes the TX slice if we created it.
+   * @param {AbortSignal} signal - Cancels the commands when a newer QSY arrives.
+   */
+  async _clearSplit(signal) {
+    const slices = this._getSplitSlices();
+    const split = this.split;
+    this.split = null;
+    if (!slices) return;
+
+    await this.sendCommandAsync(`slice set ${slices.rx.index} tx=1`, { signal, priority: COMMAND_PRIORITY.HIGH });
+    if (split.created) {
+      await this.sendCommandAsync(`slice remove ${slices.tx.index}`, { signal, priority: COMMAND_PRIORITY.HIGH });
+    }
+    this.logger.info(`Split ended: transmitting on slice ${slices.rx.index_letter || slices.rx.index} again.`);
   }
 
   /**
    * Gracefully disconnects from the FlexRadio server.
-   * Closes the socket, cleans up resources, and prevents further reconnection attempts.
+   * Clears our spots from the radio, closes the socket, cleans up resources, and prevents further reconnection attempts.
    * @returns {Promise<void>} - Resolves when the disconnection is complete.
    */
-  disconnect() {
-    return new Promise((resolve) => {
-      if (this.flexClient && !this.flexClient.destroyed && this.isConnected()) {
-        this.logger.info('Disconnecting from FlexRadio server.');
-        this.shouldReconnect = false;
-        this.connected = false;
-        this.isDisconnecting = true;
-
-        this.queueCommand('spot clear', (response) => {
-          this.logger.info(`Response to spot clear on disconnect: ${response}`);
-
-          this.flexClient.destroy();
-          this.flexClient = null;
-
-          for (let seqNum in this.flexPendingCommands) {
-            clearTimeout(this.flexPendingCommands[seqNum].timeout);
-            if (typeof this.flexPendingCommands[seqNum].callback === 'function') {
-              this.flexPendingCommands[seqNum].callback('Disconnected');
-            }
-            delete this.flexPendingCommands[seqNum];
-          }
+  async disconnect() {
+    if (this.cleanupTimer) {
+      clearInterval(this.cleanupTimer);
+      this.cleanupTimer = null;
+    }
 
-          this.commandQueue = [];
-          this.sendingCommands = false;
+    if (this.meterEmitTimer) {
+      clearTimeout(this.meterEmitTimer);
+      this.meterEmitTimer = null;
+    }
+    clearTimeout(this.slicesEmitTimer);
+    this.slicesEmitTimer = null;
+    clearTimeout(this.statsEmitTimer);
+    this.statsEmitTimer = null;
+    this._stopKeepalive();
+    this.reconnectPolicy.cancel();
+    this.isReconnecting = false;
+    if (this.meterStream) {
+      this.meterStream.stop();
+      this.meterStream = null;
+    }
 
-          this.logger.info('Successfully disconnected from FlexRadio server.');
-          resolve();
-        });
+    // Also while a connection attempt is still in flight, so its failure does not schedule a retry
+    this.shouldReconnect = false;
+    this.isDisconnecting = true;
 
-        setTimeout(() => {
-          if (this.flexClient && !this.flexClient.destroyed) {
-            this.logger.warn('Forcefully destroying FlexRadio connection after timeout.');
-            this.flexClient.destroy();
-            this.flexClient = null;
-            resolve();
-          }
-        }, (this.config.flexRadio.commandTimeout || 15000) + 1000);
-      } else {
-        this.logger.warn('FlexRadio client is not connected.');
-        resolve();
+    if (!this.flexClient || this.flexClient.destroyed || !this.isConnected()) {
+      this.logger.warn('FlexRadio client is not connected.');
+      if (this.flexClient) {
+        this.flexClient.destroy();
+        this.flexClient = null;
       }
+      return;
+    }
 
-      if (this.cleanupTimer) {
-        clearInterval(this.cleanupTimer);
-        this.cleanupTimer = null;
-      }
-    });
+    this.logger.info('Disconnecting from FlexRadio server.');
+
+    // Nothing queued matters any more; send 'spot clear' straight away
+    this._clearSpotOutbox('FlexRadio is not connected.');
+    this._failQueuedCommands(FlexRadioCommandError.DISCONNECTED);
+    if (this.qsyAbortController) this.qsyAbortController.abort();
+
+    try {
+      const reply = await this.sendCommandAsync('spot clear', {
+        timeoutMs: this.config.flexRadio.commandTimeout || 15000,
+      });
+      this.logger.info(`Response to spot clear on disconnect: ${reply.response}`);
+    } catch (error) {
+      this.logger.warn(`Could not clear spots on disconnect: ${error.message}`);
+    }
+
+    this.connected = false;
+    this._failPendingCommands(FlexRadioCommandError.DISCONNECTED);
+    this._failQueuedCommands(FlexRadioCommandError.DISCONNECTED);
+
+    if (this.flexClient) {
+      this.flexClient.destroy();
+      this.flexClient = null;
+    }
+
+    this.logger.info('Successfully disconnected from FlexRadio server.');
   }
 
   /**
@@ -1065,15 +2773,29 @@ module.exports = class FlexRadioClient extends EventEmitter {
   /**
    * Loads a specific global profile.
    * @param {string} profileName
+   * @returns {Promise<object>} - { success: boolean, error: string|null }, resolved once the radio has answered.
    */
-  loadGlobalProfile(profileName) {
-    if (!this.isConnected()) return;
+  async loadGlobalProfile(profileName) {
+    if (!this.isConnected()) {
+      return { success: false, error: 'Not connected' };
+    }
+
+    if (this.isTransmitting()) {
+      const msg = 'Radio is transmitting. Profile load refused.';
+      this.logger.warn(`Ignored profile load '${profileName}': ${msg}`);
+      return { success: false, error: msg };
+    }
 
     this.logger.info(`Loading Global Profile: ${profileName}`);
-    // Quotes are important if the name contains spaces
-    this.queueCommand(`profile global load "${profileName}"`, (response) => {
-      this.logger.debug(`Profile load response: ${response}`);
-    });
+    try {
+      // Quotes are important if the name contains spaces
+      const reply = await this.sendCommandAsync(`profile global load "${profileName}"`);
+      this.logger.debug(`Profile load response: ${reply.response}`);
+      return { success: true, error: null };
+    } catch (error) {
+      this.logger.error(`Failed to load Global Profile '${profileName}': ${error.message}`);
+      return { success: false, error: error.message };
+    }
   }
 
 };
\ No newline at end of file
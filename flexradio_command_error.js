@@ -0,0 +1,121 @@
+// flexradio_command_error.js
+
+'use strict';
+
+// Response codes from the SmartSDR TCP API that we know how to describe.
+// Anything else is reported by its hex value, so it can be looked up in the SmartSDR API documentation.
+const RESPONSE_CODE_MEANINGS = {
+  0x50000001: 'Unable to get a receiver assignment',
+  0x50000003: 'License does not allow another slice',
+  0x50000015: 'Unknown command',
+  0x50000016: 'Malformed command',
+  0x5000002c: 'Incorrect number of parameters',
+  0x5000002d: 'Invalid parameter value',
+};
+
+/**
+ * Error for a FlexRadio command that did not complete successfully.
+ * `code` tells why: RADIO_ERROR means the radio answered with a non-zero response code
+ * (decoded into `responseCode` and `meaning`); the other codes are local failures.
+ */
+class FlexRadioCommandError extends Error {
+  /**
+   * Creates an instance of FlexRadioCommandError.
+   * @param {string} command - The command that failed.
+   * @param {string} code - One of the FlexRadioCommandError code constants.
+   * @param {object} [details] - { responseCode, response, detail } for radio errors, { detail } for send failures.
+   */
+  constructor(command, code, details = {}) {
+    const responseCode = Number.isInteger(details.responseCode) ? details.responseCode : null;
+    const detail = details.detail || '';
+    const meaning = FlexRadioCommandError.describe(code, responseCode, detail);
+
+    let message;
+    switch (code) {
+      case FlexRadioCommandError.RADIO_ERROR:
+        message = `Radio rejected "${command}": ${meaning}`;
+        // An unknown code already shows its hex value in the meaning
+        if (responseCode !== null && RESPONSE_CODE_MEANINGS[responseCode]) {
+          message += ` (0x${FlexRadioCommandError.toHex(responseCode)})`;
+        }
+        if (detail) message += ` - ${detail}`;
+        break;
+      case FlexRadioCommandError.SEND_FAILED:
+        message = `Could not send "${command}": ${meaning}`;
+        break;
+      default:
+        message = `"${command}": ${meaning}`;
+        break;
+    }
+
+    super(message);
+    this.name = 'FlexRadioCommandError';
+    this.command = command;
+    this.code = code;
+    this.responseCode = responseCode;
+    this.meaning = meaning;
+    this.response = details.response || null; // Raw reply text, e.g. "50000015|..."
+    this.detail = detail;
+  }
+
+  /**
+   * Builds the error for a reply whose response code is not 0.
+   * @param {string} command - The command that was sent.
+   * @param {{code: number, message: string, response: string}} reply - The parsed reply.
+   * @returns {FlexRadioCommandError}
+   */
+  static fromReply(command, reply) {
+    return new FlexRadioCommandError(command, FlexRadioCommandError.RADIO_ERROR, {
+      responseCode: reply.code,
+      response: reply.response,
+      detail: reply.message,
+    });
+  }
+
+  /**
+   * Returns a human readable meaning for an error code.
+   * @param {string} code - One of the FlexRadioCommandError code constants.
+   * @param {number|null} [responseCode] - SmartSDR response code for RADIO_ERROR.
+   * @param {string} [detail] - Extra information (used for SEND_FAILED).
+   * @returns {string}
+   */
+  static describe(code, responseCode = null, detail = '') {
+    switch (code) {
+      case FlexRadioCommandError.RADIO_ERROR:
+        if (responseCode === null) return 'Unrecognized reply';
+        return (
+          RESPONSE_CODE_MEANINGS[responseCode] || `Unknown SmartSDR error 0x${FlexRadioCommandError.toHex(responseCode)}`
+        );
+      case FlexRadioCommandError.TIMEOUT:
+        return 'Timed out waiting for the radio to answer';
+      case FlexRadioCommandError.NOT_CONNECTED:
+        return 'FlexRadio is not connected';
+      case FlexRadioCommandError.DISCONNECTED:
+        return 'Connection to FlexRadio closed before the radio answered';
+      case FlexRadioCommandError.CANCELLED:
+        return 'Command was cancelled';
+      case FlexRadioCommandError.SEND_FAILED:
+        return detail || 'Socket write failed';
+      default:
+        return 'Unknown error';
+    }
+  }
+
+  /**
+   * Formats a response code the way the radio sends it (8 upper-case hex digits).
+   * @param {number} responseCode
+   * @returns {string}
+   */
+  static toHex(responseCode) {
+    return (responseCode >>> 0).toString(16).toUpperCase().padStart(8, '0');
+  }
+}
+
+FlexRadioCommandError.RADIO_ERROR = 'RADIO_ERROR';
+FlexRadioCommandError.TIMEOUT = 'TIMEOUT';
+FlexRadioCommandError.NOT_CONNECTED = 'NOT_CONNECTED';
+FlexRadioCommandError.DISCONNECTED = 'DISCONNECTED';
+FlexRadioCommandError.CANCELLED = 'CANCELLED';
+FlexRadioCommandError.SEND_FAILED = 'SEND_FAILED';
+
+module.exports = FlexRadioCommandError;
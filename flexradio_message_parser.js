@@ -101,6 +101,31 @@ class FlexRadioMessageParser extends EventEmitter {
       case 'profile':
         this.parseProfileStatus(handle, statusContent);
         break;
+      case 'meter':
+        this.parseMeterStatus(handle, statusContent);
+        break;
+      case 'interlock':
+      case 'transmit':
+        this.parseTransmitStatus(handle, statusType, statusContent);
+        break;
+      case 'memory':
+        this.parseMemoryStatus(handle, statusContent);
+        break;
+      case 'display':
+        if (words[1] === 'pan') {
+          this.parsePanStatus(handle, statusContent);
+        } else {
+          this.emit('status', { handle, statusType, statusContent });
+        }
+        break;
+      case 'radio':
+      case 'gps':
+      case 'license':
+        this.parseRadioInfoStatus(handle, statusType, statusContent);
+        break;
+      case 'cwx':
+        this.parseCwxStatus(handle, statusContent);
+        break;
       // Add more cases as needed for different status types
       default:
         // Emit a generic status event for unhandled types
@@ -135,7 +160,9 @@ class FlexRadioMessageParser extends EventEmitter {
     if (action === 'removed') {
       this.emit('spotRemoved', { index });
     } else if (action === 'triggered') {
-      this.emit('spotTriggered', { handle, index });
+      // pan= names the panadapter the spot was clicked on
+      const panWord = words.find((word) => word.startsWith('pan='));
+      this.emit('spotTriggered', { handle, index, pan: panWord ? panWord.substring(4) : null });
     } else {
       // For other actions or status updates
       const statusMessage = words.slice(2).join(' ');
@@ -143,6 +170,48 @@ class FlexRadioMessageParser extends EventEmitter {
     }
   }
 
+  /**
+   * Parses panadapter status messages ("display pan <stream id> <key=value...>" or "display pan <stream id> removed").
+   * @param {string} handle - The handle associated with the message.
+   * @param {string} statusContent - The content of the status message.
+   */
+  parsePanStatus(handle, statusContent) {
+    const match = statusContent.trim().match(/^display\s+pan\s+(0x[0-9a-fA-F]+)(?:\s+(.*))?$/);
+    if (!match) {
+      this.emit('error', new Error(`parsePanStatus: Failed to parse panadapter status message: ${statusContent}`));
+      return;
+    }
+
+    const streamId = match[1];
+    const statusMessage = (match[2] || '').trim();
+    if (statusMessage === 'removed') {
+      this.emit('panRemoved', { streamId });
+    } else {
+      this.emit('panStatus', { handle, streamId, statusMessage });
+    }
+  }
+
+  /**
+   * Parses memory status messages ("memory <index> <key=value...>" or "memory <index> removed").
+   * @param {string} handle - The handle associated with the message.
+   * @param {string} statusContent - The content of the status message.
+   */
+  parseMemoryStatus(handle, statusContent) {
+    const match = statusContent.trim().match(/^memory\s+(\d+)(?:\s+(.*))?$/);
+    if (!match) {
+      this.emit('error', new Error(`parseMemoryStatus: Failed to parse memory status message: ${statusContent}`));
+      return;
+    }
+
+    const index = parseInt(match[1], 10);
+    const statusMessage = (match[2] || '').trim();
+    if (statusMessage === 'removed') {
+      this.emit('memoryRemoved', { index });
+    } else {
+      this.emit('memoryStatus', { handle, index, statusMessage });
+    }
+  }
+
   /**
    * Parses slice status messages and emits events accordingly.
    * @param {string} handle - The handle associated with the message.
@@ -202,6 +271,83 @@ class FlexRadioMessageParser extends EventEmitter {
     }
   }
 
+  /**
+   * Parses interlock and transmit status messages.
+   * Per-band settings ("interlock band ...", "transmit band ...") are not part of the TX state and are skipped.
+   * @param {string} handle - The handle associated with the message.
+   * @param {string} statusType - 'interlock' or 'transmit'.
+   * @param {string} statusContent - The content of the status message.
+   */
+  parseTransmitStatus(handle, statusType, statusContent) {
+    const statusMessage = statusContent.trim().substring(statusType.length).trim();
+    if (statusMessage.startsWith('band ')) return;
+
+    if (statusType === 'interlock') {
+      this.emit('interlockStatus', { handle, statusMessage });
+    } else {
+      this.emit('transmitStatus', { handle, statusMessage });
+    }
+  }
+
+  /**
+   * Parses radio, gps and license status messages, which describe the radio itself.
+   * @param {string} handle - The handle associated with the message.
+   * @param {string} statusType - 'radio', 'gps' or 'license'.
+   * @param {string} statusContent - The content of the status message.
+   */
+  parseRadioInfoStatus(handle, statusType, statusContent) {
+    const statusMessage = statusContent.trim().substring(statusType.length).trim();
+    if (!statusMessage) return;
+
+    this.emit(`${statusType}Status`, { handle, statusMessage });
+  }
+
+  /**
+   * Parses CWX status messages (keyer speed, delay and sent-character progress).
+   * @param {string} handle - The handle associated with the message.
+   * @param {string} statusContent - The content of the status message.
+   */
+  parseCwxStatus(handle, statusContent) {
+    const statusMessage = statusContent.trim().substring('cwx'.length).trim();
+    this.emit('cwxStatus', { handle, statusMessage });
+  }
+
+  /**
+   * Parses meter status messages and emits one 'meterStatus' event per meter.
+   * Format: meter 1.src=TX-#1.num=1#1.nam=FWDPWR#1.unit=dBm#2.src=...#
+   * or:     meter 5 removed
+   * @param {string} handle - The handle associated with the message.
+   * @param {string} statusContent - The content of the status message.
+   */
+  parseMeterStatus(handle, statusContent) {
+    const removedMatch = statusContent.match(/^meter\s+(\d+)\s+removed/);
+    if (removedMatch) {
+      this.emit('meterRemoved', { index: parseInt(removedMatch[1], 10) });
+      return;
+    }
+
+    const body = statusContent.replace(/^meter\s+/, '');
+    const meters = new Map();
+
+    // Descriptions may contain spaces, so split on '#' rather than whitespace
+    body.split('#').forEach((entry) => {
+      const match = entry.match(/^(\d+)\.(\w+)=(.*)$/);
+      if (!match) return;
+      const index = parseInt(match[1], 10);
+      if (!meters.has(index)) meters.set(index, []);
+      meters.get(index).push(`${match[2]}="${match[3].replace(/"/g, '')}"`);
+    });
+
+    if (meters.size === 0) {
+      this.emit('error', new Error(`parseMeterStatus: Failed to parse meter status message: ${statusContent}`));
+      return;
+    }
+
+    meters.forEach((pairs, index) => {
+      this.emit('meterStatus', { handle, index, statusMessage: pairs.join(' ') });
+    });
+  }
+
   /**
    * Parses a handle message from the server and emits a 'handle' event.
    * @param {string} message - The handle message string.
@@ -0,0 +1,99 @@
+// flexradio_meter_stream.js
+
+'use strict';
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { PACKET_CLASS, parseVitaPacket } = require('./vita_packet');
+
+/**
+ * Listens for the FlexRadio VITA-49 UDP stream and emits decoded meter values.
+ * The radio only starts streaming after the TCP client has sent `client udpport <port>`.
+ */
+class FlexRadioMeterStream extends EventEmitter {
+  /**
+   * Creates an instance of FlexRadioMeterStream.
+   * @param {object} config - Configuration object.
+   * @param {object} logger - Logger instance.
+   */
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.socket = null;
+    this.port = null;
+  }
+
+  /**
+   * Binds the UDP socket. Emits 'listening' with the bound port once ready.
+   */
+  start() {
+    if (this.socket) return;
+
+    const port = this.config.flexRadio.meters?.udpPort ?? 0;
+    this.socket = dgram.createSocket('udp4');
+
+    this.socket.on('error', (err) => {
+      this.logger.error(`FlexRadio meter stream socket error: ${err.message}`);
+      this.emit('error', err);
+      this.stop();
+    });
+
+    this.socket.on('message', (msg) => {
+      try {
+        const values = FlexRadioMeterStream.parseMeterPacket(msg);
+        if (values && values.length > 0) {
+          this.emit('meterValues', values);
+        }
+      } catch (error) {
+        this.logger.debug(`Discarding malformed VITA packet: ${error.message}`);
+      }
+    });
+
+    this.socket.on('listening', () => {
+      this.port = this.socket.address().port;
+      this.logger.info(`FlexRadio meter stream listening on UDP port ${this.port}`);
+      this.emit('listening', this.port);
+    });
+
+    this.socket.bind(port);
+  }
+
+  /**
+   * Closes the UDP socket.
+   */
+  stop() {
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (e) {
+        // Socket already closed
+      }
+      this.socket = null;
+      this.port = null;
+    }
+  }
+
+  /**
+   * Decodes a VITA-49 meter packet.
+   * The payload is a list of (uint16 meter id, int16 raw value) pairs.
+   * @param {Buffer} buffer - Raw UDP datagram.
+   * @returns {Array<{id: number, raw: number}>|null} - Meter values, or null for non-meter packets.
+   */
+  static parseMeterPacket(buffer) {
+    const packet = parseVitaPacket(buffer);
+    if (!packet || packet.packetClass !== PACKET_CLASS.METER) return null;
+
+    const { payload } = packet;
+    const values = [];
+    for (let offset = 0; offset + 4 <= payload.length; offset += 4) {
+      values.push({
+        id: payload.readUInt16BE(offset),
+        raw: payload.readInt16BE(offset + 2),
+      });
+    }
+    return values;
+  }
+}
+
+module.exports = FlexRadioMeterStream;
@@ -0,0 +1,76 @@
+// flexradio_radios.js
+
+'use strict';
+
+// Id of the radio set up in the flexRadio section itself; requests without a radio go to it
+const PRIMARY_RADIO_ID = 'main';
+
+/**
+ * Builds the configuration each FlexRadioClient runs with: the radio in the flexRadio section first,
+ * then every enabled entry of flexRadio.additionalRadios. An additional radio takes everything it does
+ * not set itself from the main radio's settings.
+ * @param {object} config - The application configuration.
+ * @returns {Array<{id: string, radioName: string, config: object}>}
+ */
+function buildRadioConfigs(config) {
+  const radios = [
+    { id: PRIMARY_RADIO_ID, radioName: config.wavelogAPI?.radioName || 'wave-flex-integrator', config },
+  ];
+  const seen = new Set([PRIMARY_RADIO_ID]);
+
+  (config.flexRadio.additionalRadios || []).forEach((entry) => {
+    const id = normalizeRadioId(entry && entry.id);
+    if (!entry || entry.enabled === false || !id || !entry.host || seen.has(id)) return;
+    seen.add(id);
+
+    const radioName = entry.radioName || id;
+    const antennaManagement = entry.antennaManagement?.mode
+      ? { ...config.flexRadio.antennaManagement, ...entry.antennaManagement }
+      : config.flexRadio.antennaManagement;
+
+    radios.push({
+      id,
+      radioName,
+      config: {
+        ...config,
+        flexRadio: {
+          ...config.flexRadio,
+          enabled: true,
+          host: entry.host,
+          port: entry.port || 4992,
+          serial: '',                                                    // Discovery only follows the main radio
+          meters: { ...config.flexRadio.meters, udpPort: 0 },            // The main radio holds the configured UDP port
+          antennaManagement,
+          bindStation: entry.bindStation || '',                          // Station names differ from radio to radio
+          spotManagement: { ...config.flexRadio.spotManagement, pushSpots: entry.pushSpots !== false },
+          additionalRadios: [],
+        },
+        wavelogAPI: { ...config.wavelogAPI, radioName },
+      },
+    });
+  });
+
+  return radios;
+}
+
+/**
+ * Finds the radio a request is meant for.
+ * @param {Array<object>} radios - As returned by buildRadioConfigs().
+ * @param {string|null} selector - Radio id; empty selects the main radio.
+ * @returns {object|null} - The radio, or null when no radio has that id.
+ */
+function findRadio(radios, selector) {
+  const id = normalizeRadioId(selector) || PRIMARY_RADIO_ID;
+  return radios.find((radio) => radio.id === id) || null;
+}
+
+function normalizeRadioId(id) {
+  return String(id || '').trim().toLowerCase();
+}
+
+module.exports = {
+  PRIMARY_RADIO_ID,
+  buildRadioConfigs,
+  findRadio,
+  normalizeRadioId,
+};
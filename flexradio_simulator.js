@@ -0,0 +1,663 @@
+// flexradio_simulator.js
+
+'use strict';
+
+const net = require('net');
+const EventEmitter = require('events');
+
+const PROTOCOL_VERSION = '1.4.0.0';
+// Handle of the simulated SmartSDR GUI client that owns the slices
+const GUI_CLIENT_HANDLE = '4E2A1B3C';
+const GUI_STATION_NAME = 'Simulator';
+// Real radios answer within a few milliseconds; keep replies asynchronous like the real thing
+const REPLY_DELAY_MS = 20;
+
+// SmartSDR response codes (see flexradio_command_error.js)
+const RESPONSE = {
+  OK: '0',
+  UNKNOWN_COMMAND: '50000015',
+  MALFORMED_COMMAND: '50000016',
+  INCORRECT_PARAMETERS: '5000002C',
+  INVALID_VALUE: '5000002D',
+};
+
+const ANTENNAS = ['ANT1', 'ANT2', 'RX_A', 'RX_B', 'XVTA', 'XVTB'];
+
+// Default RX filter per mode, as SmartSDR sets it when the mode changes
+const MODE_FILTERS = {
+  USB: [100, 2800],
+  LSB: [-2800, -100],
+  CW: [-250, 250],
+  DIGU: [0, 3000],
+  DIGL: [-3000, 0],
+  RTTY: [-285, 115],
+  AM: [-5000, 5000],
+  SAM: [-5000, 5000],
+  FM: [-8000, 8000],
+  NFM: [-5500, 5500],
+  DFM: [-8000, 8000],
+  FDV: [-2800, 2800],
+};
+
+const GLOBAL_PROFILES = [
+  'Default',
+  'CW -- 160m',
+  'CW - 80m',
+  'CW - 40m',
+  'CW - 20m',
+  'SSB - 80m',
+  'SSB - 40m',
+  'SSB - 20m',
+  'SSB - 10m',
+  'SSB -  6m',
+  'DIGU - 20m',
+];
+
+/**
+ * A local stand-in for a FlexRadio that speaks the subset of the SmartSDR TCP API used by FlexRadioClient:
+ * the version/handle greeting, slice, client, panadapter, spot, transmit, CWX, memory and global profile commands, and the
+ * status messages a real radio sends back. Used with the --simulate-radio flag so the QSY path,
+ * antenna management and spot handling can be exercised without a radio.
+ */
+class FlexRadioSimulator extends EventEmitter {
+  /**
+   * Creates an instance of FlexRadioSimulator.
+   * @param {object} logger - Logger instance.
+   */
+  constructor(logger) {
+    super();
+    this.logger = logger;
+    this.server = null;
+    this.port = null;
+    this.connections = new Set();
+
+    this.slices = new Map([
+      [0, this._createSlice(0, 14.074, 'DIGU', { tx: 1, active: 1, rxant: 'ANT1', txant: 'ANT1', pan: '0x40000000' })],
+      [1, this._createSlice(1, 7.03, 'CW', { tx: 0, active: 0, rxant: 'ANT2', txant: 'ANT1', pan: '0x40000001' })],
+    ]);
+
+    // Panadapters of the GUI client, stream ID -> { center, bandwidth } in MHz. They follow their slice like in SmartSDR.
+    this.panadapters = new Map([
+      ['0x40000000', { center: 14.1, bandwidth: 0.2 }],
+      ['0x40000001', { center: 7.05, bandwidth: 0.2 }],
+    ]);
+
+    this.spots = new Map(); // spot index -> { fields, expiryTimer }
+    this.nextSpotIndex = 1;
+    this.currentProfile = 'Default';
+    this.transmit = { rfpower: 100, tunepower: 10, mox: 0, tune: 0 };
+    this.cwx = { wpm: 20, buffer: [], nextIndex: 0, timer: null }; // buffer: indexes of characters not keyed yet
+
+    // Memory channels, index -> fields as the radio reports them (spaces in text fields as 0x7F)
+    this.memories = new Map([
+      [0, { owner: 'SIM', group: 'Nets', freq: '14.300000', name: 'Maritime\u007fMobile\u007fNet', mode: 'USB', rx_filter_low: 100, rx_filter_high: 2800 }],
+      [1, { owner: 'SIM', group: 'Beacons', freq: '14.100000', name: 'NCDXF\u007f20m', mode: 'CW', rx_filter_low: -250, rx_filter_high: 250 }],
+    ]);
+    this.nextMemoryIndex = 2;
+
+    // What the radio reports about itself ('info', 'version', radio/gps/license status)
+    this.identity = {
+      model: 'FLEX-6600',
+      chassis_serial: '1234-5678-6600-0001',
+      name: 'Simulator',
+      callsign: 'SIM',
+      software_ver: '3.4.35.141',
+      options: 'GPSDO',
+      region: 'EUR',
+    };
+    this.versions = 'SmartSDR-MB=3.4.35.141#PSoC-MBTRX=3.00.10#PSoC-MBPA100=3.00.10#FPGA-MB=2.20';
+    this.gps = 'lat=59.329#lon=18.068#grid=JO89ll#altitude=28 m#tracked=9#visible=14#speed=0 kts#freq_error=0 ppb#status=Fine Lock#time=12:00:00Z';
+    this.features = { DIV: 1, MULTIFLEX: 1, SMARTLINK: 1 };
+  }
+
+  /**
+   * Starts listening for API connections.
+   * @param {number} [port=0] - TCP port, 0 picks a free one.
+   * @param {string} [host='127.0.0.1'] - Address to bind.
+   * @returns {Promise<number>} - The port the simulator is listening on.
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this._handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.port = this.server.address().port;
+        this.logger.info(`FlexRadio simulator listening on ${host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * Stops the simulator and drops all connections.
+   */
+  stop() {
+    this.spots.forEach((spot) => clearTimeout(spot.expiryTimer));
+    this.spots.clear();
+    clearTimeout(this.cwx.timer);
+    this.cwx.timer = null;
+    this.cwx.buffer = [];
+    this.connections.forEach((connection) => connection.socket.destroy());
+    this.connections.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  /**
+   * Simulates the operator clicking a spot on the panadapter.
+   * @param {number} index - Spot index.
+   * @returns {boolean} - False if there is no such spot.
+   */
+  triggerSpot(index) {
+    const spot = this.spots.get(index);
+    if (!spot) return false;
+    this._broadcast('spot', `spot ${index} triggered pan=${this.slices.get(0).pan}`);
+    return true;
+  }
+
+  /**
+   * Simulates the operator turning the VFO of a slice in SmartSDR.
+   * @param {number} index - Slice index.
+   * @param {number} frequencyMHz - New frequency in MHz.
+   * @returns {boolean} - False if there is no such slice.
+   */
+  tuneSlice(index, frequencyMHz) {
+    const slice = this.slices.get(index);
+    if (!slice) return false;
+    slice.RF_frequency = frequencyMHz.toFixed(6);
+    this._broadcast('slice', `slice ${index} RF_frequency=${slice.RF_frequency}`, GUI_CLIENT_HANDLE);
+    this._followSlice(slice);
+    return true;
+  }
+
+  _createSlice(index, frequencyMHz, mode, fields) {
+    const [filterLo, filterHi] = MODE_FILTERS[mode];
+    return {
+      index,
+      in_use: 1,
+      RF_frequency: frequencyMHz.toFixed(6),
+      mode,
+      index_letter: String.fromCharCode(65 + index),
+      filter_lo: filterLo,
+      filter_hi: filterHi,
+      client_handle: `0x${GUI_CLIENT_HANDLE}`,
+      ...fields,
+    };
+  }
+
+  _sliceStatus(slice) {
+    const pairs = Object.keys(slice)
+      .filter((key) => key !== 'index')
+      .map((key) => `${key}=${slice[key]}`);
+    return `slice ${slice.index} ${pairs.join(' ')}`;
+  }
+
+  // Recenters the panadapter of a slice tuned outside of it, as SmartSDR does
+  _followSlice(slice) {
+    const pan = this.panadapters.get(slice.pan);
+    const frequencyMHz = parseFloat(slice.RF_frequency);
+    if (!pan || Math.abs(frequencyMHz - pan.center) < pan.bandwidth / 2) return;
+    pan.center = frequencyMHz;
+    this._broadcast('pan', this._panStatus(slice.pan, pan), GUI_CLIENT_HANDLE);
+  }
+
+  _panStatus(streamId, pan) {
+    return `display pan ${streamId} client_handle=0x${GUI_CLIENT_HANDLE} center=${pan.center.toFixed(6)} bandwidth=${pan.bandwidth.toFixed(6)}`;
+  }
+
+  _spotStatus(index, fields) {
+    const pairs = Object.keys(fields).map((key) => `${key}=${fields[key]}`);
+    return `spot ${index} ${pairs.join(' ')}`;
+  }
+
+  _handleConnection(socket) {
+    const connection = {
+      socket,
+      handle: Math.floor(Math.random() * 0xefffffff + 0x10000000).toString(16).toUpperCase(),
+      subscriptions: new Set(),
+      buffer: '',
+    };
+    this.connections.add(connection);
+    this.logger.info(`FlexRadio simulator: client connected from ${socket.remoteAddress}`);
+
+    socket.write(`V${PROTOCOL_VERSION}\nH${connection.handle}\n`);
+
+    socket.on('data', (data) => {
+      connection.buffer += data.toString();
+      const lines = connection.buffer.split('\n');
+      connection.buffer = lines.pop();
+      lines.forEach((line) => {
+        const match = line.trim().match(/^C(\d+)\|(.*)$/);
+        if (match) {
+          setTimeout(() => this._handleCommand(connection, match[1], match[2].trim()), REPLY_DELAY_MS);
+        }
+      });
+    });
+
+    socket.on('error', (err) => {
+      this.logger.debug(`FlexRadio simulator socket error: ${err.message}`);
+    });
+
+    socket.on('close', () => {
+      this.connections.delete(connection);
+      this.logger.info('FlexRadio simulator: client disconnected');
+    });
+  }
+
+  _handleCommand(connection, seqNum, command) {
+    if (connection.socket.destroyed) return;
+
+    const words = command.split(/\s+/);
+    let response;
+    try {
+      switch (words[0]) {
+        case 'sub':
+          response = this._handleSubscribe(connection, words);
+          break;
+        case 'client':
+          response = words[1] === 'udpport' ? RESPONSE.OK : RESPONSE.UNKNOWN_COMMAND;
+          break;
+        case 'slice':
+          response = this._handleSliceCommand(words);
+          break;
+        case 'filt':
+          response = this._handleFilterCommand(words);
+          break;
+        case 'spot':
+          response = this._handleSpotCommand(connection, words);
+          break;
+        case 'profile':
+          response = this._handleProfileCommand(connection, command, words);
+          break;
+        case 'transmit':
+          response = this._handleTransmitCommand(words);
+          break;
+        case 'cwx':
+          response = this._handleCwxCommand(command, words);
+          break;
+        case 'memory':
+          response = this._handleMemoryCommand(words);
+          break;
+        case 'atu':
+          response = ['bypass', 'start', 'clear', 'set'].includes(words[1]) ? RESPONSE.OK : RESPONSE.UNKNOWN_COMMAND;
+          break;
+        case 'ping':
+          response = RESPONSE.OK;
+          break;
+        case 'info':
+          response = `${RESPONSE.OK}|${Object.keys(this.identity)
+            .map((key) => `${key}="${this.identity[key]}"`)
+            .join(',')},gps="Present"`;
+          break;
+        case 'version':
+          response = `${RESPONSE.OK}|${this.versions}`;
+          break;
+        default:
+          response = RESPONSE.UNKNOWN_COMMAND;
+          break;
+      }
+    } catch (error) {
+      this.logger.error(`FlexRadio simulator failed on "${command}": ${error.message}`);
+      response = RESPONSE.MALFORMED_COMMAND;
+    }
+
+    connection.socket.write(`R${seqNum}|${response}\n`);
+  }
+
+  _handleSubscribe(connection, words) {
+    const topic = words[1];
+    connection.subscriptions.add(topic);
+
+    // A new subscription is answered with a dump of the current state
+    switch (topic) {
+      case 'slice':
+        this.slices.forEach((slice) => this._send(connection, this._sliceStatus(slice), GUI_CLIENT_HANDLE));
+        break;
+      case 'client':
+        this._send(
+          connection,
+          `client 0x${GUI_CLIENT_HANDLE} connected local_ptt=1 program=SmartSDR-Win station=${GUI_STATION_NAME}`
+        );
+        break;
+      case 'pan':
+        this.panadapters.forEach((pan, streamId) => this._send(connection, this._panStatus(streamId, pan)));
+        break;
+      case 'spot':
+        this.spots.forEach((spot, index) => this._send(connection, this._spotStatus(index, spot.fields)));
+        break;
+      case 'cwx':
+        this._send(connection, `cwx wpm=${this.cwx.wpm} delay=5 qsk_enabled=0`);
+        break;
+      case 'memories':
+        this.memories.forEach((fields, index) => this._send(connection, this._memoryStatus(index, fields)));
+        break;
+      case 'radio':
+        this._send(connection, `radio nickname=${this.identity.name} callsign=${this.identity.callsign} slices=4 panadapters=4`);
+        this._send(connection, 'radio oscillator state=gpsdo setting=auto locked=1 ext_present=0 gpsdo_present=1 tcxo_present=1');
+        break;
+      case 'gps':
+        this._send(connection, `gps ${this.gps}`);
+        break;
+      case 'license':
+        Object.keys(this.features).forEach((name) =>
+          this._send(connection, `license feature name=${name} enabled=${this.features[name]} reason=`)
+        );
+        break;
+      case 'tx':
+        this._send(connection, 'interlock state=READY reason= source= tx_allowed=1 tx_client_handle=');
+        this._send(connection, this._transmitStatus());
+        break;
+      default:
+        break;
+    }
+    return RESPONSE.OK;
+  }
+
+  _handleSliceCommand(words) {
+    const action = words[1];
+
+    if (action === 'list') {
+      return `${RESPONSE.OK}|${Array.from(this.slices.keys()).join(' ')}`;
+    }
+
+    if (action === 'create') {
+      return this._createSliceCommand(words);
+    }
+
+    const slice = this.slices.get(parseInt(words[2], 10));
+    if (action !== 'tune' && action !== 'set' && action !== 'remove') return RESPONSE.UNKNOWN_COMMAND;
+    if (!slice) return RESPONSE.INVALID_VALUE;
+
+    if (action === 'remove') {
+      this.slices.delete(slice.index);
+      this._broadcast('slice', `slice ${slice.index} in_use=0`, GUI_CLIENT_HANDLE);
+      return RESPONSE.OK;
+    }
+
+    if (action === 'tune') {
+      const frequencyMHz = parseFloat(words[3]);
+      if (isNaN(frequencyMHz)) return RESPONSE.INCORRECT_PARAMETERS;
+      if (frequencyMHz < 0.03 || frequencyMHz > 54) return RESPONSE.INVALID_VALUE;
+      slice.RF_frequency = frequencyMHz.toFixed(6);
+      this._broadcast('slice', `slice ${slice.index} RF_frequency=${slice.RF_frequency}`, GUI_CLIENT_HANDLE);
+      this._followSlice(slice);
+      return RESPONSE.OK;
+    }
+
+    const changes = {};
+    for (const pair of words.slice(3)) {
+      const [key, value] = pair.split('=');
+      if (value === undefined) return RESPONSE.INCORRECT_PARAMETERS;
+      switch (key) {
+        case 'mode': {
+          const mode = value.toUpperCase();
+          if (!MODE_FILTERS[mode]) return RESPONSE.INVALID_VALUE;
+          changes.mode = mode;
+          [changes.filter_lo, changes.filter_hi] = MODE_FILTERS[mode];
+          break;
+        }
+        case 'rxant':
+        case 'txant':
+          if (!ANTENNAS.includes(value)) return RESPONSE.INVALID_VALUE;
+          changes[key] = value;
+          break;
+        default:
+          changes[key] = value;
+          break;
+      }
+    }
+    if (Object.keys(changes).length === 0) return RESPONSE.INCORRECT_PARAMETERS;
+
+    // Only one slice transmits; the radio takes the TX flag off the others
+    if (changes.tx === '1') {
+      this.slices.forEach((other) => {
+        if (other !== slice && String(other.tx) === '1') {
+          other.tx = 0;
+          this._broadcast('slice', `slice ${other.index} tx=0`, GUI_CLIENT_HANDLE);
+        }
+      });
+    }
+
+    Object.assign(slice, changes);
+    const pairs = Object.keys(changes).map((key) => `${key}=${changes[key]}`);
+    this._broadcast('slice', `slice ${slice.index} ${pairs.join(' ')}`, GUI_CLIENT_HANDLE);
+    return RESPONSE.OK;
+  }
+
+  // filt <slice> <low> <high>, edges in Hz relative to the slice frequency
+  _handleFilterCommand(words) {
+    const slice = this.slices.get(parseInt(words[1], 10));
+    const low = parseInt(words[2], 10);
+    const high = parseInt(words[3], 10);
+    if (!slice) return RESPONSE.INVALID_VALUE;
+    if (isNaN(low) || isNaN(high)) return RESPONSE.INCORRECT_PARAMETERS;
+    if (low >= high) return RESPONSE.INVALID_VALUE;
+
+    slice.filter_lo = low;
+    slice.filter_hi = high;
+    this._broadcast('slice', `slice ${slice.index} filter_lo=${low} filter_hi=${high}`, GUI_CLIENT_HANDLE);
+    return RESPONSE.OK;
+  }
+
+  _handleTransmitCommand(words) {
+    if (words[1] !== 'set') return RESPONSE.UNKNOWN_COMMAND;
+
+    const changes = {};
+    for (const pair of words.slice(2)) {
+      const [key, value] = pair.split('=');
+      const level = parseInt(value, 10);
+      if (!['rfpower', 'tunepower'].includes(key) || isNaN(level)) return RESPONSE.INCORRECT_PARAMETERS;
+      if (level < 0 || level > 100) return RESPONSE.INVALID_VALUE;
+      changes[key] = level;
+    }
+    if (Object.keys(changes).length === 0) return RESPONSE.INCORRECT_PARAMETERS;
+
+    Object.assign(this.transmit, changes);
+    this._broadcast('tx', this._transmitStatus());
+    return RESPONSE.OK;
+  }
+
+  _handleCwxCommand(command, words) {
+    switch (words[1]) {
+      case 'send': {
+        // cwx send "<text with spaces as 0x7F>" [<block>]; the reply names the buffer index of the first character
+        const match = command.match(/^cwx send "([^"]*)"(?:\s+(\d+))?/);
+        if (!match || match[1].length === 0) return RESPONSE.INCORRECT_PARAMETERS;
+        const start = this.cwx.nextIndex;
+        for (let i = 0; i < match[1].length; i++) this.cwx.buffer.push(this.cwx.nextIndex++);
+        this._keyCwx();
+        return `${RESPONSE.OK}|${start},${match[2] || 0}`;
+      }
+      case 'wpm': {
+        const wpm = parseInt(words[2], 10);
+        if (isNaN(wpm)) return RESPONSE.INCORRECT_PARAMETERS;
+        if (wpm < 5 || wpm > 100) return RESPONSE.INVALID_VALUE;
+        this.cwx.wpm = wpm;
+        this._broadcast('cwx', `cwx wpm=${wpm}`);
+        return RESPONSE.OK;
+      }
+      case 'clear': {
+        const { buffer } = this.cwx;
+        if (buffer.length > 0) {
+          this._broadcast('cwx', `cwx erase=${buffer[0]},${buffer[buffer.length - 1]}`);
+        }
+        this.cwx.buffer = [];
+        clearTimeout(this.cwx.timer);
+        this.cwx.timer = null;
+        return RESPONSE.OK;
+      }
+      default:
+        return RESPONSE.UNKNOWN_COMMAND;
+    }
+  }
+
+  // Keys the CWX buffer one character at a time (about 10 dit lengths per character)
+  _keyCwx() {
+    if (this.cwx.timer || this.cwx.buffer.length === 0) return;
+    this.cwx.timer = setTimeout(() => {
+      this.cwx.timer = null;
+      const index = this.cwx.buffer.shift();
+      if (index === undefined) return;
+      this._broadcast('cwx', `cwx sent=${index}`);
+      this._keyCwx();
+    }, 12000 / this.cwx.wpm);
+  }
+
+  _handleMemoryCommand(words) {
+    switch (words[1]) {
+      case 'create': {
+        const index = this.nextMemoryIndex++;
+        const fields = { owner: '', group: '', freq: '14.000000', name: '', mode: 'USB', rx_filter_low: 100, rx_filter_high: 2800 };
+        this.memories.set(index, fields);
+        this._broadcast('memories', this._memoryStatus(index, fields));
+        return `${RESPONSE.OK}|${index}`;
+      }
+      case 'set': {
+        const index = parseInt(words[2], 10);
+        const fields = this.memories.get(index);
+        if (!fields) return RESPONSE.INVALID_VALUE;
+        const changes = {};
+        words.slice(3).forEach((pair) => {
+          const equalIndex = pair.indexOf('=');
+          if (equalIndex > 0) changes[pair.substring(0, equalIndex)] = pair.substring(equalIndex + 1);
+        });
+        if (changes.freq !== undefined) {
+          if (isNaN(parseFloat(changes.freq))) return RESPONSE.INVALID_VALUE;
+          changes.freq = parseFloat(changes.freq).toFixed(6);
+        }
+        if (changes.mode !== undefined) {
+          if (!MODE_FILTERS[changes.mode]) return RESPONSE.INVALID_VALUE;
+          [changes.rx_filter_low, changes.rx_filter_high] = MODE_FILTERS[changes.mode];
+        }
+        Object.assign(fields, changes);
+        this._broadcast('memories', this._memoryStatus(index, changes));
+        return RESPONSE.OK;
+      }
+      case 'remove': {
+        const index = parseInt(words[2], 10);
+        if (!this.memories.delete(index)) return RESPONSE.INVALID_VALUE;
+        this._broadcast('memories', `memory ${index} removed`);
+        return RESPONSE.OK;
+      }
+      default:
+        return RESPONSE.UNKNOWN_COMMAND;
+    }
+  }
+
+  _memoryStatus(index, fields) {
+    const pairs = Object.keys(fields).map((key) => `${key}=${fields[key]}`);
+    return `memory ${index} ${pairs.join(' ')}`;
+  }
+
+  _createSliceCommand(words) {
+    const fields = {};
+    for (const pair of words.slice(2)) {
+      const [key, value] = pair.split('=');
+      if (value === undefined) return RESPONSE.INCORRECT_PARAMETERS;
+      fields[key] = value;
+    }
+
+    const frequencyMHz = parseFloat(fields.freq ?? '14.1');
+    const mode = (fields.mode || 'USB').toUpperCase();
+    if (isNaN(frequencyMHz) || !MODE_FILTERS[mode]) return RESPONSE.INVALID_VALUE;
+
+    let index = 0;
+    while (this.slices.has(index)) index++;
+    const slice = this._createSlice(index, frequencyMHz, mode, {
+      tx: 0,
+      active: 0,
+      rxant: 'ANT1',
+      txant: 'ANT1',
+      pan: fields.pan || this.slices.values().next().value?.pan || '0x40000000',
+    });
+    this.slices.set(index, slice);
+    this._broadcast('slice', this._sliceStatus(slice), GUI_CLIENT_HANDLE);
+    return `${RESPONSE.OK}|${index}`;
+  }
+
+  _handleSpotCommand(connection, words) {
+    switch (words[1]) {
+      case 'add': {
+        const fields = {};
+        words.slice(2).forEach((pair) => {
+          const equalIndex = pair.indexOf('=');
+          if (equalIndex > 0) fields[pair.substring(0, equalIndex)] = pair.substring(equalIndex + 1);
+        });
+        if (!fields.callsign || isNaN(parseFloat(fields.rx_freq))) return RESPONSE.INCORRECT_PARAMETERS;
+
+        const index = this.nextSpotIndex++;
+        const lifetimeSeconds = parseInt(fields.lifetime_seconds, 10) || 3600;
+        this.spots.set(index, {
+          fields,
+          expiryTimer: setTimeout(() => this._removeSpot(index), lifetimeSeconds * 1000),
+        });
+        this._broadcast('spot', this._spotStatus(index, fields), connection.handle);
+        return `${RESPONSE.OK}|${index}`;
+      }
+      case 'remove': {
+        const index = parseInt(words[2], 10);
+        if (!this.spots.has(index)) return RESPONSE.INVALID_VALUE;
+        this._removeSpot(index);
+        return RESPONSE.OK;
+      }
+      case 'clear':
+        Array.from(this.spots.keys()).forEach((index) => this._removeSpot(index));
+        return RESPONSE.OK;
+      default:
+        return RESPONSE.UNKNOWN_COMMAND;
+    }
+  }
+
+  _removeSpot(index) {
+    const spot = this.spots.get(index);
+    if (!spot) return;
+    clearTimeout(spot.expiryTimer);
+    this.spots.delete(index);
+    this._broadcast('spot', `spot ${index} removed`);
+  }
+
+  _handleProfileCommand(connection, command, words) {
+    if (words[1] !== 'global') return RESPONSE.UNKNOWN_COMMAND;
+
+    if (words[2] === 'info') {
+      this._send(connection, `profile global list=${GLOBAL_PROFILES.join('^')}^`);
+      this._send(connection, `profile global current=${this.currentProfile}`);
+      return RESPONSE.OK;
+    }
+
+    if (words[2] === 'load') {
+      const match = command.match(/load\s+"([^"]*)"/);
+      if (!match) return RESPONSE.INCORRECT_PARAMETERS;
+      if (!GLOBAL_PROFILES.includes(match[1])) return RESPONSE.INVALID_VALUE;
+      this.currentProfile = match[1];
+      this._broadcast('profile', `profile global current=${this.currentProfile}`);
+      return RESPONSE.OK;
+    }
+
+    return RESPONSE.UNKNOWN_COMMAND;
+  }
+
+  _transmitStatus() {
+    const { rfpower, tunepower, mox, tune } = this.transmit;
+    return `transmit rfpower=${rfpower} tunepower=${tunepower} mox=${mox} tune=${tune}`;
+  }
+
+  _send(connection, status, handle = connection.handle) {
+    if (!connection.socket.destroyed) {
+      connection.socket.write(`S${handle}|${status}\n`);
+    }
+  }
+
+  _broadcast(topic, status, handle) {
+    this.connections.forEach((connection) => {
+      // Profile changes are always reported; everything else only to subscribers
+      if (topic === 'profile' || connection.subscriptions.has(topic)) {
+        this._send(connection, status, handle || connection.handle);
+      }
+    });
+  }
+}
+
+module.exports = FlexRadioSimulator;
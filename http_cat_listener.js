@@ -6,7 +6,7 @@ const httpolyglot = require('httpolyglot');
 const EventEmitter = require('events');
 
 /**
- * Listener for incoming QSY (Tuning) commands from Wavelog.
+ * Listener for incoming QSY (Tuning) and go-to-band commands from Wavelog and other tools.
  * Uses httpolyglot to support both HTTP and HTTPS on port 54321.
  * Extends EventEmitter to report startup errors (e.g. Port Busy) to the main process.
  */
@@ -22,16 +22,27 @@ class HttpCatListener extends EventEmitter {
     this.logger = logger;
     this.server = null;
     this.onQsyCallback = null; // Function to call when valid data is received
+    this.onBandCallback = null; // Function to call for /band/<band>
   }
 
   /**
    * Sets the callback function to execute when a QSY request is received.
-   * @param {function} callback - Expected signature: (frequencyHz, mode)
+   * @param {function} callback - Expected signature: (frequencyHz, mode, txFrequencyHz, radioId), may return a Promise of
+   *   { success, error }. txFrequencyHz is null unless the URL asks for split (/<rxHz>/<mode>/<txHz>). radioId is null
+   *   unless the URL selects a radio (/radio/<id>/... or ?radio=<id>).
    */
   onQsy(callback) {
     this.onQsyCallback = callback;
   }
 
+  /**
+   * Sets the callback function to execute when a "go to band" request (/band/20m) is received.
+   * @param {function} callback - Expected signature: (band, radioId), may return a Promise of { success, error }.
+   */
+  onBand(callback) {
+    this.onBandCallback = callback;
+  }
+
   /**
    * Starts the Server.
    * @param {object} certs - Optional { key, cert } from CertificateManager
@@ -45,8 +56,38 @@ class HttpCatListener extends EventEmitter {
 
     const { host, port } = this.config.catListener;
 
+    // Runs a QSY or band callback and answers with its { success, error } result
+    const respondWithResult = async (res, callback, ...args) => {
+      if (!callback) {
+        res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Service Not Ready');
+        return;
+      }
+
+      try {
+          // Trigger the QSY logic and capture the result from the FlexRadio client
+          const result = await callback(...args);
+
+          if (result && result.success) {
+              // Success: Wavelog will show a green confirmation popup
+              res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+              res.end('OK');
+          } else {
+              // Failure (e.g. no slice, or the radio rejected the command): Wavelog will show a red error popup
+              const errorMsg = result ? result.error : 'Unknown error';
+              this.logger.error(`CAT Listener: Rejecting request because: ${errorMsg}`);
+              res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
+              res.end(`Error: ${errorMsg}`);
+          }
+      } catch (err) {
+          this.logger.error(`Error executing QSY callback: ${err.message}`);
+          res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('Internal Server Error');
+      }
+    };
+
     // Define the request handler to avoid duplication
-    const requestHandler = (req, res) => {
+    const requestHandler = async (req, res) => {
       // 1. Handle CORS (Cross-Origin Resource Sharing)
       res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -70,7 +111,8 @@ class HttpCatListener extends EventEmitter {
         return;
       }
 
-      const urlParts = req.url.split('/').filter(p => p.length > 0);
+      const [path, query = ''] = req.url.split('?');
+      let urlParts = path.split('/').filter(p => p.length > 0);
 
       // Friendly Connection Verification Page
       if (urlParts.length === 0 || urlParts[0] === 'verify') {
@@ -88,11 +130,34 @@ class HttpCatListener extends EventEmitter {
         return;
       }
 
+      // Radio selection for multi-radio stations: /radio/<id>/14074000/DIGU or /14074000/DIGU?radio=<id>.
+      // Without it the request goes to the main radio.
+      let radioId = new URLSearchParams(query).get('radio');
+      if (urlParts[0] === 'radio' && urlParts.length > 1) {
+        radioId = urlParts[1];
+        urlParts = urlParts.slice(2);
+      }
+      const radioLabel = radioId ? ` for radio "${radioId}"` : '';
+
+      // Go to band: /band/20m restores the last frequency and mode used on 20m
+      if (urlParts[0] === 'band') {
+        if (urlParts.length < 2) {
+          res.writeHead(400, { 'Content-Type': 'text/plain' });
+          res.end('Missing Band');
+          return;
+        }
+        const band = urlParts[1];
+        this.logger.info(`CAT Listener received band request: ${band}${radioLabel}`);
+        await respondWithResult(res, this.onBandCallback, band, radioId);
+        return;
+      }
+
       const freqHz = parseInt(urlParts[0], 10);
       const mode = urlParts.length > 1 ? urlParts[1].toUpperCase() : null;
+      const txFreqHz = urlParts.length > 2 ? parseInt(urlParts[2], 10) : null;
 
       // 3. Validation
-      if (isNaN(freqHz)) {
+      if (isNaN(freqHz) || (txFreqHz !== null && isNaN(txFreqHz))) {
         this.logger.warn(`CAT Listener received invalid data: ${req.url}`);
         res.writeHead(400, { 'Content-Type': 'text/plain' });
         res.end('Invalid Frequency');
@@ -101,7 +166,7 @@ class HttpCatListener extends EventEmitter {
 
       // Basic Range Sanity Check (0.1 MHz to 70 MHz)
       // Allows for Generic Coverage (MW/SW) and 6m band.
-      if (freqHz < 100000 || freqHz > 70000000) {
+      if (freqHz < 100000 || freqHz > 70000000 || (txFreqHz !== null && (txFreqHz < 100000 || txFreqHz > 70000000))) {
         this.logger.warn(`CAT Listener: Frequency ${freqHz} out of allowed safety range (100kHz-70MHz). Ignoring.`);
         res.writeHead(400, { 'Content-Type': 'text/plain' });
         res.end('Frequency out of range');
@@ -109,33 +174,11 @@ class HttpCatListener extends EventEmitter {
       }
 
       // 4. Log reception (Crucial: Logs even if radio is disconnected)
-      this.logger.info(`CAT Listener received QSY request: ${freqHz} Hz ${mode ? '(' + mode + ')' : ''}`);
-
-      if (this.onQsyCallback) {
-        try {
-            // Trigger the QSY logic and capture the result from the FlexRadio client
-            const result = this.onQsyCallback(freqHz, mode);
-
-            if (result && result.success) {
-                // Success: Wavelog will show a green confirmation popup
-                res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
-                res.end('OK');
-            } else {
-                // Failure (e.g. no slice): Wavelog will show a red error popup
-                const errorMsg = result ? result.error : 'Unknown error';
-                this.logger.error(`CAT Listener: Rejecting request because: ${errorMsg}`);
-                res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
-                res.end(`Error: ${errorMsg}`);
-            }
-        } catch (err) {
-            this.logger.error(`Error executing QSY callback: ${err.message}`);
-            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
-            res.end('Internal Server Error');
-        }
-      } else {
-        res.writeHead(503, { 'Content-Type': 'text/plain; charset=utf-8' });
-        res.end('Service Not Ready');
-      }
+      this.logger.info(
+        `CAT Listener received QSY request: ${freqHz} Hz ${mode ? '(' + mode + ')' : ''}${txFreqHz ? ` split, TX ${txFreqHz} Hz` : ''}${radioLabel}`
+      );
+
+      await respondWithResult(res, this.onQsyCallback, freqHz, mode, txFreqHz, radioId);
     };
 
     try {
@@ -0,0 +1,189 @@
+// license_privileges.js
+
+'use strict';
+
+// Emission categories a license segment can allow
+const MODE_CATEGORIES = ['CW', 'DATA', 'PHONE'];
+const CATEGORY_LABELS = { CW: 'CW', DATA: 'Data', PHONE: 'Phone' };
+
+const CW = ['CW'];
+const CW_DATA = ['CW', 'DATA'];
+const CW_PHONE = ['CW', 'PHONE'];
+const ALL = ['CW', 'DATA', 'PHONE'];
+
+const seg = (startKHz, endKHz, modes) => ({ startKHz, endKHz, modes });
+
+// 60m: five channels (center +/- 1.5 kHz) plus the 5351.5-5366.5 kHz allocation
+const US_60M = [
+  seg(5329.0, 5332.0, ALL),
+  seg(5345.0, 5348.0, ALL),
+  seg(5351.5, 5366.5, ALL),
+  seg(5370.0, 5373.0, ALL),
+  seg(5402.0, 5405.0, ALL),
+];
+
+const US_COMMON = {
+  top: [seg(1800, 2000, ALL)],
+  wl30: [seg(10100, 10150, CW_DATA)],
+  wl17: [seg(18068, 18110, CW_DATA), seg(18110, 18168, CW_PHONE)],
+  wl12: [seg(24890, 24930, CW_DATA), seg(24930, 24990, CW_PHONE)],
+  wl10: [seg(28000, 28300, CW_DATA), seg(28300, 29700, CW_PHONE)],
+  wl6: [seg(50000, 50100, CW), seg(50100, 54000, ALL)],
+};
+
+/**
+ * Built-in privilege tables, HF and 6m. A segment allows transmitting in the listed
+ * emission categories between startKHz and endKHz. Anything not covered is off limits.
+ * The CEPT table holds the band edges most IARU Region 1 administrations grant a full (HAREC)
+ * license; national allocations differ, notably on 160m, 60m and 6m, and the IARU Region 1
+ * band plan's mode segments are recommendations rather than license conditions.
+ */
+const LICENSE_TABLES = {
+  CEPT: {
+    name: 'CEPT full license (IARU Region 1)',
+    segments: [
+      seg(1810, 2000, ALL),
+      seg(3500, 3800, ALL),
+      seg(5351.5, 5366.5, ALL),
+      seg(7000, 7200, ALL),
+      seg(10100, 10150, CW_DATA),
+      seg(14000, 14350, ALL),
+      seg(18068, 18168, ALL),
+      seg(21000, 21450, ALL),
+      seg(24890, 24990, ALL),
+      seg(28000, 29700, ALL),
+      seg(50000, 52000, ALL),
+    ],
+  },
+  'US-Extra': {
+    name: 'US Amateur Extra',
+    segments: [
+      ...US_COMMON.top,
+      seg(3500, 3600, CW_DATA), seg(3600, 4000, CW_PHONE),
+      ...US_60M,
+      seg(7000, 7125, CW_DATA), seg(7125, 7300, CW_PHONE),
+      ...US_COMMON.wl30,
+      seg(14000, 14150, CW_DATA), seg(14150, 14350, CW_PHONE),
+      ...US_COMMON.wl17,
+      seg(21000, 21200, CW_DATA), seg(21200, 21450, CW_PHONE),
+      ...US_COMMON.wl12,
+      ...US_COMMON.wl10,
+      ...US_COMMON.wl6,
+    ],
+  },
+  'US-General': {
+    name: 'US General',
+    segments: [
+      ...US_COMMON.top,
+      seg(3525, 3600, CW_DATA), seg(3800, 4000, CW_PHONE),
+      ...US_60M,
+      seg(7025, 7125, CW_DATA), seg(7175, 7300, CW_PHONE),
+      ...US_COMMON.wl30,
+      seg(14025, 14150, CW_DATA), seg(14225, 14350, CW_PHONE),
+      ...US_COMMON.wl17,
+      seg(21025, 21200, CW_DATA), seg(21275, 21450, CW_PHONE),
+      ...US_COMMON.wl12,
+      ...US_COMMON.wl10,
+      ...US_COMMON.wl6,
+    ],
+  },
+  'US-Technician': {
+    name: 'US Technician',
+    segments: [
+      seg(3525, 3600, CW),
+      seg(7025, 7125, CW),
+      seg(21025, 21200, CW),
+      seg(28000, 28300, CW_DATA), seg(28300, 28500, CW_PHONE),
+      ...US_COMMON.wl6,
+    ],
+  },
+};
+
+/**
+ * Maps a slice or WSJT-X mode to its emission category.
+ * @param {string|null} mode - e.g. 'CWL', 'USB', 'DIGU', 'FT8'.
+ * @returns {string|null} - 'CW', 'DATA', 'PHONE', or null when the mode is not known.
+ */
+function modeCategory(mode) {
+  if (!mode) return null;
+  const upper = mode.toUpperCase();
+  if (upper.startsWith('CW')) return 'CW';
+  if (['LSB', 'USB', 'SSB', 'AM', 'SAM', 'FM', 'NFM', 'DFM', 'FDV'].includes(upper)) return 'PHONE';
+  return 'DATA';
+}
+
+/**
+ * Where the emission sits relative to the tuned frequency, in Hz. The whole signal has to fit
+ * inside an allowed segment, so an LSB signal tuned 1 kHz above a segment edge is still outside it.
+ * @param {string|null} mode - Slice or WSJT-X mode.
+ * @returns {number[]} - [low offset, high offset].
+ */
+function emissionOffsets(mode) {
+  const upper = (mode || '').toUpperCase();
+  if (['LSB', 'DIGL'].includes(upper)) return [-3000, 0];
+  if (['USB', 'SSB', 'DIGU', 'FDV'].includes(upper)) return [0, 3000];
+  if (['AM', 'SAM'].includes(upper)) return [-5000, 5000];
+  if (['FM', 'NFM', 'DFM'].includes(upper)) return [-8000, 8000];
+  if (upper === 'RTTY') return [-300, 300];
+  if (/^(FT|JT|Q65|MSK|WSPR|FST)/.test(upper)) return [0, 100]; // Frequency passed is the actual tone (dial + offset)
+  return [0, 0];
+}
+
+/**
+ * Returns the privilege table selected in the configuration.
+ * @param {object} settings - config.licensePrivileges.
+ * @returns {{name: string, segments: Array<object>}|null} - Null when the check is disabled.
+ */
+function getPrivilegeTable(settings) {
+  if (!settings || !settings.enabled) return null;
+  if (settings.table === 'custom') {
+    return { name: 'custom license', segments: settings.customSegments || [] };
+  }
+  return LICENSE_TABLES[settings.table] || null;
+}
+
+/**
+ * Checks whether the operator may transmit on a frequency in a mode.
+ * @param {object} settings - config.licensePrivileges.
+ * @param {number} frequencyHz - Transmit frequency (the dial frequency, or the tone for WSJT-X modes).
+ * @param {string|null} mode - Slice or WSJT-X mode; null checks the frequency for any mode.
+ * @returns {{allowed: boolean, reason: string|null}}
+ */
+function checkTransmit(settings, frequencyHz, mode) {
+  const table = getPrivilegeTable(settings);
+  if (!table || !Number.isFinite(frequencyHz)) return { allowed: true, reason: null };
+
+  const category = modeCategory(mode);
+  const [lowOffset, highOffset] = emissionOffsets(mode);
+  const lowKHz = (frequencyHz + lowOffset) / 1000;
+  const highKHz = (frequencyHz + highOffset) / 1000;
+
+  const allowsMode = (segment) => !category || (segment.modes || []).includes(category);
+  const fits = table.segments.some(
+    (segment) => allowsMode(segment) && lowKHz >= segment.startKHz && highKHz <= segment.endKHz
+  );
+  if (fits) return { allowed: true, reason: null };
+
+  const what = `${(frequencyHz / 1e6).toFixed(6)} MHz${mode ? ` ${mode.toUpperCase()}` : ''}`;
+  let reason = `${what} is outside your ${table.name} privileges.`;
+
+  // Point out where this mode is allowed nearby (same band, +/- 1 MHz)
+  const frequencyKHz = frequencyHz / 1000;
+  const nearby = table.segments.filter(
+    (segment) =>
+      allowsMode(segment) && Math.max(segment.startKHz - frequencyKHz, frequencyKHz - segment.endKHz) < 1000
+  );
+  if (category && nearby.length > 0) {
+    const ranges = nearby.map((segment) => `${segment.startKHz}-${segment.endKHz} kHz`).join(', ');
+    reason += ` ${CATEGORY_LABELS[category]} is allowed on ${ranges}.`;
+  }
+  return { allowed: false, reason };
+}
+
+module.exports = {
+  MODE_CATEGORIES,
+  LICENSE_TABLES,
+  modeCategory,
+  getPrivilegeTable,
+  checkTransmit,
+};
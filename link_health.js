@@ -0,0 +1,69 @@
+// link_health.js
+
+'use strict';
+
+// Number of recent keepalive probes kept for the status bar
+const HISTORY_SIZE = 30;
+
+/**
+ * Class representing the health of a TCP link as seen by its keepalive probes:
+ * the round-trip time of recent probes and the probes that went unanswered.
+ */
+class LinkHealth {
+  constructor() {
+    this.history = [];          // Round-trip times (ms) of the recent probes, oldest first; null for a failed probe
+    this.failures = 0;          // Probes that went unanswered since the link was set up
+    this.lastProbeAt = null;    // Time (ms since epoch) of the last probe result
+  }
+
+  /**
+   * Records an answered probe.
+   * @param {number} latencyMs - Time from sending the probe until the answer arrived.
+   */
+  recordSuccess(latencyMs) {
+    this._add(Math.max(0, Math.round(latencyMs)));
+  }
+
+  /**
+   * Records a probe that went unanswered.
+   */
+  recordFailure() {
+    this.failures++;
+    this._add(null);
+  }
+
+  /**
+   * Starts over for a new connection. The history is kept so the status bar still shows the outage.
+   */
+  resetFailures() {
+    this.failures = 0;
+  }
+
+  /**
+   * Returns the link health for the UI.
+   * @returns {{lastLatencyMs: number|null, averageLatencyMs: number|null, maxLatencyMs: number|null,
+   *   history: Array<number|null>, failures: number, lastProbeAt: number|null, ok: boolean|null}}
+   *   `ok` is null before the first probe, false if the last probe failed.
+   */
+  toJSON() {
+    const answered = this.history.filter((latency) => latency !== null);
+    const last = this.history.length > 0 ? this.history[this.history.length - 1] : undefined;
+    return {
+      lastLatencyMs: last ?? null,
+      averageLatencyMs: answered.length > 0 ? Math.round(answered.reduce((sum, ms) => sum + ms, 0) / answered.length) : null,
+      maxLatencyMs: answered.length > 0 ? Math.max(...answered) : null,
+      history: [...this.history],
+      failures: this.failures,
+      lastProbeAt: this.lastProbeAt,
+      ok: last === undefined ? null : last !== null,
+    };
+  }
+
+  _add(sample) {
+    this.history.push(sample);
+    if (this.history.length > HISTORY_SIZE) this.history.shift();
+    this.lastProbeAt = Date.now();
+  }
+}
+
+module.exports = LinkHealth;
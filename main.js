@@ -20,10 +20,19 @@ const MqttRotatorClient = require('./mqtt_client');
 const HttpCatListener = require('./http_cat_listener');
 const WavelogWsServer = require('./wavelog_ws_server');
 const StatusServer = require('./status_server');
+const RadioDiscovery = require('./radio_discovery');
+const FlexRadioSimulator = require('./flexradio_simulator');
+const SessionRecorder = require('./session_recorder');
+const SessionPlayer = require('./session_player');
 const CertificateManager = require('./certificate_manager');
-const IS_TEST_MODE = false; // Test, when radio is not available.
+const { parseSplit } = require('./split_parser');
+const { checkTransmit } = require('./license_privileges');
+const BandStack = require('./band_stack');
+const CwxState = require('./cwx_state');
+const memoryList = require('./memory_list');
+const { PRIMARY_RADIO_ID, buildRadioConfigs, findRadio } = require('./flexradio_radios');
 let lastApiUpdate = 0;
-let lastRadioState = { frequency: 0, mode: '' };
+let lastRadioState = { frequency: 0, mode: '', power: null, rxFrequency: null };
 let sliceInFlight = false;
 let pendingSlice = null;
 
@@ -31,13 +40,21 @@ let certManager;
 let httpCatListener;
 let wavelogWsServer;
 let statusServer;
+let radioDiscovery;
+let radioSimulator;
+let sessionRecorder;
+let sessionPlayer;
 let mqttRotatorClient;
 let qsoWindow = null; // Reference to the QSO Assistant window
+let bandStackSaveTimer = null; // Pending write of the band stack to storage
 
 let logger;
 let mainWindow;
 let splashWindow;
 let dxClusterClient, flexRadioClient, augmentedSpotCache;
+let radios = []; // The main radio and flexRadio.additionalRadios, see flexradio_radios.js
+const additionalRadioClients = new Map(); // Radio id -> FlexRadioClient for flexRadio.additionalRadios
+const additionalRadioWavelogStates = new Map(); // Radio id -> what was last sent to Wavelog for that radio
 let wsjtClient;
 let wavelogClient;
 let uiManager;
@@ -54,7 +71,29 @@ let qrzClient;
 let autoUpdater = null;
 
 const isDebug = process.argv.includes('--app-debug');
+// Run against the built-in FlexRadio simulator instead of a real radio
+const isSimulatingRadio = process.argv.includes('--simulate-radio');
+// Capture raw radio/cluster/WSJT-X traffic to a session file, or replay one instead of connecting
+const isRecordingSession = process.argv.includes('--record-session');
+const replaySessionPath = getCommandLineValue('--replay-session');
+const replaySpeed = parseFloat(getCommandLineValue('--replay-speed') ?? '1');
 
+/**
+ * Returns the value of a command line option given as `--name=value` or `--name value`.
+ * @param {string} name - Option name including the leading dashes.
+ * @returns {string|null}
+ */
+function getCommandLineValue(name) {
+  const index = process.argv.findIndex((arg) => arg === name || arg.startsWith(`${name}=`));
+  if (index === -1) return null;
+  const arg = process.argv[index];
+  if (arg.length > name.length) return arg.substring(name.length + 1);
+  return process.argv[index + 1] ?? null;
+}
+
+
+// The band stack changes with every VFO step, so it is written to storage at most this often
+const BAND_STACK_SAVE_DELAY_MS = 5000;
 
 // Placeholder values copied from defaultConfig.js.
 // Used to detect a fresh, unconfigured install. Keep in sync with defaultConfig.js.
@@ -198,6 +237,27 @@ if (fs.existsSync(localConfigPath)) {
   console.log('Loaded default configuration.');
 }
 
+/**
+ * Makes the simulator report a click on the most recently added spot, as SmartSDR does when a spot is clicked.
+ */
+function simulateSpotClick() {
+  if (!radioSimulator) return;
+  const newestIndex = Math.max(...radioSimulator.spots.keys());
+  if (!radioSimulator.triggerSpot(newestIndex)) {
+    logger.warn('Simulator: there are no spots to click.');
+  }
+}
+
+/**
+ * Makes the simulator report slice A being tuned, as if the VFO knob was turned in SmartSDR.
+ * @param {number} stepMHz - Frequency change in MHz.
+ */
+function simulateVfoStep(stepMHz) {
+  if (!radioSimulator) return;
+  const slice = radioSimulator.slices.get(0);
+  radioSimulator.tuneSlice(0, parseFloat(slice.RF_frequency) + stepMHz);
+}
+
 function createTray() {
   const iconPath = path.join(__dirname, 'assets/icons/icon.png');
   const trayIcon = nativeImage.createFromPath(iconPath);
@@ -212,6 +272,35 @@ function createTray() {
         if (mainWindow) mainWindow.show();
       }
     },
+    {
+      label: 'Go to Band',
+      submenu: BandStack.BANDS.map((band) => ({
+        label: band,
+        click: async () => {
+          const result = await goToBand(band);
+          if (!result.success) {
+            new Notification({
+              title: 'Wave-Flex Integrator',
+              body: `Could not go to ${band}: ${result.error}`,
+              icon: path.join(__dirname, 'assets/icons/icon.png')
+            }).show();
+          }
+        }
+      }))
+    },
+    // Operator actions a real radio would report, so the spot click and VFO paths can be tried without one
+    ...(isSimulatingRadio
+      ? [
+          {
+            label: 'Simulator',
+            submenu: [
+              { label: 'Click Newest Spot', click: () => simulateSpotClick() },
+              { label: 'Tune Slice A Up 1 kHz', click: () => simulateVfoStep(0.001) },
+              { label: 'Tune Slice A Down 1 kHz', click: () => simulateVfoStep(-0.001) },
+            ],
+          },
+        ]
+      : []),
     { type: 'separator' },
     {
         label: 'Restart',
@@ -627,6 +716,16 @@ app.on('ready', () => {
         // Initialize core service clients. FlexRadio is initialized later if configured.
         wavelogClient = new WavelogClient(config, logger, mainWindow);
         dxClusterClient = new DXClusterClient(config, logger);
+
+        if (isRecordingSession) {
+          const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+          sessionRecorder = new SessionRecorder(
+            path.join(path.dirname(debugLogPath), `session-${stamp}.jsonl`),
+            logger
+          );
+          sessionRecorder.start({ appVersion: app.getVersion(), platform: process.platform });
+          dxClusterClient.recorder = sessionRecorder;
+        }
         qrzClient = new QRZClient(config, logger);
 
         // Initialize Rotator Client (MQTT)
@@ -639,6 +738,7 @@ app.on('ready', () => {
           mqttRotatorClient.on('error', (err) => {
             uiManager.sendStatusUpdate({ event: 'rotatorError', error: err.message });
           });
+          mqttRotatorClient.on('reconnectState', (state) => sendReconnectState('rotator', state));
 
           // Delay connection to ensure GUI is ready to receive the event
           setTimeout(() => {
@@ -646,6 +746,16 @@ app.on('ready', () => {
           }, 2000);
         }
 
+        // Initialize FlexRadio LAN discovery (settings tab radio picker, follows DHCP address changes)
+        if (config.flexRadio.discovery?.enabled !== false && !isSimulatingRadio && !replaySessionPath) {
+          radioDiscovery = new RadioDiscovery(config, logger);
+          radioDiscovery.on('radiosChanged', (radios) => {
+            if (mainWindow) mainWindow.webContents.send('discovered-radios', radios);
+          });
+          radioDiscovery.on('radioSeen', followRadioAddress);
+          radioDiscovery.start();
+        }
+
         // Initialize Spot Cache
         augmentedSpotCache = new AugmentedSpotCache(config.augmentedSpotCache.maxSize, logger, config, wavelogClient);
 
@@ -666,7 +776,8 @@ app.on('ready', () => {
         if (config.wsjt.enabled) {
           logger.info('WSJT-X integration is enabled.');
           wsjtClient = new WSJTClient(config, logger);
-          wsjtClient.start();
+          wsjtClient.recorder = sessionRecorder || null;
+          if (!replaySessionPath) wsjtClient.start();
         } else {
           logger.info('WSJT-X integration is disabled.');
         }
@@ -682,38 +793,34 @@ app.on('ready', () => {
         // --- FlexRadio & Server Initialization ---
         // Only initialize radio connection if a callsign is configured
         if (stationCallsign) {
-          flexRadioClient = new FlexRadioClient(config, logger, stationCallsign);
+          radios = buildRadioConfigs(config);
+          let flexRadioConfig = config;
+          if (isSimulatingRadio) {
+            radioSimulator = new FlexRadioSimulator(logger);
+            const simulatorPort = await radioSimulator.start();
+            // Point a copy of the config at the simulator so the saved radio address is left alone
+            flexRadioConfig = {
+              ...config,
+              flexRadio: { ...config.flexRadio, enabled: true, host: '127.0.0.1', port: simulatorPort },
+            };
+            logger.warn(`Running with the FlexRadio simulator on port ${simulatorPort}. No real radio will be used.`);
+          }
+
+          radios[0].config = flexRadioConfig;
+          flexRadioClient = new FlexRadioClient(flexRadioConfig, logger, stationCallsign);
+          flexRadioClient.recorder = sessionRecorder || null;
           attachFlexRadioEventListeners();
+          loadBandStack(PRIMARY_RADIO_ID, flexRadioClient);
+
+          // Further radios (club stations, SO2R) run alongside; the simulator and a replay only drive the main radio
+          if (!isSimulatingRadio && !replaySessionPath) {
+            radios.slice(1).forEach(createAdditionalRadioClient);
+          }
 
           // 1. Initialize HTTP CAT Listener (Incoming QSY commands from Wavelog)
           httpCatListener = new HttpCatListener(config, logger);
-          httpCatListener.onQsy((freq, mode) => {
-            if (flexRadioClient) {
-              // Send command to radio (Set internal qsyLock)
-              const qsyResult = flexRadioClient.setSliceFrequency(freq, mode);
-
-              logger.debug(`[OPTIMISTIC DEBUG] qsyResult.success: ${qsyResult.success}`);
-              logger.debug(`[OPTIMISTIC DEBUG] activeTXSlices exists: ${!!flexRadioClient.activeTXSlices}`);
-              if (flexRadioClient.activeTXSlices) {
-                  logger.debug(`[OPTIMISTIC DEBUG] activeTXSlices length: ${flexRadioClient.activeTXSlices.length}`);
-              } else {
-                  logger.debug(`[OPTIMISTIC DEBUG] activeTXSlices is NULL or UNDEFINED`);
-              }
-
-              // Perform Optimistic Update: Push new state to UI immediately
-              if (qsyResult.success && flexRadioClient.activeTXSlices && flexRadioClient.activeTXSlices.length > 0) {
-                const activeSlice = { ...flexRadioClient.activeTXSlices[0] };
-
-                activeSlice.frequency = freq / 1000000.0;
-                if (mode) activeSlice.mode = mode.toUpperCase();
-
-                logger.info(`Optimistic QSY Update: Pushing ${freq} Hz to Wavelog via WebSocket.`);
-                if (wavelogWsServer) wavelogWsServer.broadcastStatus(activeSlice);
-              }
-              return qsyResult;
-            }
-            return { success: false, error: 'FlexRadio client not initialized' };
-          });
+          httpCatListener.onQsy(qsyRadio);
+          httpCatListener.onBand(goToBand);
 
           // Listen for fatal errors (like Port busy)
           httpCatListener.on('error', (err) => {
@@ -735,20 +842,26 @@ app.on('ready', () => {
 
           // Event: Wavelog web client connected
           wavelogWsServer.on('client-connected', () => {
-            const isConnected = flexRadioClient && flexRadioClient.isConnected();
-            const hasSlice = flexRadioClient && flexRadioClient.activeTXSlices?.length > 0;
-
-            // Send immediate status update to the new client
-            if (isConnected && hasSlice) {
-              wavelogWsServer.broadcastStatus(flexRadioClient.activeTXSlices[0]);
-            } else {
-              wavelogWsServer.broadcastStatus({
-                radio: config.wavelogAPI?.radioName || 'wave-flex-integrator',
-                frequency: 14.000,
-                mode: 'N/A',
-                power: 0
-              });
-            }
+            // Send immediate status update to the new client (each client only gets the radio it selected)
+            radios.forEach((radio) => {
+              const client = getRadioClient(radio.id);
+              const isConnected = client && client.isConnected();
+              const hasSlice = client && client.activeTXSlices?.length > 0;
+
+              if (isConnected && hasSlice) {
+                wavelogWsServer.broadcastStatus({
+                  ...client.activeTXSlices[0],
+                  power: client.getReportedPower()
+                }, radio);
+                wavelogWsServer.broadcastSlices(client.getSlices(), radio);
+              } else {
+                wavelogWsServer.broadcastStatus({
+                  frequency: 14.000,
+                  mode: 'N/A',
+                  power: 0
+                }, radio);
+              }
+            });
 
             uiManager.sendStatusUpdate({ event: 'connectionMode', mode: 'live' });
           });
@@ -759,11 +872,16 @@ app.on('ready', () => {
             uiManager.sendStatusUpdate({ event: 'connectionMode', mode: 'polling' });
           });
 
+          // Event: QSY request from a WebSocket client, for the radio the client selected
+          wavelogWsServer.on('qsy', async (request, reply) => {
+            reply(await qsyRadio(request.frequencyHz, request.mode, request.txFrequencyHz, request.radioId));
+          });
+
           // Event: Handle Lookup Trigger from Wavelog (QSO Assistant)
           wavelogWsServer.on('lookup', (data) => {
             logger.info(`External lookup trigger from Wavelog: ${data.callsign}`);
             data.radio_connected = flexRadioClient && flexRadioClient.isConnected();
-            data.test_mode = IS_TEST_MODE;
+            data.test_mode = isSimulatingRadio;
             if (qsoWindow && !qsoWindow.isDestroyed()) {
               qsoWindow.webContents.send('wavelog-lookup', data);
               qsoWindow.show();
@@ -820,15 +938,47 @@ app.on('ready', () => {
               }
 
               // 2. Update Wavelog API (Only on change)
-              const isChanged = (slice.frequency !== lastRadioState.frequency) || (slice.mode !== lastRadioState.mode);
+              const isChanged = (slice.frequency !== lastRadioState.frequency) || (slice.mode !== lastRadioState.mode) ||
+                ((slice.rxFrequency ?? null) !== lastRadioState.rxFrequency);
 
               if (isChanged) {
-                if (!sliceInFlight) {
-                  sliceInFlight = true;
-                  wavelogClient.sendActiveSliceToWavelog(slice).then(() => onSliceSent(slice)).catch((err) => onSliceFailed(err));
-                } else {
-                  pendingSlice = slice;
-                }
+                queueSliceForWavelog(slice);
+              }
+            });
+
+            // All slices (TX and listening) for the status endpoint, WebSocket and UI
+            flexRadioClient.on('slicesChanged', (slices) => {
+              if (statusServer) statusServer.updateSlices(slices);
+              if (wavelogWsServer) wavelogWsServer.broadcastSlices(slices);
+              if (mainWindow) {
+                mainWindow.webContents.send('slices-update', slices);
+              }
+            });
+
+            // Transmitter state: PTT, interlock/inhibit reason and RF power setting
+            flexRadioClient.on('transmitState', (txState) => {
+              if (statusServer) statusServer.updateTransmit(txState);
+              if (mainWindow) {
+                mainWindow.webContents.send('transmit-update', txState);
+              }
+            });
+
+            // Meter readings: forward power, SWR, ALC and PA temperature
+            flexRadioClient.on('meters', (meters) => {
+              if (statusServer) statusServer.updateMeters(meters);
+
+              if (mainWindow) {
+                mainWindow.webContents.send('meter-update', meters);
+              }
+            });
+
+            // Peak TX power of a transmission that just ended: publish it to Wavelog if it changed
+            flexRadioClient.on('txPower', (watts) => {
+              const activeSlice = flexRadioClient.activeTXSlices?.[0];
+              if (activeSlice && watts !== lastRadioState.power) {
+                const slice = { ...activeSlice, power: watts };
+                if (wavelogWsServer) wavelogWsServer.broadcastStatus(slice);
+                queueSliceForWavelog(slice);
               }
             });
           }
@@ -871,6 +1021,27 @@ app.on('ready', () => {
     });
 });
 
+/**
+ * Follows the selected radio when discovery reports it at a new address (e.g. DHCP renewal).
+ * @param {object} radio - Radio info from RadioDiscovery.
+ */
+function followRadioAddress(radio) {
+  const selectedSerial = config.flexRadio?.serial;
+  if (!selectedSerial || radio.serial !== selectedSerial || !radio.ip) return;
+
+  if (radio.ip !== config.flexRadio.host) {
+    logger.info(`Selected radio ${radio.serial} is now at ${radio.ip}. Updating stored configuration.`);
+    config.flexRadio.host = radio.ip;
+    storage.set('config', config, (error) => {
+      if (error) {
+        logger.error(`Error saving updated radio address: ${error.message}`);
+      }
+    });
+  }
+
+  if (flexRadioClient) flexRadioClient.updateHost(radio.ip);
+}
+
 /**
  * Checks if the essential configuration is valid.
  */
@@ -910,7 +1081,12 @@ let activeQSO = false;
 
 function onSliceSent(sentSlice) {
   lastApiUpdate = Date.now();
-  lastRadioState = { frequency: sentSlice.frequency, mode: sentSlice.mode };
+  lastRadioState = {
+    frequency: sentSlice.frequency,
+    mode: sentSlice.mode,
+    power: sentSlice.power ?? null,
+    rxFrequency: sentSlice.rxFrequency ?? null,
+  };
   logger.info(`[API-SIDE] Sent active slice to Wavelog API: ${sentSlice.frequency} Hz`);
   sliceInFlight = false;
   drainPending();
@@ -922,17 +1098,73 @@ function onSliceFailed(err) {
   drainPending();
 }
 
+/**
+ * Sends a slice to the Wavelog API, coalescing updates while a request is in flight.
+ * @param {object} slice - Active TX slice snapshot.
+ */
+function queueSliceForWavelog(slice) {
+  if (!sliceInFlight) {
+    sliceInFlight = true;
+    wavelogClient.sendActiveSliceToWavelog(slice).then(() => onSliceSent(slice)).catch((err) => onSliceFailed(err));
+  } else {
+    pendingSlice = slice;
+  }
+}
+
 function drainPending() {
   if (pendingSlice === null) return;
   const toSend = pendingSlice;
   pendingSlice = null;
-  if (toSend.frequency === lastRadioState.frequency && toSend.mode === lastRadioState.mode) return;
+  if (toSend.frequency === lastRadioState.frequency && toSend.mode === lastRadioState.mode &&
+      (toSend.power ?? null) === lastRadioState.power &&
+      (toSend.rxFrequency ?? null) === lastRadioState.rxFrequency) return;
   sliceInFlight = true;
   wavelogClient.sendActiveSliceToWavelog(toSend)
     .then(() => onSliceSent(toSend))
     .catch((err) => onSliceFailed(err));
 }
 
+let lastWsjtLicenseWarning = null;
+
+/**
+ * Checks the frequency WSJT-X is about to transmit on (dial + TX offset) against the license privileges.
+ * Halts WSJT-X in 'reject' mode; each frequency and mode is only reported once.
+ * @param {object} status - A WSJT-X status message.
+ */
+function checkWsjtTransmit(status) {
+  if (!status.txEnabled && !status.transmitting) {
+    lastWsjtLicenseWarning = null;
+    return;
+  }
+
+  const txFrequencyHz = Number(status.dialFrequency) + (status.txDF || 0);
+  const privilege = checkTransmit(config.licensePrivileges, txFrequencyHz, status.mode);
+  if (privilege.allowed) return;
+
+  const key = `${status.id}:${txFrequencyHz}:${status.mode}`;
+  const reject = config.licensePrivileges.action !== 'warn';
+  if (reject) {
+    wsjtClient.haltTx(status.id).then((result) => {
+      if (!result.success) logger.error(result.error);
+    });
+  }
+  if (key === lastWsjtLicenseWarning) return;
+  lastWsjtLicenseWarning = key;
+
+  const message = `WSJT-X ${reject ? 'halted' : 'transmitting'}: ${privilege.reason}`;
+  logger.warn(message);
+  uiManager.sendStatusUpdate({ event: 'licenseWarning', message });
+}
+
+/**
+ * Sends a reconnect countdown to the status bar.
+ * @param {string} source - 'radio', 'cluster', 'rotator' or 'wavelog'.
+ * @param {object} state - ReconnectPolicy state: { attempt, nextAttemptAt, delayMs }.
+ */
+function sendReconnectState(source, state) {
+  if (mainWindow) mainWindow.webContents.send('reconnect-state', { source, ...state });
+}
+
 /**
  * Attaches event listeners for DXClusterClient and FlexRadioClient.
  */
@@ -949,6 +1181,13 @@ function attachEventListeners() {
     uiManager.updateDXClusterStatus('dxClusterError', err);
   });
 
+  dxClusterClient.on('reconnectState', (state) => sendReconnectState('cluster', state));
+
+  // Keepalive probe round-trip times for the status bar
+  dxClusterClient.on('linkHealth', (health) => {
+    if (mainWindow) mainWindow.webContents.send('link-health', { source: 'cluster', ...health });
+  });
+
   dxClusterClient.on('loggedin', async () => {
     logger.info('Logged in to DXCluster');
 
@@ -975,8 +1214,9 @@ function attachEventListeners() {
       logger.debug('Raw Spot Data:', spot);
       await augmentedSpotCache.processSpot(spot);
       logger.debug('Enriched Spot Data:', spot);
-      await flexRadioClient.sendSpot(spot);
       uiManager.sendSpotUpdate(spot);
+      // Not awaited: the rate-limited spot outbox may hold the spot back for a while
+      pushSpotToRadios(spot);
     } catch (e) {
       logger.error(`Error processing spot: ${e.message}`);
     }
@@ -1001,6 +1241,9 @@ function attachEventListeners() {
     logger.warn('Wavelog circuit opened - Wavelog appears unavailable');
   });
 
+  // Countdown to the next check whether Wavelog is back
+  wavelogClient.on('reconnectState', (state) => sendReconnectState('wavelog', state));
+
   wavelogClient.on('breakerClosed', async () => {
     try {
       uiManager.updateWavelogStatus('WavelogResponsive', await wavelogClient.getStationProfileName());
@@ -1037,6 +1280,8 @@ function attachEventListeners() {
         `WSJT-X Status received: ${JSON.stringify(message, bigIntReplacer)}`
       );
 
+      checkWsjtTransmit(message);
+
       if (config.wsjt.showQSO) {
         if (dxCall && deCall && txEnabled && !activeQSO) {
           activeQSO = true;
@@ -1124,7 +1369,15 @@ function attachFlexRadioEventListeners() {
     flexRadioClient.on('disconnected', () => {
       logger.info('Disconnected from FlexRadio server');
       uiManager.updateFlexRadioStatus('flexRadioDisconnected');
-      if (statusServer) statusServer.updateState(null);
+      if (statusServer) {
+        statusServer.updateState(null);
+        statusServer.updateSlices(null);
+      }
+      if (mainWindow) {
+        mainWindow.webContents.send('slices-update', []);
+        mainWindow.webContents.send('memories-update', []);
+        mainWindow.webContents.send('radio-identity', null);
+      }
     });
 
     flexRadioClient.on('error', (error) => {
@@ -1137,12 +1390,418 @@ function attachFlexRadioEventListeners() {
         mainWindow.webContents.send('flex-global-profiles', profiles);
       }
     });
-    flexRadioClient.on('externalSpotTriggered', (callsign) => {
-        if (qsoWindow && !qsoWindow.isDestroyed()) {
-             qsoWindow.webContents.send('external-lookup', callsign);
-             qsoWindow.show(); // Bring window to front if hidden
-        }
+    // Re-push spots that were lost from the panadapter while the radio link was down
+    flexRadioClient.on('spotsResync', (spots) => repushSpots(flexRadioClient, spots));
+
+    // QSY refused, or allowed through in 'warn' mode
+    flexRadioClient.on('licenseWarning', (reason) => {
+      uiManager.sendStatusUpdate({ event: 'licenseWarning', message: reason });
     });
+
+    flexRadioClient.on('qsyFailed', (reason) => {
+      uiManager.sendStatusUpdate({ event: 'qsyFailed', message: reason });
+    });
+
+    // CWX keyer progress for the QSO Assistant's CW macros
+    flexRadioClient.on('cwxStatus', (state) => {
+      if (qsoWindow && !qsoWindow.isDestroyed()) qsoWindow.webContents.send('cwx-status', state);
+    });
+
+    // Multi-Flex: the station we follow (flexRadio.bindStation) connected or disconnected
+    flexRadioClient.on('boundStationChanged', (bound) => {
+      uiManager.sendStatusUpdate({ event: 'boundStation', ...bound });
+    });
+
+    flexRadioClient.on('bandStackChanged', scheduleBandStackSave);
+
+    flexRadioClient.on('reconnectState', (state) => sendReconnectState('radio', state));
+
+    // Keepalive ping round-trip times for the status bar
+    flexRadioClient.on('linkHealth', (health) => {
+      if (mainWindow) mainWindow.webContents.send('link-health', { source: 'radio', ...health });
+    });
+
+    flexRadioClient.on('commandQueueStats', (stats) => {
+      if (mainWindow) mainWindow.webContents.send('command-queue-update', stats);
+    });
+
+    flexRadioClient.on('memoriesChanged', (memories) => {
+      if (mainWindow) mainWindow.webContents.send('memories-update', memories);
+    });
+
+    // Model, serial, firmware, features and GPS of the connected radio (About tab and status bar)
+    flexRadioClient.on('radioIdentity', (identity) => {
+      if (mainWindow) mainWindow.webContents.send('radio-identity', identity);
+    });
+
+    // The radio's SmartSDR version is outside the range the integration supports
+    flexRadioClient.on('firmwareWarning', (message) => {
+      uiManager.sendStatusUpdate({ event: 'firmwareWarning', message });
+    });
+
+    flexRadioClient.on('externalSpotTriggered', (callsign, spot) => {
+      handleSpotClick(spot || { callsign }, PRIMARY_RADIO_ID).catch((err) =>
+        logger.error(`Error handling spot click for ${callsign}: ${err.message}`)
+      );
+    });
+  }
+}
+
+/**
+ * Runs the configured actions (flexRadio.spotManagement.clickActions) for a spot clicked on the panadapter.
+ * @param {object} spot - The clicked spot: { callsign, frequency (MHz), mode }.
+ * @param {string} radioId - Radio whose panadapter the spot was clicked on.
+ */
+async function handleSpotClick(spot, radioId) {
+  const radio = findRadio(radios, radioId);
+  const client = getRadioClient(radioId);
+  const actions = config.flexRadio.spotManagement?.clickActions || {};
+  const callsign = spot.callsign;
+
+  // SmartSDR has already tuned to the spot, so all we can do is warn and not start WSJT-X on it
+  const privilege = checkTransmit(config.licensePrivileges, Math.round((spot.frequency || 0) * 1e6), spot.mode);
+  if (!privilege.allowed) {
+    logger.warn(`Spot click: ${callsign} ${privilege.reason}`);
+    uiManager.sendStatusUpdate({ event: 'licenseWarning', message: `${callsign}: ${privilege.reason}` });
+  }
+  const mayTransmit = privilege.allowed || config.licensePrivileges.action === 'warn';
+
+  if (config.flexRadio.split?.enabled && client && typeof spot.frequency === 'number') {
+    await applySpotSplit(spot, client);
+  }
+
+  if (actions.openLogQSO) {
+    utils.openLogQSO(callsign, config);
+  }
+
+  if (actions.qsoAssistant) {
+    showQsoAssistantLookup(callsign);
+  }
+
+  if (actions.wavelogLiveForm) {
+    const sent = wavelogWsServer ? wavelogWsServer.broadcastSpotClicked(spot, radio) : 0;
+    if (sent === 0) logger.warn(`Spot click: no Wavelog live logging page connected to receive ${callsign}.`);
+  }
+
+  if (actions.wsjtReply && /^(DIG|FT|JT|RTTY)/i.test(spot.mode || '')) {
+    if (!mayTransmit) {
+      logger.warn(`Spot click: not answering ${callsign} in WSJT-X, outside license privileges.`);
+    } else if (!wsjtClient || !config.wsjt.enabled) {
+      logger.warn('Spot click: WSJT-X Reply is selected but the WSJT-X integration is disabled.');
+    } else {
+      const result = await wsjtClient.replyToCallsign(callsign);
+      if (!result.success) logger.warn(`Spot click: ${result.error}`);
+    }
+  }
+
+  if (actions.rotateShortPath) {
+    if (!mqttRotatorClient || !config.rotator?.enabled) {
+      logger.warn('Spot click: rotator action is selected but the rotator is disabled.');
+    } else {
+      const data = await lookupCallsign(callsign);
+      if (data && typeof data.bearing === 'number') {
+        logger.info(`Spot click: rotating to ${data.bearing} deg (short path to ${callsign}).`);
+        mqttRotatorClient.rotate(data.bearing);
+      } else {
+        logger.warn(`Spot click: no bearing known for ${callsign}, rotator not moved.`);
+      }
+    }
+  }
+}
+
+/**
+ * Returns the FlexRadioClient for a radio.
+ * @param {string|null} radioId - Radio id from flexRadio.additionalRadios; empty for the main radio.
+ * @returns {FlexRadioClient|null} - Null when there is no such radio or it has not been set up.
+ */
+function getRadioClient(radioId) {
+  const radio = findRadio(radios, radioId);
+  if (!radio) return null;
+  return radio.id === PRIMARY_RADIO_ID ? flexRadioClient : additionalRadioClients.get(radio.id) || null;
+}
+
+/**
+ * Returns every FlexRadioClient, the main radio first.
+ * @returns {Array<[string, FlexRadioClient]>} - [radio id, client] pairs.
+ */
+function getRadioClients() {
+  const clients = flexRadioClient ? [[PRIMARY_RADIO_ID, flexRadioClient]] : [];
+  return clients.concat(Array.from(additionalRadioClients.entries()));
+}
+
+function unknownRadioResult(radioId) {
+  return { success: false, error: radioId ? `Unknown radio "${radioId}".` : 'FlexRadio client not initialized' };
+}
+
+/**
+ * Tunes a radio for a QSY request from the CAT listener or a WebSocket client.
+ * @param {number} freq - Frequency in Hertz.
+ * @param {string|null} mode - Mode.
+ * @param {number|null} txFreq - TX frequency in Hertz to work split, or null.
+ * @param {string|null} radioId - Radio id; empty for the main radio.
+ * @returns {Promise<object>} - { success, error }.
+ */
+async function qsyRadio(freq, mode, txFreq, radioId) {
+  const client = getRadioClient(radioId);
+  if (!client) return unknownRadioResult(radioId);
+
+  // An explicit TX frequency wins; otherwise look for "UP 2" etc. in the comment of the spot clicked
+  const txFrequencyHz = txFreq || splitFromSpotComment(freq)?.txFrequencyHz || null;
+
+  // Send command to radio (Set internal qsyLock) and wait until the slice reports the new
+  // frequency and mode. That report has already gone out to Wavelog through 'sliceStatus'.
+  return client.setSliceFrequency(freq, mode, { txFrequencyHz });
+}
+
+/**
+ * Returns the radio to the last frequency, mode, filter and antennas used on a band (band stack).
+ * Used by the CAT listener (/band/20m), the tray menu and the QSO Assistant.
+ * @param {string} band - Band name, e.g. '20m'.
+ * @param {string|null} [radioId] - Radio id; empty for the main radio.
+ * @returns {Promise<object>} - { success, error }.
+ */
+async function goToBand(band, radioId = null) {
+  const client = getRadioClient(radioId);
+  if (!client) return unknownRadioResult(radioId);
+
+  const result = await client.goToBand(band);
+  if (!result.success) logger.warn(`Go to band ${band} failed: ${result.error}`);
+  return result;
+}
+
+function bandStackStorageKey(radioId) {
+  return radioId === PRIMARY_RADIO_ID ? 'bandStack' : `bandStack-${radioId}`;
+}
+
+/**
+ * Restores a radio's band stack saved by an earlier run.
+ * @param {string} radioId - Radio id.
+ * @param {FlexRadioClient} client - The radio's client.
+ */
+function loadBandStack(radioId, client) {
+  storage.get(bandStackStorageKey(radioId), (error, data) => {
+    if (error) {
+      logger.warn(`Could not read the band stack from storage: ${error.message}`);
+      return;
+    }
+    client.bandStack.load(data);
+  });
+}
+
+/**
+ * Writes the band stack to storage a few seconds after it changes. A simulated radio or a replayed
+ * session must not overwrite what was recorded with the real radio, so those are never saved.
+ */
+function scheduleBandStackSave() {
+  if (bandStackSaveTimer || isSimulatingRadio || replaySessionPath) return;
+  bandStackSaveTimer = setTimeout(() => {
+    bandStackSaveTimer = null;
+    saveBandStack();
+  }, BAND_STACK_SAVE_DELAY_MS);
+}
+
+function saveBandStack() {
+  const saves = getRadioClients().map(
+    ([radioId, client]) =>
+      new Promise((resolve) => {
+        storage.set(bandStackStorageKey(radioId), client.bandStack.toJSON(), (error) => {
+          if (error) logger.error(`Error saving the band stack: ${error.message}`);
+          resolve();
+        });
+      })
+  );
+  return Promise.all(saves);
+}
+
+/**
+ * Sends a DX cluster spot to the panadapter of every radio with spot push on
+ * (flexRadio.spotManagement.pushSpots, or pushSpots of an additional radio).
+ * @param {object} spot - The processed spot.
+ */
+async function pushSpotToRadios(spot) {
+  const pushes = getRadioClients()
+    .filter(([, client]) => client.config.flexRadio.spotManagement.pushSpots !== false)
+    .map(([, client]) => client.sendSpot(spot));
+  await Promise.all(pushes);
+}
+
+/**
+ * Re-pushes spots that were lost from a radio's panadapter while its link was down.
+ * @param {FlexRadioClient} client - The radio that reconnected.
+ * @param {Array<object>} spots - { spotID, remainingSeconds } for each spot to restore.
+ */
+function repushSpots(client, spots) {
+  let repushed = 0;
+  spots.forEach(({ spotID, remainingSeconds }) => {
+    const spot = augmentedSpotCache ? augmentedSpotCache.getRecentSpot(spotID) : null;
+    if (spot) {
+      client.sendSpot(spot, { lifetimeSeconds: remainingSeconds });
+      repushed++;
+    }
+  });
+  logger.info(`Re-pushed ${repushed} of ${spots.length} spot(s) to the radio after reconnect.`);
+}
+
+/**
+ * Creates and connects the client for a radio from flexRadio.additionalRadios. Its TX slice goes to
+ * Wavelog under its own radio name, over the API and to the WebSocket clients that selected it.
+ * The main window, status bar and status endpoint keep showing the main radio.
+ * @param {object} radio - { id, radioName, config } from buildRadioConfigs().
+ */
+function createAdditionalRadioClient(radio) {
+  const client = new FlexRadioClient(radio.config, logger, stationCallsign);
+  const label = `FlexRadio "${radio.id}" (${radio.config.flexRadio.host})`;
+  const wavelogState = { lastSent: null, lastSentAt: 0, inFlight: false, pending: null };
+  additionalRadioClients.set(radio.id, client);
+  additionalRadioWavelogStates.set(radio.id, wavelogState);
+
+  client.on('connected', () => logger.info(`${label}: connected.`));
+  client.on('disconnected', () => logger.info(`${label}: disconnected.`));
+  client.on('error', (error) => logger.error(`${label} error: ${error.message}`));
+  // The main window shows the main radio's link; name this radio in the log instead
+  client.on('linkHealth', (health) => {
+    if (health.ok === false) logger.warn(`${label}: keepalive unanswered (${health.failures} since connecting).`);
+  });
+  client.on('reconnectState', (state) => {
+    if (state.nextAttemptAt) logger.info(`${label}: reconnecting in ${Math.round(state.delayMs / 1000)} s (attempt ${state.attempt}).`);
+  });
+
+  client.on('sliceStatus', (slice) => {
+    if (!slice.tx) return;
+    if (wavelogWsServer) wavelogWsServer.broadcastStatus(slice, radio);
+    sendRadioSliceToWavelog(client, wavelogState, slice);
+  });
+  client.on('slicesChanged', (slices) => {
+    if (wavelogWsServer) wavelogWsServer.broadcastSlices(slices, radio);
+  });
+  // Peak TX power of a transmission that just ended
+  client.on('txPower', (watts) => {
+    const activeSlice = client.activeTXSlices?.[0];
+    if (!activeSlice) return;
+    const slice = { ...activeSlice, power: watts };
+    if (wavelogWsServer) wavelogWsServer.broadcastStatus(slice, radio);
+    sendRadioSliceToWavelog(client, wavelogState, slice);
+  });
+
+  client.on('spotsResync', (spots) => repushSpots(client, spots));
+  client.on('licenseWarning', (reason) => {
+    uiManager.sendStatusUpdate({ event: 'licenseWarning', message: `${radio.radioName}: ${reason}` });
+  });
+  client.on('qsyFailed', (reason) => {
+    uiManager.sendStatusUpdate({ event: 'qsyFailed', message: `${radio.radioName}: ${reason}` });
+  });
+  client.on('boundStationChanged', (bound) => {
+    uiManager.sendStatusUpdate({ event: 'boundStation', ...bound, station: `${radio.radioName}: ${bound.station}` });
+  });
+  client.on('externalSpotTriggered', (callsign, spot) => {
+    handleSpotClick(spot || { callsign }, radio.id).catch((err) =>
+      logger.error(`Error handling spot click for ${callsign}: ${err.message}`)
+    );
+  });
+  client.on('bandStackChanged', scheduleBandStackSave);
+
+  loadBandStack(radio.id, client);
+  logger.info(`${label}: connecting as Wavelog radio "${radio.radioName}".`);
+  client.connect();
+}
+
+/**
+ * Sends an additional radio's TX slice to Wavelog when its frequency, mode or power changes,
+ * one request at a time (the latest change waits while one is in flight).
+ * @param {FlexRadioClient} client - The radio.
+ * @param {object} state - { lastSent, lastSentAt, inFlight, pending } kept per radio.
+ * @param {object} slice - Slice snapshot from 'sliceStatus'.
+ * @param {boolean} [force=false] - Send even if nothing changed (heartbeat).
+ */
+function sendRadioSliceToWavelog(client, state, slice, force = false) {
+  const last = state.lastSent;
+  if (
+    !force &&
+    last &&
+    last.frequency === slice.frequency &&
+    last.mode === slice.mode &&
+    (last.power ?? null) === (slice.power ?? null) &&
+    (last.rxFrequency ?? null) === (slice.rxFrequency ?? null)
+  ) {
+    return;
+  }
+  if (state.inFlight) {
+    state.pending = slice;
+    return;
+  }
+
+  state.inFlight = true;
+  client.sendActiveSliceToWavelog(slice).finally(() => {
+    state.inFlight = false;
+    state.lastSent = slice;
+    state.lastSentAt = Date.now();
+    const next = state.pending;
+    state.pending = null;
+    if (next) sendRadioSliceToWavelog(client, state, next);
+  });
+}
+
+/**
+ * Sends the TX slice of every connected additional radio that Wavelog has not heard from for a while,
+ * so an idle radio does not go stale in Wavelog. Called from the main radio's heartbeat loop.
+ */
+function sendAdditionalRadioHeartbeats() {
+  additionalRadioClients.forEach((client, id) => {
+    const state = additionalRadioWavelogStates.get(id);
+    if (!state || state.inFlight || !client.isConnected() || client.activeTXSlices.length === 0) return;
+    if (Date.now() - state.lastSentAt <= 250000) return; // > 4 minutes roughly, as for the main radio
+
+    const slice = { ...client.activeTXSlices[0], power: client.getReportedPower() };
+    sendRadioSliceToWavelog(client, state, slice, true);
+  });
+}
+
+/**
+ * Works split for a spot clicked on the panadapter when its comment says so ("UP 2", "QSX 14.025"),
+ * and ends a split left over from an earlier spot when it does not.
+ * @param {object} spot - The clicked spot: { spotID, frequency (MHz), mode }.
+ * @param {FlexRadioClient} client - Radio the spot was clicked on.
+ */
+async function applySpotSplit(spot, client) {
+  const rxFrequencyHz = Math.round(spot.frequency * 1e6);
+  const cachedSpot = spot.spotID && augmentedSpotCache ? augmentedSpotCache.getRecentSpot(spot.spotID) : null;
+  const split = cachedSpot ? parseSplit(cachedSpot.message, rxFrequencyHz) : splitFromSpotComment(rxFrequencyHz);
+
+  if (!split && !client.getSplit()) return;
+
+  const result = await client.setSliceFrequency(rxFrequencyHz, spot.mode, {
+    txFrequencyHz: split ? split.txFrequencyHz : null,
+  });
+  if (!result.success) {
+    logger.warn(`Spot click: could not ${split ? `work split (${split.text})` : 'end split'}: ${result.error}`);
+  }
+}
+
+/**
+ * Reads a split instruction from the comment of the most recent DX cluster spot near a frequency.
+ * @param {number} frequencyHz - The frequency being tuned to, in Hertz.
+ * @returns {{txFrequencyHz: number, text: string}|null}
+ */
+function splitFromSpotComment(frequencyHz) {
+  const splitConfig = config.flexRadio.split;
+  if (!splitConfig?.enabled || !augmentedSpotCache) return null;
+
+  const spot = augmentedSpotCache.findRecentSpotNear(frequencyHz, splitConfig.spotMatchHz);
+  if (!spot) return null;
+
+  const split = parseSplit(spot.message, frequencyHz);
+  if (split) logger.info(`Spot comment for ${spot.spotted} says "${split.text}", working split.`);
+  return split;
+}
+
+/**
+ * Shows a callsign in the QSO Assistant if its window is open. A closed window stays closed.
+ * @param {string} callsign - Callsign to look up.
+ */
+function showQsoAssistantLookup(callsign) {
+  if (qsoWindow && !qsoWindow.isDestroyed()) {
+    qsoWindow.webContents.send('external-lookup', callsign);
+    qsoWindow.show(); // Bring window to front if hidden
   }
 }
 
@@ -1189,14 +1848,30 @@ async function shutdown() {
       dxClusterClient.close();
     }
 
+    if (bandStackSaveTimer) {
+      clearTimeout(bandStackSaveTimer);
+      bandStackSaveTimer = null;
+      await saveBandStack();
+    }
+
     if (flexRadioClient) {
       await flexRadioClient.disconnect();
     }
+    for (const client of additionalRadioClients.values()) {
+      await client.disconnect();
+    }
 
     if (wsjtClient) {
       wsjtClient.stop();
     }
 
+    if (sessionPlayer) {
+      sessionPlayer.stop();
+    }
+    if (sessionRecorder) {
+      await sessionRecorder.stop();
+    }
+
     if (httpCatListener) {
       httpCatListener.stop();
     }
@@ -1206,6 +1881,12 @@ async function shutdown() {
     if (statusServer) {
       statusServer.stop();
     }
+    if (radioDiscovery) {
+      radioDiscovery.stop();
+    }
+    if (radioSimulator) {
+      radioSimulator.stop();
+    }
 
     if (mainWindow) {
       mainWindow.close();
@@ -1236,6 +1917,34 @@ app.on('before-quit', () => {
   shutdown();
 });
 
+/**
+ * Replays a recorded session (--replay-session) into the FlexRadio, DX cluster and WSJT-X clients
+ * instead of connecting them.
+ */
+function startSessionReplay() {
+  sessionPlayer = new SessionPlayer(
+    replaySessionPath,
+    logger,
+    { flexRadioClient, dxClusterClient, wsjtClient },
+    { speed: isNaN(replaySpeed) ? 1 : replaySpeed }
+  );
+
+  try {
+    sessionPlayer.load();
+  } catch (error) {
+    logger.error(`Cannot replay session: ${error.message}`);
+    dialog.showErrorBox('Session Replay', `Cannot replay session:\n\n${error.message}`);
+    return;
+  }
+
+  const file = path.basename(replaySessionPath);
+  sessionPlayer.on('finished', () => {
+    uiManager.sendStatusUpdate({ event: 'sessionReplay', file, finished: true });
+  });
+  uiManager.sendStatusUpdate({ event: 'sessionReplay', file, finished: false });
+  sessionPlayer.start();
+}
+
 /**
  * Main function to start services.
  */
@@ -1254,6 +1963,11 @@ function main() {
       dialog.showErrorBox('Station Configuration Error', message);
     } else {
       // If everything is configured, start the services
+      if (replaySessionPath) {
+        startSessionReplay();
+        return;
+      }
+
       flexRadioClient.connect();
 
       // DX Cluster is optional. Only connect if enabled, with a real host and a
@@ -1290,7 +2004,7 @@ function main() {
       setInterval(() => {
         // Only send heartbeat if radio is actually connected and has a slice
         if (flexRadioClient && flexRadioClient.isConnected() && flexRadioClient.activeTXSlices.length > 0) {
-            const slice = flexRadioClient.activeTXSlices[0];
+            const slice = { ...flexRadioClient.activeTXSlices[0], power: flexRadioClient.getReportedPower() };
             const now = Date.now();
             const timeElapsed = now - lastApiUpdate;
 
@@ -1300,6 +2014,7 @@ function main() {
                 wavelogClient.sendActiveSliceToWavelog(slice).then(() => onSliceSent(slice)).catch((err) => onSliceFailed(err));
             }
         }
+        sendAdditionalRadioHeartbeats();
       }, 300000); // Check every 5 minutes
 
       logger.info('All services started successfully.');
@@ -1452,10 +2167,18 @@ ipcMain.handle('fetch-global-profiles', async () => {
   return { success: false, error: 'Not connected' };
 });
 
+ipcMain.handle('get-discovered-radios', async () => {
+  return radioDiscovery ? radioDiscovery.getRadios() : [];
+});
+
+// Station names of the SmartSDR/Maestro clients on the main radio, for the Multi-Flex station field
+ipcMain.handle('get-gui-clients', () => {
+  return flexRadioClient ? flexRadioClient.getGuiClients() : [];
+});
+
 ipcMain.handle('load-global-profile', async (event, profileName) => {
   if (flexRadioClient && flexRadioClient.isConnected()) {
-    flexRadioClient.loadGlobalProfile(profileName);
-    return { success: true };
+    return flexRadioClient.loadGlobalProfile(profileName);
   }
   return { success: false, error: 'Not connected' };
 });
@@ -1483,7 +2206,190 @@ ipcMain.handle('get-radio-status', () => {
   return flexRadioClient && flexRadioClient.isConnected();
 });
 
-ipcMain.handle('lookup-callsign', async (event, callsign) => {
+ipcMain.handle('lookup-callsign', async (event, callsign) => lookupCallsign(callsign));
+
+// Works split from a comment typed in the QSO Assistant ("UP 2", "QSX 14.025"); an empty comment ends the split
+ipcMain.handle('apply-split', async (event, comment) => {
+  if (!flexRadioClient || !flexRadioClient.isConnected()) {
+    return { success: false, error: 'FlexRadio is not connected.' };
+  }
+
+  const currentSplit = flexRadioClient.getSplit();
+  const activeSlice = flexRadioClient.activeTXSlices?.[0];
+  const rxFrequencyHz = currentSplit
+    ? currentSplit.rxFrequencyHz
+    : activeSlice ? Math.round(activeSlice.frequency * 1e6) : null;
+  if (!rxFrequencyHz) {
+    return { success: false, error: 'No active TX slice.' };
+  }
+
+  const text = (comment || '').trim();
+  if (!text) {
+    if (!currentSplit) return { success: true };
+    return flexRadioClient.setSliceFrequency(rxFrequencyHz, null, { txFrequencyHz: null });
+  }
+
+  const split = parseSplit(text, rxFrequencyHz);
+  if (!split) {
+    return { success: false, error: `No split instruction found in "${text}".` };
+  }
+  return flexRadioClient.setSliceFrequency(rxFrequencyHz, null, { txFrequencyHz: split.txFrequencyHz });
+});
+
+ipcMain.handle('go-to-band', async (event, band) => goToBand(band));
+
+// CW macros of the QSO Assistant, sent through the radio's CWX keyer
+ipcMain.handle('cwx-send', async (event, { text, callsign, rst }) => {
+  if (!flexRadioClient || !flexRadioClient.isConnected()) {
+    return { success: false, error: 'FlexRadio is not connected.' };
+  }
+  if (/\{CALL\}/i.test(text) && !callsign) {
+    return { success: false, error: 'No callsign to send for {CALL}.' };
+  }
+
+  // CWX keys whichever slice has TX, so check that slice before anything is sent
+  const txSlice = flexRadioClient.activeTXSlices?.[0];
+  if (!txSlice) {
+    return { success: false, error: 'No TX slice.' };
+  }
+  if (!/^CW/i.test(txSlice.mode || '')) {
+    return { success: false, error: `The TX slice is in ${txSlice.mode || 'an unknown mode'}, not CW.` };
+  }
+  const txState = flexRadioClient.getTransmitState();
+  if (txState.reason || !txState.txAllowed) {
+    return { success: false, error: `TX inhibited: ${txState.reason || 'the radio does not allow transmitting'}.` };
+  }
+  const privilege = checkTransmit(config.licensePrivileges, Math.round(txSlice.frequency * 1e6), txSlice.mode);
+  if (!privilege.allowed) {
+    if (config.licensePrivileges.action !== 'warn') {
+      logger.warn(`CWX refused: ${privilege.reason}`);
+      return { success: false, error: privilege.reason };
+    }
+    logger.warn(`CWX outside license privileges: ${privilege.reason}`);
+    uiManager.sendStatusUpdate({ event: 'licenseWarning', message: privilege.reason });
+  }
+
+  const expanded = CwxState.expandMacro(text, {
+    call: callsign,
+    mycall: stationCallsign,
+    rst: rst || config.flexRadio.cwx?.rst || '599',
+  });
+  return flexRadioClient.sendCwx(expanded);
+});
+
+ipcMain.handle('cwx-speed', async (event, wpm) => {
+  if (!flexRadioClient) return { success: false, error: 'FlexRadio is not connected.' };
+  return flexRadioClient.setCwxSpeed(wpm);
+});
+
+ipcMain.handle('cwx-stop', async () => {
+  if (!flexRadioClient) return { success: false, error: 'FlexRadio is not connected.' };
+  return flexRadioClient.stopCwx();
+});
+
+ipcMain.handle('get-cwx-state', () => {
+  return flexRadioClient ? flexRadioClient.getCwxState() : null;
+});
+
+// Band buttons of the QSO Assistant, with what each band would restore
+ipcMain.handle('get-band-stack', () => {
+  return BandStack.BANDS.map((band) =>
+    flexRadioClient ? flexRadioClient.bandStack.get(band) : new BandStack().get(band)
+  );
+});
+
+// --- Memory channels (Status tab) ---
+
+ipcMain.handle('get-radio-identity', () => {
+  return flexRadioClient && flexRadioClient.isConnected() ? flexRadioClient.getRadioIdentity() : null;
+});
+
+ipcMain.handle('get-memories', () => {
+  return flexRadioClient ? flexRadioClient.getMemories() : [];
+});
+
+ipcMain.handle('memory-qsy', async (event, index) => {
+  if (!flexRadioClient || !flexRadioClient.isConnected()) {
+    return { success: false, error: 'FlexRadio is not connected.' };
+  }
+  return flexRadioClient.qsyToMemory(index);
+});
+
+/**
+ * Saves the radio's memory channels to a CSV or ADIF file picked by the user.
+ * @param {string} format - 'csv' or 'adif'.
+ * @returns {Promise<object>} - { success, error, count, canceled }.
+ */
+ipcMain.handle('export-memories', async (event, format) => {
+  const memories = flexRadioClient ? flexRadioClient.getMemories() : [];
+  if (memories.length === 0) {
+    return { success: false, error: 'The radio has no memories to export.' };
+  }
+
+  const isAdif = format === 'adif';
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Memory Channels',
+    defaultPath: isAdif ? 'flex-memories.adi' : 'flex-memories.csv',
+    filters: isAdif
+      ? [{ name: 'ADIF', extensions: ['adi', 'adif'] }]
+      : [{ name: 'CSV', extensions: ['csv'] }],
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+
+  try {
+    await fs.promises.writeFile(filePath, isAdif ? memoryList.toAdif(memories) : memoryList.toCsv(memories), 'utf8');
+    logger.info(`Exported ${memories.length} memories to ${filePath}`);
+    return { success: true, count: memories.length };
+  } catch (error) {
+    logger.error(`Memory export failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Stores the memory channels of a CSV or ADIF file picked by the user in the radio.
+ * Memories the radio already holds are skipped.
+ * @returns {Promise<object>} - { success, error, created, duplicates, skipped, canceled }.
+ */
+ipcMain.handle('import-memories', async () => {
+  if (!flexRadioClient || !flexRadioClient.isConnected()) {
+    return { success: false, error: 'FlexRadio is not connected.' };
+  }
+
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Memory Channels',
+    properties: ['openFile'],
+    filters: [
+      { name: 'Memory lists', extensions: ['csv', 'adi', 'adif'] },
+      { name: 'All files', extensions: ['*'] },
+    ],
+  });
+  if (canceled || !filePaths || filePaths.length === 0) return { success: false, canceled: true };
+
+  try {
+    const text = await fs.promises.readFile(filePaths[0], 'utf8');
+    const { memories, skipped } = memoryList.parseMemoryList(text, filePaths[0]);
+    if (memories.length === 0) {
+      return { success: false, error: `No memories found in ${path.basename(filePaths[0])}.` };
+    }
+
+    const result = await flexRadioClient.importMemories(memories);
+    logger.info(
+      `Imported memories from ${filePaths[0]}: ${result.created} created, ${result.duplicates} already present, ${skipped} unreadable`
+    );
+    return { ...result, skipped };
+  } catch (error) {
+    logger.error(`Memory import failed: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * Looks a callsign up in Wavelog (and QRZ when enabled) and works out bearing and distance.
+ * @param {string} callsign - Callsign to look up.
+ * @returns {Promise<object|null>} - Merged lookup data, or null if neither source knows the callsign.
+ */
+async function lookupCallsign(callsign) {
   logger.info(`Performing lookup for: ${callsign}`);
 
   // Check radio status
@@ -1577,7 +2483,7 @@ ipcMain.handle('lookup-callsign', async (event, callsign) => {
   }
 
   return finalData;
-});
+}
 
 // --- Media IPC Handlers for QSO Assistant ---
 
@@ -1630,21 +2536,16 @@ ipcMain.handle('send-dx-spot', async (event, { callsign, comment }) => {
     const isConnected = flexRadioClient && flexRadioClient.isConnected();
     const hasSlice = flexRadioClient && flexRadioClient.activeTXSlices && flexRadioClient.activeTXSlices.length > 0;
 
-    if (!isConnected && !IS_TEST_MODE) {
+    if (!isConnected) {
         return { success: false, error: "Radio not connected" };
     }
 
     try {
         let freqKHz;
 
-        if (isConnected && hasSlice) {
-            // Real radio frequency
+        if (hasSlice) {
             const freqHz = flexRadioClient.activeTXSlices[0].frequency * 1e6;
             freqKHz = (freqHz / 1000).toFixed(1);
-        } else if (IS_TEST_MODE) {
-            // Fake frequency for testing
-            freqKHz = "14055.0"; // Valid 20m frequency
-            logger.info(`[TEST] Sending Spot for ${callsign} on ${freqKHz} kHz`);
         } else {
              return { success: false, error: "No Active TX Slice" };
         }
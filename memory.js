@@ -0,0 +1,83 @@
+// memory.js
+
+'use strict';
+
+/**
+ * Class representing a memory channel stored in the radio, as reported by 'memory' status messages.
+ */
+class Memory {
+  /**
+   * Creates an instance of Memory.
+   * @param {number} index - The index of the memory in the radio.
+   */
+  constructor(index) {
+    this.index = index;
+    this.frequency = 0;       // MHz
+    this.mode = '';
+    this.name = '';
+    this.group = '';
+    this.owner = '';
+    this.rx_filter_low = null;
+    this.rx_filter_high = null;
+  }
+
+  /**
+   * Updates the memory from a status message.
+   * @param {string} statusMessage - e.g. "owner=SM0XYZ group=Nets freq=14.300000 name=Maritime\u007fNet mode=USB".
+   */
+  statusUpdate(statusMessage) {
+    const keyValuePairs = statusMessage.match(/(\w+)=("[^"]*"|\S*)/g);
+    if (!keyValuePairs) return;
+
+    keyValuePairs.forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      const key = pair.substring(0, equalIndex);
+      // Text fields come with spaces written as 0x7F
+      const value = pair.substring(equalIndex + 1).replace(/"/g, '').replace(/\u007f/g, ' ');
+      switch (key) {
+        case 'freq':
+          this.frequency = parseFloat(value);
+          break;
+        case 'mode':
+          this.mode = value;
+          break;
+        case 'name':
+          this.name = value.trim();
+          break;
+        case 'group':
+          this.group = value.trim();
+          break;
+        case 'owner':
+          this.owner = value.trim();
+          break;
+        case 'rx_filter_low':
+          this.rx_filter_low = parseInt(value, 10);
+          break;
+        case 'rx_filter_high':
+          this.rx_filter_high = parseInt(value, 10);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Returns the memory for the UI and for export.
+   * @returns {{index: number, frequencyHz: number, mode: string, name: string, group: string, owner: string, filterLow: number|null, filterHigh: number|null}}
+   */
+  toSummary() {
+    return {
+      index: this.index,
+      frequencyHz: Math.round(this.frequency * 1e6),
+      mode: this.mode,
+      name: this.name,
+      group: this.group,
+      owner: this.owner,
+      filterLow: Number.isFinite(this.rx_filter_low) ? this.rx_filter_low : null,
+      filterHigh: Number.isFinite(this.rx_filter_high) ? this.rx_filter_high : null,
+    };
+  }
+}
+
+module.exports = Memory;
@@ -0,0 +1,259 @@
+// memory_list.js
+
+'use strict';
+
+// Columns written to, and read back from, a CSV memory list
+const CSV_COLUMNS = ['frequency_mhz', 'mode', 'name', 'group'];
+
+// Slice mode -> ADIF MODE/SUBMODE. Modes missing here are exported with APP_WFI_MODE only.
+const ADIF_MODES = {
+  USB: { mode: 'SSB', submode: 'USB' },
+  LSB: { mode: 'SSB', submode: 'LSB' },
+  CW: { mode: 'CW' },
+  CWL: { mode: 'CW' },
+  CWU: { mode: 'CW' },
+  AM: { mode: 'AM' },
+  SAM: { mode: 'AM' },
+  FM: { mode: 'FM' },
+  NFM: { mode: 'FM' },
+  DFM: { mode: 'FM' },
+  RTTY: { mode: 'RTTY' },
+  FDV: { mode: 'DIGITALVOICE', submode: 'FREEDV' },
+};
+
+/**
+ * Writes memories as CSV, one memory per line after a header line.
+ * @param {Array<object>} memories - [{ frequencyHz, mode, name, group }].
+ * @returns {string}
+ */
+function toCsv(memories) {
+  const quote = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = memories.map((memory) =>
+    [(memory.frequencyHz / 1e6).toFixed(6), memory.mode, memory.name, memory.group].map(quote).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads a CSV memory list. The header line is optional; without one the columns are taken to be
+ * frequency (MHz), mode, name, group. A frequency column named with "khz" or "hz" is read in that unit.
+ * Columns are separated by ',' or ';', whichever the first line uses. With ';' the frequency may use a
+ * decimal comma; a frequency that is not a plain number is counted as unusable rather than guessed at.
+ * @param {string} text - File content.
+ * @returns {{memories: Array<object>, skipped: number}} - Parsed memories and the number of unusable lines.
+ */
+function parseCsv(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const delimiter = detectCsvDelimiter(content);
+  const rows = splitCsvRows(content, delimiter).filter((row) => row.some((cell) => cell.trim()));
+  if (rows.length === 0) return { memories: [], skipped: 0 };
+
+  let columns = { frequency: 0, mode: 1, name: 2, group: 3 };
+  let frequencyScale = 1e6;
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  if (header.some((cell) => /^(freq|frequency)/.test(cell))) {
+    rows.shift();
+    const find = (pattern) => header.findIndex((cell) => pattern.test(cell));
+    columns = {
+      frequency: find(/^freq/),
+      mode: find(/^mode$/),
+      name: find(/^(name|description|comment)$/),
+      group: find(/^group$/),
+    };
+    const frequencyHeader = header[columns.frequency];
+    if (/mhz/.test(frequencyHeader)) frequencyScale = 1e6;
+    else if (/khz/.test(frequencyHeader)) frequencyScale = 1e3;
+    else if (/hz/.test(frequencyHeader)) frequencyScale = 1;
+  }
+
+  const cell = (row, column) => (column >= 0 && row[column] !== undefined ? row[column].trim() : '');
+  const number = (value) => {
+    const normalized = delimiter === ';' ? value.replace(',', '.') : value;
+    return /^\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+  };
+  const memories = [];
+  let skipped = 0;
+  rows.forEach((row) => {
+    const memory = normalizeEntry({
+      frequencyHz: number(cell(row, columns.frequency)) * frequencyScale,
+      mode: cell(row, columns.mode),
+      name: cell(row, columns.name),
+      group: cell(row, columns.group),
+    });
+    if (memory) memories.push(memory);
+    else skipped++;
+  });
+  return { memories, skipped };
+}
+
+/**
+ * Picks the delimiter from the first non-empty line: ';' (spreadsheets in locales with a decimal comma)
+ * when it has at least as many unquoted semicolons as commas, else ','.
+ * @param {string} text - File content.
+ * @returns {string} - ',' or ';'.
+ */
+function detectCsvDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim()) || '';
+  const unquoted = firstLine.replace(/"([^"]|"")*"/g, '');
+  const commas = (unquoted.match(/,/g) || []).length;
+  const semicolons = (unquoted.match(/;/g) || []).length;
+  return semicolons > 0 && semicolons >= commas ? ';' : ',';
+}
+
+function splitCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Writes memories as ADIF records. FREQ, MODE and SUBMODE are standard fields; the exact slice mode,
+ * the memory name and group go into APP_WFI_* fields so that an import restores them unchanged.
+ * @param {Array<object>} memories - [{ frequencyHz, mode, name, group }].
+ * @returns {string}
+ */
+function toAdif(memories) {
+  const field = (name, value) => {
+    const text = String(value ?? '');
+    return text ? `<${name}:${text.length}>${text} ` : '';
+  };
+
+  const header =
+    'Memory channels exported by wave-flex-integrator\r\n' +
+    `${field('ADIF_VER', '3.1.4')}${field('PROGRAMID', 'wave-flex-integrator')}<EOH>\r\n`;
+
+  const records = memories.map((memory) => {
+    const mode = (memory.mode || '').toUpperCase();
+    const adifMode = ADIF_MODES[mode] || {};
+    return (
+      field('FREQ', (memory.frequencyHz / 1e6).toFixed(6)) +
+      field('MODE', adifMode.mode) +
+      field('SUBMODE', adifMode.submode) +
+      field('APP_WFI_MODE', mode) +
+      field('APP_WFI_NAME', memory.name) +
+      field('APP_WFI_GROUP', memory.group) +
+      '<EOR>'
+    );
+  });
+  return header + records.join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads ADIF records as memories. Records from other programs work too: the mode then comes from
+ * SUBMODE or MODE and the name from COMMENT.
+ * @param {string} text - File content.
+ * @returns {{memories: Array<object>, skipped: number}} - Parsed memories and the number of unusable records.
+ */
+function parseAdif(text) {
+  let body = String(text || '');
+  const headerEnd = body.search(/<eoh>/i);
+  if (headerEnd >= 0) body = body.substring(headerEnd + 5);
+
+  const memories = [];
+  let skipped = 0;
+  body
+    .split(/<eor>/i)
+    .filter((record) => record.includes('<'))
+    .forEach((record) => {
+      const fields = parseAdifRecord(record);
+      const mode = fields.app_wfi_mode || adifToSliceMode(fields.mode, fields.submode);
+      const memory = normalizeEntry({
+        frequencyHz: parseFloat(fields.freq) * 1e6,
+        mode,
+        name: fields.app_wfi_name || fields.comment || '',
+        group: fields.app_wfi_group || '',
+      });
+      if (memory) memories.push(memory);
+      else skipped++;
+    });
+  return { memories, skipped };
+}
+
+function parseAdifRecord(record) {
+  const fieldPattern = /<([^:>]+):(\d+)(?::[^>]*)?>/g;
+  const fields = {};
+  let match;
+  while ((match = fieldPattern.exec(record)) !== null) {
+    const length = parseInt(match[2], 10);
+    const start = match.index + match[0].length;
+    fields[match[1].toLowerCase()] = record.substr(start, length).trim();
+    fieldPattern.lastIndex = start + length;
+  }
+  return fields;
+}
+
+function adifToSliceMode(mode, submode) {
+  const upperSubmode = (submode || '').toUpperCase();
+  if (['USB', 'LSB'].includes(upperSubmode)) return upperSubmode;
+
+  const upperMode = (mode || '').toUpperCase();
+  if (['CW', 'AM', 'FM', 'RTTY', 'SSB'].includes(upperMode)) return upperMode;
+  if (upperMode === 'DIGITALVOICE' && upperSubmode === 'FREEDV') return 'FDV';
+  return upperMode ? 'DIGU' : '';
+}
+
+/**
+ * Reads a memory list, picking the format from the file name.
+ * @param {string} text - File content.
+ * @param {string} fileName - File name; .adi and .adif files are read as ADIF, anything else as CSV.
+ * @returns {{memories: Array<object>, skipped: number}}
+ */
+function parseMemoryList(text, fileName) {
+  return /\.adif?$/i.test(fileName || '') ? parseAdif(text) : parseCsv(text);
+}
+
+function normalizeEntry(entry) {
+  const frequencyHz = Math.round(entry.frequencyHz);
+  if (!Number.isFinite(frequencyHz) || frequencyHz < 10000 || frequencyHz > 450000000) return null;
+  return {
+    frequencyHz,
+    mode: String(entry.mode || '').trim().toUpperCase(),
+    name: String(entry.name || '').trim(),
+    group: String(entry.group || '').trim(),
+  };
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+  toAdif,
+  parseAdif,
+  parseMemoryList,
+};
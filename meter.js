@@ -0,0 +1,100 @@
+// meter.js
+
+'use strict';
+
+/**
+ * Class representing a Meter in FlexRadio.
+ * Meters are announced over TCP (`sub meter all`) and their values are streamed over UDP.
+ */
+class Meter {
+  /**
+   * Creates an instance of Meter.
+   * @param {number} index - The index (ID) of the meter.
+   */
+  constructor(index) {
+    this.index = index;
+    this.source = '';      // e.g. 'TX-', 'RAD', 'SLC', 'COD-'
+    this.sourceIndex = 0;  // e.g. slice index for 'SLC' meters
+    this.name = '';        // e.g. 'FWDPWR', 'SWR', 'ALC', 'PATEMP'
+    this.description = '';
+    this.units = '';       // e.g. 'dBm', 'SWR', 'dBFS', 'degC', 'Volts'
+    this.low = 0;
+    this.high = 0;
+    this.fps = 0;
+    this.value = null;     // Last scaled value received from the UDP stream
+  }
+
+  /**
+   * Updates the meter's definition based on the provided status message.
+   * @param {string} statusMessage - Space separated key=value pairs (e.g. "src=TX- nam=FWDPWR unit=dBm").
+   */
+  statusUpdate(statusMessage) {
+    const keyValuePairs = statusMessage.match(/(\w+)=("[^"]*"|\S*)/g);
+    if (!keyValuePairs) return;
+
+    keyValuePairs.forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      const key = pair.substring(0, equalIndex);
+      const cleanValue = pair.substring(equalIndex + 1).replace(/"/g, '');
+      switch (key) {
+        case 'src':
+          this.source = cleanValue;
+          break;
+        case 'num':
+          this.sourceIndex = parseInt(cleanValue, 10);
+          break;
+        case 'nam':
+          this.name = cleanValue;
+          break;
+        case 'desc':
+          this.description = cleanValue;
+          break;
+        case 'unit':
+          this.units = cleanValue;
+          break;
+        case 'low':
+          this.low = parseFloat(cleanValue);
+          break;
+        case 'hi':
+          this.high = parseFloat(cleanValue);
+          break;
+        case 'fps':
+          this.fps = parseInt(cleanValue, 10);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Converts a raw 16-bit value from the meter stream into engineering units
+   * and stores it as the current value.
+   * @param {number} raw - Signed 16-bit raw value.
+   * @returns {number} - The scaled value.
+   */
+  updateValue(raw) {
+    switch (this.units) {
+      case 'dB':
+      case 'dBm':
+      case 'dBFS':
+      case 'SWR':
+        this.value = raw / 128.0;
+        break;
+      case 'Volts':
+      case 'Amps':
+        this.value = raw / 256.0;
+        break;
+      case 'degC':
+      case 'degF':
+        this.value = raw / 64.0;
+        break;
+      default:
+        this.value = raw;
+        break;
+    }
+    return this.value;
+  }
+}
+
+module.exports = Meter;
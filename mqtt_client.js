@@ -1,6 +1,7 @@
 'use strict';
 const mqtt = require('mqtt');
 const EventEmitter = require('events');
+const ReconnectPolicy = require('./reconnect_policy');
 
 class MqttRotatorClient extends EventEmitter {
   constructor(config, logger) {
@@ -16,6 +17,12 @@ class MqttRotatorClient extends EventEmitter {
      * Tracks the current raw position of the rotor to calculate the shortest path.
      */
     this.currentRawAzimuth = 0;
+
+    /**
+     * Decides when to retry a lost broker connection; mqtt.js' own fixed-period reconnect is turned off.
+     */
+    this.reconnectPolicy = new ReconnectPolicy({ initialDelay: 5000, maxDelay: 60000, backoffFactor: 2 });
+    this.reconnectPolicy.on('change', (state) => this.emit('reconnectState', state));
   }
 
   setConfig(newConfig) {
@@ -30,6 +37,12 @@ class MqttRotatorClient extends EventEmitter {
     if (this.client && this.client.connected) return;
     if (!this.config.rotator.enabled) return;
 
+    if (this.client) {
+        // Still trying to reach the broker; try now instead of waiting out the backoff
+        this.reconnectPolicy.retryNow();
+        return;
+    }
+
     const mqttConfig = this.config.rotator.mqtt;
     if (!mqttConfig.host) return;
 
@@ -37,18 +50,32 @@ class MqttRotatorClient extends EventEmitter {
     
     this.logger.info(`Connecting to Rotator MQTT Broker: ${brokerUrl}`);
 
-    this.client = mqtt.connect(brokerUrl, {
+    const client = mqtt.connect(brokerUrl, {
         username: mqttConfig.username,
         password: mqttConfig.password,
-        reconnectPeriod: 5000
+        reconnectPeriod: 0
     });
+    this.client = client;
 
     this.client.on('connect', () => {
         this.logger.info('Connected to Rotator MQTT Broker');
+        this.reconnectPolicy.connected();
         this.emit('connected');
         this.subscribeAndSync();
     });
 
+    this.client.on('close', () => {
+        // Ignore a client that disconnect() has already let go of
+        if (this.client !== client) return;
+        this.reconnectPolicy.disconnected();
+        const delay = this.reconnectPolicy.schedule(() => {
+            if (this.client === client && !client.connected) client.reconnect();
+        });
+        if (delay !== null) {
+            this.logger.warn(`Rotator MQTT Broker connection lost. Retrying in ${Math.round(delay / 1000)} seconds...`);
+        }
+    });
+
     this.client.on('message', (topic, message) => {
         this.handleMessage(topic, message);
     });
@@ -91,9 +118,11 @@ class MqttRotatorClient extends EventEmitter {
   }
 
   disconnect() {
+      this.reconnectPolicy.cancel();
       if (this.client) {
-          this.client.end();
+          const client = this.client;
           this.client = null;
+          client.end();
       }
   }
 
@@ -0,0 +1,71 @@
+// panadapter.js
+
+'use strict';
+
+const utils = require('./utils');
+
+/**
+ * Class representing a panadapter shown by a SmartSDR or Maestro client, as reported by 'display pan' status messages.
+ */
+class Panadapter {
+  /**
+   * Creates an instance of Panadapter.
+   * @param {string} streamId - Stream ID of the panadapter (e.g. '0x40000000').
+   */
+  constructor(streamId) {
+    this.streamId = streamId;
+    this.center = 0;          // MHz
+    this.bandwidth = 0;       // MHz
+    this.client_handle = '';  // GUI client showing the panadapter
+  }
+
+  /**
+   * Updates the panadapter from a status message.
+   * @param {string} statusMessage - e.g. "center=14.100000 bandwidth=0.200000 client_handle=0x4E2A1B3C".
+   */
+  statusUpdate(statusMessage) {
+    const keyValuePairs = statusMessage.match(/(\w+)=("[^"]*"|\S*)/g);
+    if (!keyValuePairs) return;
+
+    keyValuePairs.forEach((pair) => {
+      const [key, value] = pair.split('=');
+      const cleanValue = value.replace(/"/g, '');
+      switch (key) {
+        case 'center':
+          this.center = parseFloat(cleanValue);
+          break;
+        case 'bandwidth':
+          this.bandwidth = parseFloat(cleanValue);
+          break;
+        case 'client_handle':
+          this.client_handle = cleanValue;
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Returns the frequency range shown, in Hz.
+   * @returns {{lowHz: number, highHz: number}|null} - Null until center and bandwidth are known.
+   */
+  getRange() {
+    if (!(this.center > 0) || !(this.bandwidth > 0)) return null;
+    return {
+      lowHz: Math.round((this.center - this.bandwidth / 2) * 1e6),
+      highHz: Math.round((this.center + this.bandwidth / 2) * 1e6),
+    };
+  }
+
+  /**
+   * Returns the bands the panadapter shows (part of).
+   * @returns {string[]}
+   */
+  getBands() {
+    const range = this.getRange();
+    return range ? utils.bandsInRange(range.lowHz, range.highHz) : [];
+  }
+}
+
+module.exports = Panadapter;
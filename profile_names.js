@@ -0,0 +1,99 @@
+// profile_names.js
+
+'use strict';
+
+// Bands and mode groups the antenna "profiles" mode can load a Global Profile for
+const PROFILE_BANDS = ['160m', '80m', '60m', '40m', '30m', '20m', '17m', '15m', '12m', '10m', '6m'];
+
+// TeensyMaestro CE naming: "SSB - 20m", "CW -- 160m", "DIGU -  6m"
+const DEFAULT_PROFILE_TEMPLATES = ['{mode}{sep}{band}'];
+
+/**
+ * Maps a slice mode to the mode name used in profile names. LSB and USB share the 'SSB' profiles.
+ * @param {string} mode - Slice mode (e.g. 'USB', 'CW', 'DIGU').
+ * @returns {string}
+ */
+function profileModeGroup(mode) {
+  const upper = (mode || '').toUpperCase();
+  return ['LSB', 'USB'].includes(upper) ? 'SSB' : upper;
+}
+
+/**
+ * Fills in a profile name template. Placeholders:
+ *   {mode}   mode group (SSB, CW, DIGU, FM, ...)
+ *   {band}   band as written in the band plan, e.g. 20m
+ *   {BAND}   band in upper case, e.g. 20M
+ *   {meters} band without the unit, e.g. 20
+ *   {sep}    TeensyMaestro CE separator: " - ", " -- " for 160m, " -  " for single digit bands
+ * @param {string} template - e.g. '{mode}{sep}{band}' or '{BAND} {mode}'.
+ * @param {string} band - e.g. '20m'.
+ * @param {string} modeGroup - e.g. 'CW'.
+ * @returns {string}
+ */
+function formatProfileName(template, band, modeGroup) {
+  let sep = ' - ';
+  if (band === '160m') sep = ' -- ';
+  else if (band.length === 2) sep = ' -  ';
+
+  return template
+    .replace(/\{mode\}/g, modeGroup)
+    .replace(/\{band\}/g, band)
+    .replace(/\{BAND\}/g, band.toUpperCase())
+    .replace(/\{meters\}/g, band.replace(/m$/i, ''))
+    .replace(/\{sep\}/g, sep);
+}
+
+/**
+ * Finds the profile to load for a band and mode. Templates are tried in order and the first
+ * name the radio has (compared case-insensitively) wins, so later templates act as fallbacks.
+ * @param {string[]} templates - Name templates.
+ * @param {string} band - e.g. '20m'.
+ * @param {string} modeGroup - e.g. 'CW'.
+ * @param {string[]|null} profiles - The radio's Global Profile list; null when not known yet.
+ * @returns {string|null} - The profile name as the radio spells it, the first template's name when the
+ *   list is not known, or null when the radio has none of the names.
+ */
+function resolveProfileName(templates, band, modeGroup, profiles) {
+  const list = templates && templates.length > 0 ? templates : DEFAULT_PROFILE_TEMPLATES;
+  const candidates = list.map((template) => formatProfileName(template, band, modeGroup));
+
+  if (!profiles) return candidates[0];
+
+  for (const candidate of candidates) {
+    const found = profiles.find((name) => name.toUpperCase() === candidate.toUpperCase());
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Builds the band/mode lookup table used on QSY, e.g. for showing missing profiles.
+ * @param {string[]} templates - Name templates.
+ * @param {string[]} modeGroups - Mode groups to look up (e.g. ['CW', 'SSB', 'DIGU']).
+ * @param {string[]} profiles - The radio's Global Profile list.
+ * @returns {object} - { '20m': { CW: { name, expected } } }, where name is null when missing and
+ *   expected is the name the first template gives.
+ */
+function buildProfileTable(templates, modeGroups, profiles) {
+  const list = templates && templates.length > 0 ? templates : DEFAULT_PROFILE_TEMPLATES;
+  const table = {};
+  PROFILE_BANDS.forEach((band) => {
+    table[band] = {};
+    modeGroups.forEach((modeGroup) => {
+      table[band][modeGroup] = {
+        name: resolveProfileName(list, band, modeGroup, profiles || []),
+        expected: formatProfileName(list[0], band, modeGroup),
+      };
+    });
+  });
+  return table;
+}
+
+module.exports = {
+  PROFILE_BANDS,
+  DEFAULT_PROFILE_TEMPLATES,
+  profileModeGroup,
+  formatProfileName,
+  resolveProfileName,
+  buildProfileTable,
+};
@@ -42,8 +42,16 @@ const rotateSP = document.getElementById('rotateBtnSP');
 const rotateLP = document.getElementById('rotateBtnLP');
 const spotFlexBtn = document.getElementById('spotFlexBtn');
 const spotDxClusterBtn = document.getElementById('spotDxClusterBtn');
+const splitBtn = document.getElementById('splitBtn');
 const btnDxLink = document.getElementById('btnDxLink');
 const dxComment = document.getElementById('dxComment');
+const bandRow = document.getElementById('bandRow');
+const cwxRow = document.getElementById('cwxRow');
+const cwxMacros = document.getElementById('cwxMacros');
+const cwxRst = document.getElementById('cwxRst');
+const cwxWpm = document.getElementById('cwxWpm');
+const cwxProgress = document.getElementById('cwxProgress');
+const cwxStopBtn = document.getElementById('cwxStopBtn');
 
 let currentCallsign = '';
 let currentBearingSP = null;
@@ -66,8 +74,17 @@ window.onload = async () => {
         console.error("Error loading config:", err);
         appConfig = {};
     }
+
+    await renderBandButtons();
+    await renderCwxMacros();
 };
 
+// Band stack entries (and the radio state) may have changed while the window was in the background
+window.addEventListener('focus', () => {
+    renderBandButtons();
+    renderCwxMacros();
+});
+
 // --- 1. Wavelog Live Metadata Listener (Primary Source) ---
 ipcRenderer.on('wavelog-lookup', (event, data) => {
     // Direct mapping from WebSocket Payload
@@ -159,6 +176,144 @@ if (spotDxClusterBtn) {
     });
 }
 
+if (splitBtn) {
+    splitBtn.addEventListener('click', async () => {
+        splitBtn.disabled = true;
+        const res = await ipcRenderer.invoke('apply-split', dxComment.value);
+        splitBtn.disabled = false;
+
+        if (res.success) {
+            flashButton(splitBtn);
+        } else {
+            alert("Error: " + res.error);
+        }
+    });
+}
+
+/**
+ * Builds the band buttons. The tooltip shows what the band stack will restore.
+ */
+async function renderBandButtons() {
+    if (!bandRow) return;
+
+    let entries = [];
+    let isRadioConnected = false;
+    try {
+        entries = await ipcRenderer.invoke('get-band-stack');
+        isRadioConnected = await ipcRenderer.invoke('get-radio-status');
+    } catch (err) {
+        console.error("Error loading band stack:", err);
+    }
+
+    bandRow.innerHTML = '';
+    entries.forEach((entry) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-sm btn-outline-primary';
+        btn.innerText = entry.band;
+        btn.title = `${(entry.frequencyHz / 1e6).toFixed(3)} MHz ${entry.mode}` + (entry.updatedAt ? '' : ' (not used yet)');
+        btn.disabled = !isRadioConnected;
+
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            const res = await ipcRenderer.invoke('go-to-band', entry.band);
+            btn.disabled = false;
+
+            if (res.success) {
+                flashButton(btn);
+            } else {
+                alert("Error: " + res.error);
+            }
+        });
+        bandRow.appendChild(btn);
+    });
+}
+
+/**
+ * Builds the CW macro buttons from the configuration and shows the keyer state.
+ */
+async function renderCwxMacros() {
+    if (!cwxRow) return;
+
+    const macros = appConfig.flexRadio?.cwx?.macros || [];
+    if (macros.length === 0) {
+        cwxRow.classList.add('d-none');
+        return;
+    }
+
+    let isRadioConnected = false;
+    let state = null;
+    try {
+        isRadioConnected = await ipcRenderer.invoke('get-radio-status');
+        state = await ipcRenderer.invoke('get-cwx-state');
+    } catch (err) {
+        console.error("Error loading CWX state:", err);
+    }
+
+    cwxRow.classList.remove('d-none');
+    if (!cwxRst.value) cwxRst.placeholder = appConfig.flexRadio?.cwx?.rst || '599';
+
+    cwxMacros.innerHTML = '';
+    macros.forEach((macro) => {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-sm btn-outline-success';
+        btn.innerText = macro.label;
+        btn.title = macro.text;
+        btn.disabled = !isRadioConnected;
+
+        btn.addEventListener('click', async () => {
+            const res = await ipcRenderer.invoke('cwx-send', {
+                text: macro.text,
+                callsign: currentCallsign,
+                rst: cwxRst.value.trim().toUpperCase(),
+            });
+            if (!res.success) alert("Error: " + res.error);
+        });
+        cwxMacros.appendChild(btn);
+    });
+
+    cwxStopBtn.disabled = !isRadioConnected;
+    cwxWpm.disabled = !isRadioConnected;
+    updateCwxState(state);
+}
+
+/**
+ * Shows the keyer speed and the text being sent, with the characters already sent highlighted.
+ * @param {object|null} state - { wpm, sending, queue: [{ text, sentChars }] } from FlexRadioClient.getCwxState().
+ */
+function updateCwxState(state) {
+    if (!state) return;
+
+    if (state.wpm && document.activeElement !== cwxWpm) cwxWpm.value = state.wpm;
+
+    cwxProgress.innerHTML = '';
+    state.queue.forEach((entry, index) => {
+        if (index > 0) cwxProgress.appendChild(document.createTextNode(' '));
+        const sent = document.createElement('span');
+        sent.className = 'sent';
+        sent.innerText = entry.text.slice(0, entry.sentChars);
+        cwxProgress.appendChild(sent);
+        cwxProgress.appendChild(document.createTextNode(entry.text.slice(entry.sentChars)));
+    });
+    cwxStopBtn.classList.toggle('btn-danger', state.sending);
+    cwxStopBtn.classList.toggle('btn-outline-danger', !state.sending);
+}
+
+ipcRenderer.on('cwx-status', (event, state) => updateCwxState(state));
+
+if (cwxStopBtn) {
+    cwxStopBtn.addEventListener('click', () => ipcRenderer.invoke('cwx-stop'));
+
+    // Esc stops sending, like on a contest logger
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && !cwxRow.classList.contains('d-none')) ipcRenderer.invoke('cwx-stop');
+    });
+
+    cwxWpm.addEventListener('change', async () => {
+        const res = await ipcRenderer.invoke('cwx-speed', parseInt(cwxWpm.value, 10));
+        if (!res.success) alert("Error: " + res.error);
+    });
+}
+
 btnDxLink.addEventListener('click', () => {
     ipcRenderer.invoke('open-external-link', 'https://dxwatch.com/');
 });
@@ -267,6 +422,12 @@ function updateUI(data) {
         spotFlexBtn.disabled = !isRadioConnected;
     }
 
+    // The comment also drives the Split button, so keep it usable whenever the radio is connected
+    if (splitBtn) {
+        splitBtn.disabled = !isRadioConnected;
+        if (isRadioConnected) dxComment.disabled = false;
+    }
+
     if(radioStatusFooter) {
         radioStatusFooter.style.display = (isRadioConnected || isTestMode) ? 'none' : 'block';
     }
@@ -0,0 +1,178 @@
+// radio_discovery.js
+
+'use strict';
+
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const { PACKET_CLASS, parseVitaPacket } = require('./vita_packet');
+
+const DISCOVERY_PORT = 4992;
+// Radios broadcast about once per second; forget them after this much silence.
+const RADIO_EXPIRY_MS = 15000;
+
+/**
+ * Listens for FlexRadio discovery broadcasts on the LAN and keeps a list of the radios it sees.
+ * Emits 'radioSeen' for every broadcast and 'radiosChanged' when the list changes.
+ */
+class RadioDiscovery extends EventEmitter {
+  /**
+   * Creates an instance of RadioDiscovery.
+   * @param {object} config - Configuration object.
+   * @param {object} logger - Logger instance.
+   */
+  constructor(config, logger) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.socket = null;
+    this.radios = new Map(); // serial -> radio info
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Starts listening for discovery broadcasts.
+   */
+  start() {
+    if (this.socket) return;
+
+    // SmartSDR on the same machine listens on the same port, so the address must be shared
+    this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+    this.socket.on('error', (err) => {
+      this.logger.error(`FlexRadio discovery socket error: ${err.message}`);
+      this.stop();
+    });
+
+    this.socket.on('message', (msg, rinfo) => {
+      try {
+        const radio = RadioDiscovery.parseDiscoveryPacket(msg);
+        if (radio) {
+          // Older firmware omits ip=, fall back to the sender address
+          if (!radio.ip) radio.ip = rinfo.address;
+          this._updateRadio(radio);
+        }
+      } catch (error) {
+        this.logger.debug(`Discarding malformed discovery packet: ${error.message}`);
+      }
+    });
+
+    this.socket.on('listening', () => {
+      this.logger.info(`FlexRadio discovery listening on UDP port ${DISCOVERY_PORT}`);
+    });
+
+    this.socket.bind(DISCOVERY_PORT);
+
+    this.expiryTimer = setInterval(() => this._expireRadios(), RADIO_EXPIRY_MS / 3);
+  }
+
+  /**
+   * Stops listening and forgets all discovered radios.
+   */
+  stop() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+    if (this.socket) {
+      try {
+        this.socket.close();
+      } catch (e) {
+        // Socket already closed
+      }
+      this.socket = null;
+    }
+    this.radios.clear();
+  }
+
+  /**
+   * Returns the radios currently visible on the LAN.
+   * @returns {Array<object>}
+   */
+  getRadios() {
+    return Array.from(this.radios.values()).map((radio) => Object.assign({}, radio));
+  }
+
+  /**
+   * Stores a radio from a discovery packet and emits change events.
+   * @param {object} radio - Parsed discovery data.
+   */
+  _updateRadio(radio) {
+    const existing = this.radios.get(radio.serial);
+    radio.lastSeen = Date.now();
+    this.radios.set(radio.serial, radio);
+
+    if (!existing) {
+      this.logger.info(`Discovered ${radio.model} '${radio.nickname}' (${radio.serial}) at ${radio.ip}`);
+    } else if (existing.ip !== radio.ip) {
+      this.logger.info(`Radio ${radio.serial} changed address from ${existing.ip} to ${radio.ip}`);
+    }
+
+    this.emit('radioSeen', radio);
+
+    if (
+      !existing ||
+      existing.ip !== radio.ip ||
+      existing.status !== radio.status ||
+      existing.inUseHost !== radio.inUseHost ||
+      existing.nickname !== radio.nickname ||
+      existing.version !== radio.version
+    ) {
+      this.emit('radiosChanged', this.getRadios());
+    }
+  }
+
+  /**
+   * Drops radios that have stopped broadcasting.
+   */
+  _expireRadios() {
+    const now = Date.now();
+    let changed = false;
+    for (const [serial, radio] of this.radios.entries()) {
+      if (now - radio.lastSeen > RADIO_EXPIRY_MS) {
+        this.logger.info(`Radio ${radio.model} '${radio.nickname}' (${serial}) is no longer broadcasting.`);
+        this.radios.delete(serial);
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.emit('radiosChanged', this.getRadios());
+    }
+  }
+
+  /**
+   * Decodes a discovery packet. The payload is a space separated list of key=value pairs.
+   * @param {Buffer} buffer - Raw UDP datagram.
+   * @returns {object|null} - Radio info, or null if this is not a discovery packet.
+   */
+  static parseDiscoveryPacket(buffer) {
+    const packet = parseVitaPacket(buffer);
+    if (!packet || packet.packetClass !== PACKET_CLASS.DISCOVERY) return null;
+
+    const text = packet.payload.toString('utf8').replace(/\0/g, '').trim();
+    const fields = {};
+    text.split(/\s+/).forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      if (equalIndex > 0) {
+        fields[pair.substring(0, equalIndex)] = pair.substring(equalIndex + 1);
+      }
+    });
+
+    if (!fields.serial) return null;
+
+    // Nickname and callsign use '_' in place of spaces on the wire
+    return {
+      model: fields.model || 'FlexRadio',
+      serial: fields.serial,
+      nickname: (fields.nickname || '').replace(/_/g, ' '),
+      callsign: fields.callsign || '',
+      ip: fields.ip || '',
+      port: parseInt(fields.port, 10) || 4992,
+      version: fields.version || '',
+      status: fields.status || '',
+      inUse: (fields.status || '').toLowerCase() === 'in_use' || !!fields.gui_client_stations,
+      inUseHost: (fields.gui_client_stations || fields.inuse_host || '').replace(/,/g, ', '),
+    };
+  }
+}
+
+module.exports = RadioDiscovery;
@@ -0,0 +1,242 @@
+// radio_identity.js
+
+'use strict';
+
+// SmartSDR firmware the integration has been used with. Older radios lack API features it relies on
+// (e.g. client_handle in slice status); newer major versions may have changed the API.
+const MIN_FIRMWARE = '3.0';
+const MAX_TESTED_FIRMWARE_MAJOR = 4;
+
+/**
+ * Class representing what the radio tells about itself: the 'info' and 'version' replies and the
+ * 'radio', 'gps' and 'license' status messages.
+ */
+class RadioIdentity {
+  constructor() {
+    this.model = null;
+    this.serial = null;
+    this.nickname = null;
+    this.callsign = null;
+    this.firmware = null;     // SmartSDR version of the radio, e.g. '3.4.35.141'
+    this.versions = {};       // Every component version from the 'version' reply
+    this.region = null;
+    this.options = [];        // Hardware options from 'info' (e.g. 'GPSDO')
+    this.features = {};       // Licensed features: { name: enabled }
+    this.gps = {
+      installed: null,
+      status: null,           // e.g. 'Fine Lock', 'Searching', 'Not Present'
+      locked: false,
+      lat: null,
+      lon: null,
+      grid: null,
+      altitude: null,
+      tracked: null,
+      visible: null,
+    };
+    this.oscillator = { source: null, locked: null, gpsdoPresent: null };
+  }
+
+  /**
+   * Updates the identity from the reply to the 'info' command.
+   * @param {string} message - e.g. 'model="FLEX-6600",chassis_serial="1234-5678",name="Shack",callsign="SM0XYZ",...'
+   */
+  infoUpdate(message) {
+    (String(message).match(/(\w+)=("[^"]*"|[^,]*)/g) || []).forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      const key = pair.substring(0, equalIndex);
+      const value = pair.substring(equalIndex + 1).replace(/"/g, '').trim();
+      switch (key) {
+        case 'model':
+          this.model = value || null;
+          break;
+        case 'chassis_serial':
+          this.serial = value || null;
+          break;
+        case 'name':
+          this.nickname = value || null;
+          break;
+        case 'callsign':
+          this.callsign = value || null;
+          break;
+        case 'software_ver':
+          this.firmware = this.firmware || value || null;
+          break;
+        case 'region':
+          this.region = value || null;
+          break;
+        case 'options':
+          this.options = value ? value.split(/[\s,]+/).filter(Boolean) : [];
+          break;
+        case 'gps':
+          this.gps.installed = !/not/i.test(value);
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Updates the firmware versions from the reply to the 'version' command.
+   * @param {string} message - e.g. 'SmartSDR-MB=3.4.35.141#PSoC-MBTRX=3.00.10#FPGA-MB=2.10'
+   */
+  versionUpdate(message) {
+    String(message)
+      .split('#')
+      .forEach((part) => {
+        const equalIndex = part.indexOf('=');
+        if (equalIndex < 1) return;
+        this.versions[part.substring(0, equalIndex).trim()] = part.substring(equalIndex + 1).trim();
+      });
+    if (this.versions['SmartSDR-MB']) this.firmware = this.versions['SmartSDR-MB'];
+  }
+
+  /**
+   * Updates the identity from a radio status message. Sub-objects other than the oscillator are ignored.
+   * @param {string} statusMessage - e.g. "nickname=Shack callsign=SM0XYZ" or "oscillator state=gpsdo locked=1".
+   * @returns {boolean} - True if anything shown to the user changed.
+   */
+  radioUpdate(statusMessage) {
+    const before = JSON.stringify(this.toJSON());
+    const words = statusMessage.trim().split(/\s+/);
+
+    if (words[0] === 'oscillator') {
+      this._parsePairs(words.slice(1).join(' '), (key, value) => {
+        if (key === 'state') this.oscillator.source = value;
+        if (key === 'locked') this.oscillator.locked = value === '1';
+        if (key === 'gpsdo_present') this.oscillator.gpsdoPresent = value === '1';
+      });
+    } else if (words[0] && words[0].includes('=')) {
+      this._parsePairs(statusMessage, (key, value) => {
+        if (key === 'nickname') this.nickname = value.replace(/\u007f/g, ' ') || null;
+        if (key === 'callsign') this.callsign = value || null;
+        if (key === 'region') this.region = value || null;
+      });
+    }
+    return JSON.stringify(this.toJSON()) !== before;
+  }
+
+  /**
+   * Updates the GPS state from a gps status message. Fields are separated by '#' because values contain spaces.
+   * @param {string} statusMessage - e.g. "lat=59.33#lon=18.06#grid=JO89#altitude=12 m#tracked=9#visible=14#status=Fine Lock"
+   * @returns {boolean} - True if anything shown to the user changed.
+   */
+  gpsUpdate(statusMessage) {
+    const before = JSON.stringify(this.gps);
+    statusMessage.split('#').forEach((part) => {
+      const equalIndex = part.indexOf('=');
+      if (equalIndex < 1) return;
+      const key = part.substring(0, equalIndex).trim();
+      const value = part.substring(equalIndex + 1).trim();
+      switch (key) {
+        case 'status':
+          this.gps.status = value || null;
+          this.gps.locked = /lock/i.test(value) && !/unlock/i.test(value);
+          this.gps.installed = !/not present/i.test(value);
+          break;
+        case 'lat':
+        case 'lon':
+          this.gps[key] = Number.isFinite(parseFloat(value)) ? parseFloat(value) : null;
+          break;
+        case 'grid':
+        case 'altitude':
+          this.gps[key] = value || null;
+          break;
+        case 'tracked':
+        case 'visible':
+          this.gps[key] = Number.isFinite(parseInt(value, 10)) ? parseInt(value, 10) : null;
+          break;
+        default:
+          break;
+      }
+    });
+    return JSON.stringify(this.gps) !== before;
+  }
+
+  /**
+   * Updates the licensed features from a license status message.
+   * @param {string} statusMessage - e.g. "feature name=DIV enabled=1 reason=".
+   * @returns {boolean} - True if a feature changed.
+   */
+  licenseUpdate(statusMessage) {
+    if (!statusMessage.trim().startsWith('feature ')) return false;
+    let name = null;
+    let enabled = null;
+    this._parsePairs(statusMessage, (key, value) => {
+      if (key === 'name') name = value;
+      if (key === 'enabled') enabled = value === '1';
+    });
+    if (!name || enabled === null || this.features[name] === enabled) return false;
+    this.features[name] = enabled;
+    return true;
+  }
+
+  /**
+   * Checks the radio's firmware against the versions the integration supports.
+   * @returns {{supported: boolean, warning: string|null}} - Supported until the version is known.
+   */
+  checkFirmware() {
+    if (!this.firmware) return { supported: true, warning: null };
+
+    if (compareVersions(this.firmware, MIN_FIRMWARE) < 0) {
+      return {
+        supported: false,
+        warning: `SmartSDR ${this.firmware} on the radio is older than ${MIN_FIRMWARE}. Some features may not work; please update the radio.`,
+      };
+    }
+    if (parseInt(this.firmware, 10) > MAX_TESTED_FIRMWARE_MAJOR) {
+      return {
+        supported: false,
+        warning: `SmartSDR ${this.firmware} on the radio is newer than the versions Wave-Flex Integrator was tested with (up to ${MAX_TESTED_FIRMWARE_MAJOR}.x). Please report any problems.`,
+      };
+    }
+    return { supported: true, warning: null };
+  }
+
+  /**
+   * Returns the identity for the UI.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      model: this.model,
+      serial: this.serial,
+      nickname: this.nickname,
+      callsign: this.callsign,
+      firmware: this.firmware,
+      versions: { ...this.versions },
+      region: this.region,
+      options: [...this.options],
+      features: Object.keys(this.features).filter((name) => this.features[name]),
+      gps: { ...this.gps },
+      oscillator: { ...this.oscillator },
+    };
+  }
+
+  _parsePairs(statusMessage, handler) {
+    const keyValuePairs = statusMessage.match(/(\w+)=("[^"]*"|\S*)/g);
+    if (!keyValuePairs) return;
+    keyValuePairs.forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      handler(pair.substring(0, equalIndex), pair.substring(equalIndex + 1).replace(/"/g, ''));
+    });
+  }
+}
+
+/**
+ * Compares dotted version numbers.
+ * @param {string} a - e.g. '3.4.35.141'.
+ * @param {string} b - e.g. '3.0'.
+ * @returns {number} - Negative if a is older, 0 if equal (as far as b goes), positive if a is newer.
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split('.').map((n) => parseInt(n, 10) || 0);
+  const partsB = String(b).split('.').map((n) => parseInt(n, 10) || 0);
+  for (let i = 0; i < partsB.length; i++) {
+    const difference = (partsA[i] || 0) - partsB[i];
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+module.exports = RadioIdentity;
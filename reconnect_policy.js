@@ -0,0 +1,168 @@
+// reconnect_policy.js
+
+'use strict';
+
+const EventEmitter = require('events');
+
+// Each delay is varied by up to this fraction either way, so clients that lost the same server
+// (or a whole shack after a network outage) do not all come back at the same moment.
+const DEFAULT_JITTER = 0.2;
+// A connection that stays up this long is stable; the next outage starts again at the initial delay.
+const DEFAULT_STABLE_AFTER_MS = 30000;
+
+/**
+ * Class deciding when to retry a lost connection: exponential backoff with jitter, reset once a
+ * connection has proven stable. It runs the retry timer itself and emits 'change' with getState()
+ * whenever a retry is scheduled, run or cancelled, so the UI can show a countdown.
+ */
+class ReconnectPolicy extends EventEmitter {
+  /**
+   * Creates an instance of ReconnectPolicy.
+   * @param {object} [options] - Backoff settings, e.g. config.dxCluster.reconnect.
+   * @param {number} [options.initialDelay=5000] - Delay before the first retry (ms).
+   * @param {number} [options.maxDelay=60000] - Longest delay between retries (ms).
+   * @param {number} [options.backoffFactor=2] - Factor the delay grows by after each failed retry.
+   * @param {number} [options.jitter=0.2] - Fraction by which each delay is randomly varied.
+   * @param {number} [options.stableAfterMs=30000] - Connection time after which the backoff starts over.
+   */
+  constructor(options = {}) {
+    super();
+    this.configure(options);
+    this.attempt = 0;           // Retries scheduled since the last stable connection
+    this.timer = null;
+    this.retry = null;          // Callback of the scheduled retry
+    this.nextAttemptAt = null;  // Time (ms since epoch) of the scheduled retry, null if none
+    this.delayMs = null;        // Delay of the scheduled retry
+    this.stableTimer = null;
+  }
+
+  /**
+   * Applies new backoff settings, e.g. after the configuration was saved. A scheduled retry keeps its time.
+   * @param {object} options - See the constructor.
+   */
+  configure(options = {}) {
+    this.initialDelay = options.initialDelay > 0 ? options.initialDelay : 5000;
+    this.maxDelay = Math.max(options.maxDelay > 0 ? options.maxDelay : 60000, this.initialDelay);
+    this.backoffFactor = options.backoffFactor >= 1 ? options.backoffFactor : 2;
+    this.jitter = Number.isFinite(options.jitter) ? Math.min(Math.max(options.jitter, 0), 1) : DEFAULT_JITTER;
+    this.stableAfterMs = options.stableAfterMs >= 0 ? options.stableAfterMs : DEFAULT_STABLE_AFTER_MS;
+  }
+
+  /**
+   * Returns the delay for the next retry without scheduling it.
+   * @returns {number} - Delay in ms.
+   */
+  nextDelay() {
+    const base = Math.min(this.initialDelay * Math.pow(this.backoffFactor, this.attempt), this.maxDelay);
+    const jittered = base * (1 + (Math.random() * 2 - 1) * this.jitter);
+    return Math.round(Math.min(jittered, this.maxDelay));
+  }
+
+  /**
+   * Schedules a retry. Does nothing if one is already scheduled.
+   * @param {Function} retry - Called when the delay has passed.
+   * @returns {number|null} - The delay in ms, or null if a retry was already scheduled.
+   */
+  schedule(retry) {
+    if (this.timer) return null;
+
+    this._stopStableTimer();
+    const delayMs = this.nextDelay();
+    this.attempt++;
+    this.delayMs = delayMs;
+    this.nextAttemptAt = Date.now() + delayMs;
+    this.retry = retry;
+    this.timer = setTimeout(() => this._fire(), delayMs);
+    this.emit('change', this.getState());
+    return delayMs;
+  }
+
+  /**
+   * Runs a scheduled retry right away (e.g. because the server was seen again).
+   * @returns {boolean} - True if a retry was scheduled.
+   */
+  retryNow() {
+    if (!this.timer) return false;
+    clearTimeout(this.timer);
+    this._fire();
+    return true;
+  }
+
+  /**
+   * Cancels a scheduled retry, e.g. on a manual disconnect.
+   */
+  cancel() {
+    this._stopStableTimer();
+    if (!this.timer) return;
+    clearTimeout(this.timer);
+    this._clearSchedule();
+    this.emit('change', this.getState());
+  }
+
+  /**
+   * Reports that a connection was established. Once it has lasted stableAfterMs the backoff starts over.
+   */
+  connected() {
+    this.cancel();
+    if (this.attempt === 0) return;
+    this.stableTimer = setTimeout(() => {
+      this.stableTimer = null;
+      this.reset();
+    }, this.stableAfterMs);
+  }
+
+  /**
+   * Reports that the connection was lost. A connection that did not become stable keeps its backoff.
+   */
+  disconnected() {
+    this._stopStableTimer();
+  }
+
+  /**
+   * Starts the backoff over at the initial delay.
+   */
+  reset() {
+    this._stopStableTimer();
+    this.attempt = 0;
+  }
+
+  /**
+   * True while a retry is scheduled.
+   * @returns {boolean}
+   */
+  isScheduled() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Returns the state for the UI.
+   * @returns {{attempt: number, nextAttemptAt: number|null, delayMs: number|null}} - nextAttemptAt is null
+   *   when no retry is scheduled.
+   */
+  getState() {
+    return { attempt: this.attempt, nextAttemptAt: this.nextAttemptAt, delayMs: this.delayMs };
+  }
+
+  _fire() {
+    const retry = this.retry;
+    this._clearSchedule();
+    this.emit('change', this.getState());
+    retry();
+  }
+
+  _clearSchedule() {
+    this.timer = null;
+    this.retry = null;
+    this.nextAttemptAt = null;
+    this.delayMs = null;
+  }
+
+  _stopStableTimer() {
+    if (this.stableTimer) {
+      clearTimeout(this.stableTimer);
+      this.stableTimer = null;
+    }
+  }
+}
+
+module.exports = ReconnectPolicy;
@@ -3,6 +3,9 @@
 
 const { ipcRenderer } = require('electron');
 const { shell } = require('electron');
+const { FLAG_FIELDS, buildDefaultRules } = require('./spot_color_rules');
+const { DEFAULT_PROFILE_TEMPLATES, buildProfileTable } = require('./profile_names');
+const { MODE_CATEGORIES, LICENSE_TABLES } = require('./license_privileges');
 let isWavelogLive = false;
 
 /**
@@ -351,6 +354,19 @@ const dxClusterBackupHostInput = document.getElementById('dxClusterBackupHost');
     dxClusterBackoffFactorInput.value = config.dxCluster.reconnect.backoffFactor;
   }
 
+  // Populate Keepalive Settings (hidden technical fields, kept so a save does not reset them)
+  const dxClusterKeepalive = config.dxCluster.keepalive || {};
+  document.getElementById('dxClusterKeepaliveIdleSeconds').value = dxClusterKeepalive.idleSeconds ?? 120;
+  document.getElementById('dxClusterKeepaliveProbeCommand').value = dxClusterKeepalive.probeCommand ?? 'sh/time';
+  document.getElementById('dxClusterKeepaliveTimeoutSeconds').value = dxClusterKeepalive.timeoutSeconds ?? 30;
+  const flexRadioKeepalive = config.flexRadio.keepalive || {};
+  document.getElementById('flexRadioKeepaliveIntervalSeconds').value = flexRadioKeepalive.intervalSeconds ?? 10;
+  document.getElementById('flexRadioKeepaliveTimeoutMs').value = flexRadioKeepalive.timeoutMs ?? 10000;
+  const flexRadioReconnect = config.flexRadio.reconnect || {};
+  document.getElementById('flexRadioReconnectInitialDelay').value = flexRadioReconnect.initialDelay ?? 5000;
+  document.getElementById('flexRadioReconnectMaxDelay').value = flexRadioReconnect.maxDelay ?? 60000;
+  document.getElementById('flexRadioReconnectBackoffFactor').value = flexRadioReconnect.backoffFactor ?? 2;
+
   // Populate FlexRadio Configuration
   const flexRadioEnabledSelect = document.getElementById('flexRadioEnabled');
   if (flexRadioEnabledSelect) {
@@ -368,11 +384,33 @@ const dxClusterBackupHostInput = document.getElementById('dxClusterBackupHost');
   }
 
   // Populate FlexRadio Command Timeout
+  document.getElementById('flexRadioBindStation').value = config.flexRadio.bindStation || '';
+
   const flexRadioCommandTimeoutInput = document.getElementById('flexRadioCommandTimeout');
   if (flexRadioCommandTimeoutInput) {
     flexRadioCommandTimeoutInput.value = config.flexRadio.commandTimeout;
   }
 
+  // Populate FlexRadio Discovery Settings
+  const flexRadioDiscoveryEnabledInput = document.getElementById('flexRadioDiscoveryEnabled');
+  if (flexRadioDiscoveryEnabledInput) {
+    flexRadioDiscoveryEnabledInput.checked = config.flexRadio.discovery?.enabled !== false;
+  }
+  setSelectedRadioSerial(config.flexRadio.serial || '');
+
+  // Populate FlexRadio Meter Settings
+  const flexRadioMetersEnabledInput = document.getElementById('flexRadioMetersEnabled');
+  if (flexRadioMetersEnabledInput) {
+    flexRadioMetersEnabledInput.checked = config.flexRadio.meters?.enabled !== false;
+  }
+
+  const flexRadioMetersUdpPortInput = document.getElementById('flexRadioMetersUdpPort');
+  if (flexRadioMetersUdpPortInput) {
+    flexRadioMetersUdpPortInput.value = config.flexRadio.meters?.udpPort ?? 0;
+  }
+
+  renderAdditionalRadios(config.flexRadio.additionalRadios || []);
+
   // Populate Antenna Management Configuration
   if (config.flexRadio.antennaManagement) {
       const antMgmt = config.flexRadio.antennaManagement;
@@ -392,6 +430,13 @@ const dxClusterBackupHostInput = document.getElementById('dxClusterBackupHost');
           updateAntennaMgmtUI();
       }
 
+      const templates = antMgmt.profileTemplates && antMgmt.profileTemplates.length > 0
+          ? antMgmt.profileTemplates
+          : DEFAULT_PROFILE_TEMPLATES;
+      document.getElementById('antMgmtProfileTemplates').value = templates.join('\n');
+      document.getElementById('antMgmtProfileModes').value = (antMgmt.profileModes || []).join(', ');
+      profileNaming = { mode: antMgmt.mode, templates, modes: antMgmt.profileModes || [] };
+
       if (antMgmt.bands) {
           const bands =['160', '80', '60', '40', '30', '20', '17', '15', '12', '10', '6'];
           bands.forEach(b => {
@@ -404,6 +449,27 @@ const dxClusterBackupHostInput = document.getElementById('dxClusterBackupHost');
       }
   }
 
+  // Populate Power Management Configuration
+  document.getElementById('powerMgmtEnabled').checked = config.flexRadio.powerManagement?.enabled ?? false;
+  renderPowerPresets(config.flexRadio.powerManagement?.bands || {});
+
+  // Populate License Privileges Configuration
+  const license = config.licensePrivileges || {};
+  populateLicenseTables();
+  document.getElementById('licenseEnabled').checked = license.enabled ?? false;
+  document.getElementById('licenseTable').value = license.table || 'CEPT';
+  document.getElementById('licenseAction').value = license.action || 'reject';
+  renderLicenseSegments(license.customSegments || []);
+  updateLicenseUI();
+
+  // Populate CW Keyer Configuration
+  document.getElementById('cwxRst').value = config.flexRadio.cwx?.rst ?? '599';
+  renderCwxMacros(config.flexRadio.cwx?.macros || []);
+
+  // Populate Split Operation Configuration
+  document.getElementById('splitEnabled').checked = config.flexRadio.split?.enabled ?? false;
+  document.getElementById('splitSpotMatchHz').value = config.flexRadio.split?.spotMatchHz ?? 500;
+
   // Populate Spot Management Configuration
   const spotLifetimeSecondsInput = document.getElementById('spotManagementLifetimeSeconds');
   if (spotLifetimeSecondsInput) {
@@ -415,6 +481,10 @@ const dxClusterBackupHostInput = document.getElementById('dxClusterBackupHost');
     spotCleanupIntervalInput.value = config.flexRadio.spotManagement.cleanupIntervalSeconds;
   }
 
+  document.getElementById('spotManagementMaxSpotsPerSecond').value = config.flexRadio.spotManagement.maxSpotsPerSecond ?? 2;
+  document.getElementById('spotManagementPushSpots').checked = config.flexRadio.spotManagement.pushSpots !== false;
+  document.getElementById('spotManagementPanadapterAware').checked = config.flexRadio.spotManagement.panadapterAware !== false;
+
   // Populate WSJT-X Configuration
   const wsjtEnabledSelect = document.getElementById('wsjtEnabled');
   if (wsjtEnabledSelect) {
@@ -486,6 +556,22 @@ const dxClusterBackupHostInput = document.getElementById('dxClusterBackupHost');
     setColorInput('colorNotLotwTextColor', colors.notLotw.textColor);
   }
 
+  // Populate Spot Click Actions
+  const clickActions = config.flexRadio?.spotManagement?.clickActions || {};
+  [
+    ['clickActionOpenLogQSO', 'openLogQSO'],
+    ['clickActionQsoAssistant', 'qsoAssistant'],
+    ['clickActionWavelogLiveForm', 'wavelogLiveForm'],
+    ['clickActionRotateShortPath', 'rotateShortPath'],
+    ['clickActionWsjtReply', 'wsjtReply'],
+  ].forEach(([elementId, key]) => {
+    const checkbox = document.getElementById(elementId);
+    if (checkbox) checkbox.checked = !!clickActions[key];
+  });
+
+  spotColorRules = JSON.parse(JSON.stringify(config.flexRadio?.spotManagement?.colorRules || []));
+  renderSpotColorRules();
+
   // Populate Wavelog API Configuration
   const wavelogApiUrlInput = document.getElementById('wavelogApiUrl');
   if (wavelogApiUrlInput) {
@@ -609,8 +695,10 @@ if (configForm) {
       'dxClusterReconnectBackoffFactor',
       'flexRadioPort',
       'flexRadioCommandTimeout',
+      'flexRadioMetersUdpPort',
       'spotManagementLifetimeSeconds',
       'spotManagementCleanupIntervalSeconds',
+      'spotManagementMaxSpotsPerSecond',
       'maxDaysConsideredTrue',
     ];
 
@@ -649,6 +737,12 @@ if (configForm) {
             y: config.application?.qsoWindow?.y
         }
       },
+      licensePrivileges: {
+        enabled: document.getElementById('licenseEnabled').checked,
+        table: document.getElementById('licenseTable').value,
+        action: document.getElementById('licenseAction').value,
+        customSegments: readLicenseSegments()
+      },
       catListener: {
         enabled: document.getElementById('catListenerEnabled').checked,
         host: document.getElementById('catListenerHost').value.trim() || '127.0.0.1',
@@ -703,14 +797,46 @@ if (configForm) {
           maxDelay: parseInt(document.getElementById('dxClusterReconnectMaxDelay').value, 10),
           backoffFactor: parseFloat(document.getElementById('dxClusterReconnectBackoffFactor').value),
         },
+        keepalive: {
+          idleSeconds: parseInt(document.getElementById('dxClusterKeepaliveIdleSeconds').value, 10),
+          probeCommand: document.getElementById('dxClusterKeepaliveProbeCommand').value.trim(),
+          timeoutSeconds: parseInt(document.getElementById('dxClusterKeepaliveTimeoutSeconds').value, 10),
+        },
       },
       flexRadio: {
         enabled: document.getElementById('flexRadioEnabled').value === 'true',
         host: document.getElementById('flexRadioHost').value.trim(),
         port: parseInt(document.getElementById('flexRadioPort').value, 10),
+        serial: document.getElementById('flexRadioSerial').value,
+        discovery: {
+            enabled: document.getElementById('flexRadioDiscoveryEnabled').checked
+        },
         commandTimeout: parseInt(document.getElementById('flexRadioCommandTimeout').value, 10),
+        keepalive: {
+            intervalSeconds: parseInt(document.getElementById('flexRadioKeepaliveIntervalSeconds').value, 10),
+            timeoutMs: parseInt(document.getElementById('flexRadioKeepaliveTimeoutMs').value, 10),
+        },
+        reconnect: {
+            initialDelay: parseInt(document.getElementById('flexRadioReconnectInitialDelay').value, 10),
+            maxDelay: parseInt(document.getElementById('flexRadioReconnectMaxDelay').value, 10),
+            backoffFactor: parseFloat(document.getElementById('flexRadioReconnectBackoffFactor').value),
+        },
+        bindStation: document.getElementById('flexRadioBindStation').value.trim(),
+        meters: {
+            enabled: document.getElementById('flexRadioMetersEnabled').checked,
+            udpPort: parseInt(document.getElementById('flexRadioMetersUdpPort').value, 10) || 0
+        },
+        additionalRadios: readAdditionalRadios(),
         antennaManagement: {
             mode: document.getElementById('antMgmtMode') ? document.getElementById('antMgmtMode').value : 'off',
+            profileTemplates: document.getElementById('antMgmtProfileTemplates').value
+                .split('\n')
+                .map((line) => line.trim())
+                .filter(Boolean),
+            profileModes: document.getElementById('antMgmtProfileModes').value
+                .split(',')
+                .map((mode) => mode.trim().toUpperCase())
+                .filter(Boolean),
             bands:['160', '80', '60', '40', '30', '20', '17', '15', '12', '10', '6'].reduce((acc, b) => {
                 acc[`${b}m`] = {
                     rxant: document.getElementById(`ant${b}RX`) ? document.getElementById(`ant${b}RX`).value.trim().toUpperCase() : '',
@@ -719,7 +845,22 @@ if (configForm) {
                 return acc;
             }, {})
         },
+        powerManagement: {
+            enabled: document.getElementById('powerMgmtEnabled').checked,
+            bands: readPowerPresets()
+        },
+        cwx: {
+            rst: document.getElementById('cwxRst').value.trim().toUpperCase() || '599',
+            macros: readCwxMacros()
+        },
+        split: {
+            enabled: document.getElementById('splitEnabled').checked,
+            spotMatchHz: parseInt(document.getElementById('splitSpotMatchHz').value, 10) || 500
+        },
         spotManagement: {
+          pushSpots: document.getElementById('spotManagementPushSpots').checked,
+          panadapterAware: document.getElementById('spotManagementPanadapterAware').checked,
+          maxSpotsPerSecond: Math.max(0, parseFloat(document.getElementById('spotManagementMaxSpotsPerSecond').value)),
           lifetimeSeconds: parseInt(document.getElementById('spotManagementLifetimeSeconds').value, 10),
           cleanupIntervalSeconds: parseInt(
             document.getElementById('spotManagementCleanupIntervalSeconds').value,
@@ -786,6 +927,14 @@ if (configForm) {
               textColor: document.getElementById('colorNotLotwTextColor').value.trim().toUpperCase(),
             },
           },
+          colorRules: readSpotColorRules(),
+          clickActions: {
+            openLogQSO: document.getElementById('clickActionOpenLogQSO').checked,
+            qsoAssistant: document.getElementById('clickActionQsoAssistant').checked,
+            rotateShortPath: document.getElementById('clickActionRotateShortPath').checked,
+            wsjtReply: document.getElementById('clickActionWsjtReply').checked,
+            wavelogLiveForm: document.getElementById('clickActionWavelogLiveForm').checked,
+          },
         },
       },
       wavelogAPI: {
@@ -820,6 +969,12 @@ if (configForm) {
     // Send the updated config back to the main process
     try {
       await ipcRenderer.invoke('update-config', newConfig);
+      const antMgmt = newConfig.flexRadio.antennaManagement;
+      profileNaming = {
+        mode: antMgmt.mode,
+        templates: antMgmt.profileTemplates.length > 0 ? antMgmt.profileTemplates : DEFAULT_PROFILE_TEMPLATES,
+        modes: antMgmt.profileModes
+      };
       showAlert('Configuration updated successfully! You should now restart the application!', 'success');
     } catch (error) {
       showAlert('Failed to update configuration.', 'danger');
@@ -903,10 +1058,12 @@ function handleStatusUpdate(status) {
 
       const radioValDisc = document.getElementById('sb-radio-ver');
       radioValDisc.textContent = 'no radio found';
-      radioValDisc.classList.remove('text-success');
+      radioValDisc.classList.remove('text-success', 'text-warning');
+      radioValDisc.title = '';
 
       document.getElementById('sb-radio-freq').textContent = '---.---';
       document.getElementById('sb-radio-mode').textContent = '---';
+      document.getElementById('sb-radio-swr').textContent = 'SWR -';
       isFlexRadioConnected = false;
       break;
 
@@ -1017,6 +1174,31 @@ function handleStatusUpdate(status) {
       }
       break;
 
+    case 'licenseWarning':
+      showAlert(`<i class="bi bi-shield-exclamation me-1"></i>${status.message}`, 'warning');
+      break;
+
+    case 'firmwareWarning':
+      showAlert(`<i class="bi bi-exclamation-triangle me-1"></i>${status.message}`, 'warning');
+      break;
+
+    case 'qsyFailed':
+      showAlert(`<i class="bi bi-x-octagon me-1"></i>${status.message}`, 'danger');
+      break;
+
+    case 'boundStation':
+      if (status.connected) {
+        showAlert(`<i class="bi bi-person-check me-1"></i>Following Multi-Flex station ${status.station}.`, 'info');
+      } else {
+        showAlert(`<i class="bi bi-person-x me-1"></i>Multi-Flex station ${status.station} disconnected. QSY is paused until it returns.`, 'warning');
+      }
+      break;
+
+    case 'sessionReplay':
+      updateFlexRadioStatus(status.finished ? 'Session replay finished' : `Replaying ${status.file}`);
+      if (status.finished) showAlert('Session replay finished.', 'info');
+      break;
+
     default:
       break;
   }
@@ -1266,6 +1448,8 @@ document.addEventListener('DOMContentLoaded', () => {
   .then(([config, isPackaged]) => {
       populateForm(config, isPackaged); // Call to populate form fields with dev-mode awareness
       setupOpacitySliders(); // Set up event listeners for opacity sliders
+      // Show radios already discovered before the window was ready
+      return ipcRenderer.invoke('get-discovered-radios').then(renderDiscoveredRadios);
   })
   .catch((err) => {
       console.error(err);
@@ -1274,8 +1458,361 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Populate About tab
   populateAboutTab();
+
 });
 
+/**
+ * Stores the serial of the radio picked from the discovery list.
+ * @param {string} serial - Radio serial, or '' for none.
+ */
+function setSelectedRadioSerial(serial) {
+  const serialInput = document.getElementById('flexRadioSerial');
+  const serialLabel = document.getElementById('flexRadioSerialLabel');
+  if (serialInput) serialInput.value = serial;
+  if (serialLabel) serialLabel.textContent = serial || 'none';
+}
+
+/**
+ * Renders the list of radios seen via LAN discovery in the configuration tab.
+ * @param {object[]} radios - Radio info objects from the main process.
+ */
+function renderDiscoveredRadios(radios) {
+  const tbody = document.getElementById('discoveredRadiosBody');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  if (!radios || radios.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" class="text-muted text-center">No radios found on this network.</td></tr>';
+    return;
+  }
+
+  const selectedSerial = document.getElementById('flexRadioSerial').value;
+
+  radios.forEach((radio) => {
+    const row = document.createElement('tr');
+    if (radio.serial === selectedSerial) row.classList.add('table-active');
+
+    [radio.model, radio.nickname, radio.serial, radio.ip, radio.version].forEach((text) => {
+      const cell = document.createElement('td');
+      cell.textContent = text || '-';
+      row.appendChild(cell);
+    });
+
+    const statusCell = document.createElement('td');
+    if (radio.inUse) {
+      statusCell.innerHTML = '<span class="badge bg-warning text-dark">In Use</span>';
+      if (radio.inUseHost) statusCell.title = `In use by ${radio.inUseHost}`;
+    } else {
+      statusCell.innerHTML = '<span class="badge bg-success">Available</span>';
+    }
+    row.appendChild(statusCell);
+
+    const actionCell = document.createElement('td');
+    actionCell.className = 'text-end';
+    const selectBtn = document.createElement('button');
+    selectBtn.type = 'button';
+    selectBtn.className = 'btn btn-sm btn-outline-primary py-0';
+    selectBtn.textContent = radio.serial === selectedSerial ? 'Selected' : 'Use';
+    selectBtn.addEventListener('click', () => {
+      document.getElementById('flexRadioHost').value = radio.ip;
+      document.getElementById('flexRadioPort').value = radio.port || 4992;
+      setSelectedRadioSerial(radio.serial);
+      renderDiscoveredRadios(radios);
+      showAlert(`Selected ${radio.model} '${radio.nickname || radio.serial}' at ${radio.ip}. Save and restart to connect.`, 'info');
+    });
+    actionCell.appendChild(selectBtn);
+    row.appendChild(actionCell);
+
+    tbody.appendChild(row);
+  });
+}
+
+// Conditions a spot color rule can test against the Wavelog enrichment, with their labels
+const SPOT_RULE_FLAG_LABELS = {
+  myCallsign: 'My callsign',
+  dxcc_confirmed: 'DXCC confirmed',
+  dxcc_confirmed_on_band: 'DXCC confirmed on band',
+  dxcc_confirmed_on_band_mode: 'DXCC confirmed on band & mode',
+  call_worked: 'Call worked',
+  call_worked_band: 'Call worked on band',
+  call_worked_band_mode: 'Call worked on band & mode',
+  call_confirmed: 'Call confirmed',
+  call_confirmed_band: 'Call confirmed on band',
+  call_confirmed_band_mode: 'Call confirmed on band & mode',
+  lotw_member: 'Active LoTW user',
+};
+
+// Comma-separated list conditions: [rule key, label, placeholder]
+const SPOT_RULE_LIST_FIELDS = [
+  ['bands', 'Bands', '20m, 40m'],
+  ['modes', 'Modes', 'CW, USB, DIGU'],
+  ['continents', 'Continents', 'AF, OC'],
+  ['cqZones', 'CQ Zones', '1, 33'],
+  ['spotters', 'Spotters', 'SM*, W1AW'],
+  ['keywords', 'Comment Keywords', 'UP, QSX'],
+];
+
+let spotColorRules = [];
+
+/**
+ * Renders the editable spot color rule list from spotColorRules.
+ */
+function renderSpotColorRules() {
+  const list = document.getElementById('spotColorRulesList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  if (spotColorRules.length === 0) {
+    list.innerHTML = '<div class="text-muted small">No rules defined. The colors above are used.</div>';
+    return;
+  }
+
+  const makeInput = (type, field, value, extra = {}) => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.dataset.field = field;
+    input.className = type === 'checkbox' ? 'form-check-input' : 'form-control form-control-sm';
+    if (type === 'checkbox') input.checked = !!value;
+    else input.value = value ?? '';
+    Object.assign(input, extra);
+    return input;
+  };
+
+  const labelled = (labelText, control, colClass = 'col-md-4') => {
+    const col = document.createElement('div');
+    col.className = `${colClass} mb-2`;
+    const label = document.createElement('label');
+    label.className = 'form-label small mb-0';
+    label.textContent = labelText;
+    col.append(label, control);
+    return col;
+  };
+
+  const optionalColor = (labelText, field, value) => {
+    const group = document.createElement('div');
+    group.className = 'input-group input-group-sm';
+    const toggleWrap = document.createElement('span');
+    toggleWrap.className = 'input-group-text';
+    const toggle = makeInput('checkbox', `${field}Set`, !!value, { title: 'Set this color' });
+    toggleWrap.appendChild(toggle);
+    const color = makeInput('color', field, value || '#FFFFFF');
+    color.className = 'form-control form-control-color';
+    color.addEventListener('input', () => { toggle.checked = true; });
+    group.append(toggleWrap, color);
+    return labelled(labelText, group, 'col-md-2');
+  };
+
+  spotColorRules.forEach((rule, index) => {
+    const match = rule.match || {};
+    const set = rule.set || {};
+
+    const card = document.createElement('div');
+    card.className = 'card mb-2 spot-color-rule';
+    const body = document.createElement('div');
+    body.className = 'card-body p-2';
+
+    // Header: enabled, name, stop and ordering
+    const header = document.createElement('div');
+    header.className = 'd-flex align-items-center gap-2 mb-2';
+    const enabled = makeInput('checkbox', 'enabled', rule.enabled !== false, { title: 'Enabled' });
+    const name = makeInput('text', 'name', rule.name, { placeholder: `Rule ${index + 1}` });
+    const stopWrap = document.createElement('label');
+    stopWrap.className = 'small text-nowrap';
+    stopWrap.title = 'Skip the rules below when this one matches';
+    stopWrap.append(makeInput('checkbox', 'stop', rule.stop), ' Stop here');
+    header.append(enabled, name, stopWrap);
+
+    [['up', 'bi-arrow-up', 'Move up'], ['down', 'bi-arrow-down', 'Move down'], ['delete', 'bi-trash', 'Delete']].forEach(
+      ([action, icon, title]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn btn-sm py-0 ${action === 'delete' ? 'btn-outline-danger' : 'btn-outline-secondary'}`;
+        button.title = title;
+        button.innerHTML = `<i class="bi ${icon}"></i>`;
+        button.addEventListener('click', () => moveOrDeleteSpotColorRule(index, action));
+        header.appendChild(button);
+      }
+    );
+    body.appendChild(header);
+
+    // Conditions
+    const flagsRow = document.createElement('div');
+    flagsRow.className = 'row';
+    ['myCallsign', ...FLAG_FIELDS].forEach((flag) => {
+      const select = document.createElement('select');
+      select.className = 'form-select form-select-sm';
+      select.dataset.field = `match.${flag}`;
+      const options = [['', 'Any'], ['true', 'Yes'], ['false', 'No']];
+      // Wavelog flags can be missing (e.g. while Wavelog is down); these also match then
+      if (flag !== 'myCallsign') options.push(['notTrue', 'Not yes'], ['notFalse', 'Not no']);
+      options.forEach(([value, text]) => select.add(new Option(text, value)));
+      select.value = ['boolean', 'string'].includes(typeof match[flag]) ? String(match[flag]) : '';
+      flagsRow.appendChild(labelled(SPOT_RULE_FLAG_LABELS[flag], select, 'col-md-3'));
+    });
+    body.appendChild(flagsRow);
+
+    const listsRow = document.createElement('div');
+    listsRow.className = 'row';
+    SPOT_RULE_LIST_FIELDS.forEach(([key, labelText, placeholder]) => {
+      const input = makeInput('text', `match.${key}`, (match[key] || []).join(', '), { placeholder });
+      listsRow.appendChild(labelled(labelText, input, 'col-md-2'));
+    });
+    body.appendChild(listsRow);
+
+    // Actions
+    const setRow = document.createElement('div');
+    setRow.className = 'row border-top pt-2';
+    setRow.appendChild(optionalColor('Text', 'set.textColor', set.textColor));
+    setRow.appendChild(optionalColor('Background', 'set.backgroundColor', set.backgroundColor));
+    setRow.appendChild(
+      labelled('Opacity %', makeInput('number', 'set.opacity', set.opacity, { min: 0, max: 100, placeholder: '-' }), 'col-md-2')
+    );
+    const priority = document.createElement('select');
+    priority.className = 'form-select form-select-sm';
+    priority.dataset.field = 'set.priority';
+    [['', '-'], ['1', '1 (highest)'], ['2', '2'], ['3', '3'], ['4', '4'], ['5', '5 (lowest)']].forEach(([value, text]) =>
+      priority.add(new Option(text, value))
+    );
+    priority.value = Number.isFinite(set.priority) ? String(set.priority) : '';
+    setRow.appendChild(labelled('Priority', priority, 'col-md-2'));
+    setRow.appendChild(labelled('Comment', makeInput('text', 'set.comment', set.comment), 'col-md-4'));
+    body.appendChild(setRow);
+
+    card.appendChild(body);
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Reads the spot color rules back from the editor.
+ * @returns {object[]} - Rules in the format used by spot_color_rules.js.
+ */
+function readSpotColorRules() {
+  const rules = [];
+  document.querySelectorAll('#spotColorRulesList .spot-color-rule').forEach((card) => {
+    const field = (name) => card.querySelector(`[data-field="${name}"]`);
+    const rule = {
+      name: field('name').value.trim(),
+      enabled: field('enabled').checked,
+      match: {},
+      set: {},
+      stop: field('stop').checked,
+    };
+
+    ['myCallsign', ...FLAG_FIELDS].forEach((flag) => {
+      const value = field(`match.${flag}`).value;
+      if (value === 'true' || value === 'false') rule.match[flag] = value === 'true';
+      else if (value !== '') rule.match[flag] = value;
+    });
+    SPOT_RULE_LIST_FIELDS.forEach(([key]) => {
+      const values = field(`match.${key}`)
+        .value.split(',')
+        .map((value) => value.trim())
+        .filter((value) => value.length > 0);
+      if (values.length > 0) rule.match[key] = values;
+    });
+
+    ['textColor', 'backgroundColor'].forEach((key) => {
+      if (field(`set.${key}Set`).checked) rule.set[key] = field(`set.${key}`).value.toUpperCase();
+    });
+    const opacity = parseInt(field('set.opacity').value, 10);
+    if (!isNaN(opacity)) rule.set.opacity = Math.min(100, Math.max(0, opacity));
+    const priority = parseInt(field('set.priority').value, 10);
+    if (!isNaN(priority)) rule.set.priority = priority;
+    const comment = field('set.comment').value.trim();
+    if (comment) rule.set.comment = comment;
+
+    rules.push(rule);
+  });
+  return rules;
+}
+
+/**
+ * Moves a spot color rule up or down, or deletes it, keeping unsaved edits.
+ * @param {number} index - Rule position.
+ * @param {string} action - 'up', 'down' or 'delete'.
+ */
+function moveOrDeleteSpotColorRule(index, action) {
+  spotColorRules = readSpotColorRules();
+  if (action === 'delete') {
+    spotColorRules.splice(index, 1);
+  } else {
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (target < 0 || target >= spotColorRules.length) return;
+    [spotColorRules[index], spotColorRules[target]] = [spotColorRules[target], spotColorRules[index]];
+  }
+  renderSpotColorRules();
+}
+
+/**
+ * Reads the classic color settings from the form, in the shape of flexRadio.spotManagement.colors.
+ * @returns {object}
+ */
+function readClassicSpotColors() {
+  const value = (id) => document.getElementById(id).value.toUpperCase();
+  const opacity = (id) => ({ opacity: parseInt(document.getElementById(id).value, 10) });
+  return {
+    myCallsign: { textColor: value('colorMyCallsignTextColor'), backgroundColor: value('colorMyCallsignBackgroundColor') },
+    dxccNeeded: { textColor: value('colorDxccNeededTextColor'), backgroundColor: value('colorDxccNeededBackgroundColor') },
+    dxccNeededBand: { textColor: value('colorDxccNeededBandTextColor'), backgroundColor: value('colorDxccNeededBandBackgroundColor') },
+    dxccNeededBandMode: {
+      textColor: value('colorDxccNeededBandModeTextColor'),
+      backgroundColor: value('colorDxccNeededBandModeBackgroundColor'),
+    },
+    notLotw: { textColor: value('colorNotLotwTextColor') },
+    callConfirmed: opacity('callConfirmedOpacity'),
+    callConfirmedBand: opacity('callConfirmedBandOpacity'),
+    callConfirmedBandMode: opacity('callConfirmedBandModeOpacity'),
+    callWorked: opacity('callWorkedOpacity'),
+    callWorkedBand: opacity('callWorkedBandOpacity'),
+    callWorkedBandMode: opacity('callWorkedBandModeOpacity'),
+  };
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const addButton = document.getElementById('addSpotColorRule');
+  if (!addButton) return;
+
+  addButton.addEventListener('click', () => {
+    spotColorRules = readSpotColorRules();
+    spotColorRules.push({ name: '', enabled: true, match: {}, set: {}, stop: false });
+    renderSpotColorRules();
+  });
+
+  document.getElementById('loadDefaultSpotColorRules').addEventListener('click', () => {
+    if (readSpotColorRules().length > 0 && !confirm('Replace the current rules with the built-in rules?')) return;
+    spotColorRules = buildDefaultRules(readClassicSpotColors());
+    renderSpotColorRules();
+  });
+
+  document.getElementById('clearSpotColorRules').addEventListener('click', () => {
+    if (readSpotColorRules().length > 0 && !confirm('Remove all rules and go back to the colors above?')) return;
+    spotColorRules = [];
+    renderSpotColorRules();
+  });
+});
+
+ipcRenderer.on('discovered-radios', (event, radios) => {
+  renderDiscoveredRadios(radios);
+});
+
+// Offer the station names of the GUI clients connected right now
+const flexRadioBindStationField = document.getElementById('flexRadioBindStation');
+if (flexRadioBindStationField) {
+  flexRadioBindStationField.addEventListener('focus', async () => {
+    const stations = await ipcRenderer.invoke('get-gui-clients');
+    const list = document.getElementById('guiClientStations');
+    list.innerHTML = '';
+    stations.forEach((station) => list.appendChild(new Option(station)));
+  });
+}
+
+// Typing a host by hand detaches the config from the discovered radio
+const flexRadioHostField = document.getElementById('flexRadioHost');
+if (flexRadioHostField) {
+  flexRadioHostField.addEventListener('input', () => setSelectedRadioSerial(''));
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   // Attach a click event to all external links
   document.querySelectorAll('a[target="_new"]').forEach(link => {
@@ -1327,6 +1864,7 @@ ipcRenderer.on('update_downloaded', () => {
 // --- Profile Handling Logic ---
 
 let isFlexRadioConnected = false;
+let profileNaming = null; // { mode, templates, modes } from the saved antenna management settings
 
 // Listen for when the Profiles tab is clicked/shown
 const profilesTabElement = document.getElementById('profiles-tab');
@@ -1369,8 +1907,74 @@ function loadProfiles() {
 // Listen for profile data coming from the Main process
 ipcRenderer.on('flex-global-profiles', (event, profiles) => {
   renderProfiles(profiles);
+  renderProfileQsyCheck(profiles);
 });
 
+/**
+ * Shows which Global Profile a QSY would load for each band and mode, and flags the missing ones,
+ * when antenna management is in "profiles" mode.
+ * @param {string[]} profiles - List of profile names.
+ */
+function renderProfileQsyCheck(profiles) {
+  const container = document.getElementById('profileQsyCheck');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!profileNaming || profileNaming.mode !== 'profiles' || profileNaming.modes.length === 0) return;
+
+  const table = buildProfileTable(profileNaming.templates, profileNaming.modes, profiles);
+  let missing = 0;
+
+  const card = document.createElement('div');
+  card.className = 'card border-secondary';
+  const header = document.createElement('div');
+  header.className = 'card-header bg-light-subtle py-2 fw-bold';
+  card.appendChild(header);
+
+  const tableEl = document.createElement('table');
+  tableEl.className = 'table table-sm align-middle mb-0 small';
+  const headRow = tableEl.createTHead().insertRow();
+  ['Band', ...profileNaming.modes].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+
+  const body = tableEl.createTBody();
+  Object.keys(table).forEach((band) => {
+    const row = body.insertRow();
+    const bandCell = row.insertCell();
+    bandCell.className = 'fw-bold';
+    bandCell.textContent = band;
+
+    profileNaming.modes.forEach((modeGroup) => {
+      const entry = table[band][modeGroup];
+      const cell = row.insertCell();
+      if (entry.name) {
+        cell.textContent = entry.name;
+      } else {
+        missing++;
+        cell.className = 'text-danger';
+        cell.title = 'No Global Profile with this name. QSYs to this band and mode will not load a profile.';
+        cell.innerHTML = '<i class="bi bi-exclamation-triangle-fill me-1"></i>';
+        cell.appendChild(document.createTextNode(`Missing: ${entry.expected}`));
+      }
+    });
+  });
+
+  header.innerHTML = '<i class="bi bi-signpost-split me-2"></i>';
+  header.appendChild(
+    document.createTextNode(
+      missing > 0 ? `Profiles loaded on QSY (${missing} missing)` : 'Profiles loaded on QSY (all found)'
+    )
+  );
+
+  const tableWrap = document.createElement('div');
+  tableWrap.className = 'table-responsive';
+  tableWrap.appendChild(tableEl);
+  card.appendChild(tableWrap);
+  container.appendChild(card);
+}
+
 /**
  * Renders a Dynamic Grid.
  * 1. Scans all profiles to see which Modes exist globally.
@@ -1523,7 +2127,10 @@ function renderProfiles(profiles) {
                 const originalText = btn.innerText;
                 btn.innerText = '...';
                 btn.disabled = true;
-                ipcRenderer.invoke('load-global-profile', matchingProfile).then(() => {
+                ipcRenderer.invoke('load-global-profile', matchingProfile).then((result) => {
+                    if (result && !result.success) {
+                        showAlert(`Could not load profile: ${result.error}`, 'warning');
+                    }
                     setTimeout(() => {
                         btn.innerText = originalText;
                         btn.disabled = false;
@@ -1631,6 +2238,336 @@ ipcRenderer.on('slice-status-update', (event, slice) => {
   }
 });
 
+ipcRenderer.on('slices-update', (event, slices) => {
+  const tbody = document.getElementById('slicesTableBody');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  if (!slices || slices.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" class="text-muted text-center">No slices</td></tr>';
+    return;
+  }
+
+  slices.forEach((slice) => {
+    const row = document.createElement('tr');
+    if (slice.tx) row.classList.add('table-success');
+
+    const cells = [
+      `${slice.letter || slice.index}${slice.tx ? ' (TX)' : ''}`,
+      `${slice.frequency_mhz.toFixed(6)} MHz`,
+      slice.mode || '-',
+      `${slice.filter_lo} / ${slice.filter_hi} Hz`,
+      slice.rxant || '-',
+      slice.txant || '-',
+      slice.panadapter || '-',
+      slice.station || '-',
+    ];
+    cells.forEach((text, i) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (i === 0) cell.classList.add('fw-bold');
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+});
+
+/**
+ * Fills the Memory Channels table; each row has a QSY button.
+ * @param {Array<object>} memories - From 'get-memories' / 'memories-update'.
+ */
+function renderMemories(memories) {
+  const tbody = document.getElementById('memoriesTableBody');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  if (!memories || memories.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" class="text-muted text-center">No memories</td></tr>';
+    return;
+  }
+
+  memories.forEach((memory) => {
+    const row = document.createElement('tr');
+    const filter =
+      memory.filterLow !== null && memory.filterHigh !== null ? `${memory.filterLow} / ${memory.filterHigh} Hz` : '-';
+    const cells = [
+      memory.group || '-',
+      memory.name || `Memory ${memory.index}`,
+      `${(memory.frequencyHz / 1e6).toFixed(6)} MHz`,
+      memory.mode || '-',
+      filter,
+    ];
+    cells.forEach((text, i) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (i === 1) cell.classList.add('fw-bold');
+      row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    actionCell.className = 'text-end';
+    const qsyButton = document.createElement('button');
+    qsyButton.type = 'button';
+    qsyButton.className = 'btn btn-sm btn-outline-primary py-0';
+    qsyButton.textContent = 'QSY';
+    qsyButton.addEventListener('click', async () => {
+      qsyButton.disabled = true;
+      const result = await ipcRenderer.invoke('memory-qsy', memory.index);
+      qsyButton.disabled = false;
+      if (!result.success) showAlert(`Memory QSY failed: ${result.error}`, 'danger');
+    });
+    actionCell.appendChild(qsyButton);
+    row.appendChild(actionCell);
+
+    tbody.appendChild(row);
+  });
+}
+
+ipcRenderer.on('memories-update', (event, memories) => renderMemories(memories));
+
+document.addEventListener('DOMContentLoaded', () => {
+  ipcRenderer.invoke('get-memories').then(renderMemories);
+
+  const exportMemories = async (format) => {
+    const result = await ipcRenderer.invoke('export-memories', format);
+    if (result.success) {
+      showAlert(`Exported ${result.count} memories.`, 'success');
+    } else if (!result.canceled) {
+      showAlert(`Memory export failed: ${result.error}`, 'danger');
+    }
+  };
+
+  document.getElementById('exportMemoriesCsvBtn')?.addEventListener('click', () => exportMemories('csv'));
+  document.getElementById('exportMemoriesAdifBtn')?.addEventListener('click', () => exportMemories('adif'));
+
+  document.getElementById('importMemoriesBtn')?.addEventListener('click', async () => {
+    const result = await ipcRenderer.invoke('import-memories');
+    if (result.canceled) return;
+
+    const details = [`${result.created || 0} created`];
+    if (result.duplicates) details.push(`${result.duplicates} already in the radio`);
+    if (result.skipped) details.push(`${result.skipped} unreadable`);
+    if (result.success) {
+      showAlert(`Memory import: ${details.join(', ')}.`, 'success');
+    } else {
+      showAlert(`Memory import failed: ${result.error}${result.created ? ` (${details.join(', ')})` : ''}`, 'danger');
+    }
+  });
+});
+
+/**
+ * Fills the Connected Radio card on the About tab and the radio cell of the status bar.
+ * @param {object|null} identity - From 'get-radio-identity' / 'radio-identity'; null when disconnected.
+ */
+function renderRadioIdentity(identity) {
+  const tbody = document.getElementById('radioIdentityTableBody');
+  const warningEl = document.getElementById('radioFirmwareWarning');
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  if (warningEl) {
+    warningEl.textContent = identity && identity.firmwareWarning ? identity.firmwareWarning : '';
+    warningEl.classList.toggle('d-none', !(identity && identity.firmwareWarning));
+  }
+
+  if (!identity) {
+    tbody.innerHTML = '<tr><td class="text-muted">Waiting for FlexRadio connection...</td></tr>';
+    return;
+  }
+
+  const gps = identity.gps || {};
+  let gpsText = 'Not installed';
+  if (gps.installed !== false && gps.status) {
+    gpsText = gps.status;
+    if (gps.grid) gpsText += ` · ${gps.grid}`;
+    if (gps.lat !== null && gps.lon !== null) gpsText += ` (${gps.lat.toFixed(3)}, ${gps.lon.toFixed(3)})`;
+    if (gps.tracked !== null) gpsText += ` · ${gps.tracked}/${gps.visible ?? '-'} satellites`;
+  } else if (gps.installed === null) {
+    gpsText = '-';
+  }
+  const oscillator = identity.oscillator || {};
+  const reference = oscillator.source
+    ? `${oscillator.source.toUpperCase()}${oscillator.locked !== null ? (oscillator.locked ? ' (locked)' : ' (not locked)') : ''}`
+    : '-';
+
+  const rows = [
+    ['Model', identity.model || '-'],
+    ['Nickname', identity.nickname || '-'],
+    ['Callsign', identity.callsign || '-'],
+    ['Serial', identity.serial || '-'],
+    ['Firmware', identity.firmware ? `SmartSDR ${identity.firmware}` : '-'],
+    ['Features', identity.features.length > 0 ? identity.features.join(', ') : '-'],
+    ['Options', identity.options.length > 0 ? identity.options.join(', ') : '-'],
+    ['GPS', gpsText],
+    ['Reference', reference],
+    ['PA Temp', identity.paTempC !== null && identity.paTempC !== undefined ? `${identity.paTempC.toFixed(0)} °C` : '-'],
+  ];
+  rows.forEach(([label, value]) => {
+    const row = document.createElement('tr');
+    const labelCell = document.createElement('td');
+    labelCell.className = 'text-muted';
+    labelCell.style.width = '8rem';
+    labelCell.textContent = label;
+    const valueCell = document.createElement('td');
+    valueCell.textContent = value;
+    if (label === 'PA Temp') valueCell.id = 'radioPaTemp';
+    if (label === 'Firmware' && identity.firmwareWarning) valueCell.classList.add('text-warning');
+    row.appendChild(labelCell);
+    row.appendChild(valueCell);
+    tbody.appendChild(row);
+  });
+
+  // Status bar: model and firmware instead of the host address
+  const versionEl = document.getElementById('sb-radio-ver');
+  if (versionEl && identity.model) {
+    versionEl.textContent = identity.firmware ? `${identity.model} v${identity.firmware}` : identity.model;
+    versionEl.title = [identity.nickname, identity.serial && `Serial ${identity.serial}`, identity.firmwareWarning]
+      .filter(Boolean)
+      .join('\n');
+    versionEl.classList.toggle('text-warning', Boolean(identity.firmwareWarning));
+    versionEl.classList.toggle('text-success', !identity.firmwareWarning);
+  }
+}
+
+ipcRenderer.on('radio-identity', (event, identity) => renderRadioIdentity(identity));
+
+document.addEventListener('DOMContentLoaded', () => {
+  ipcRenderer.invoke('get-radio-identity').then(renderRadioIdentity);
+});
+
+ipcRenderer.on('transmit-update', (event, txState) => {
+  const pttBadge = document.getElementById('sb-radio-ptt');
+  const powerEl = document.getElementById('sb-radio-power');
+  if (!txState || !pttBadge) return;
+
+  if (txState.ptt) {
+    pttBadge.className = 'badge bg-danger ms-1';
+    pttBadge.textContent = 'TX';
+  } else if (txState.reason) {
+    pttBadge.className = 'badge bg-warning text-dark ms-1';
+    pttBadge.textContent = 'INHIBIT';
+  } else {
+    pttBadge.className = 'badge d-none';
+  }
+  pttBadge.title = txState.reason ? `TX inhibited: ${txState.reason}` : `Interlock: ${txState.state}`;
+
+  if (powerEl && txState.rfPower !== null) {
+    powerEl.closest('.sb-cell').title = `Last TX power, SWR and PA temperature. RF power setting: ${txState.rfPower}`;
+  }
+});
+
+ipcRenderer.on('meter-update', (event, meters) => {
+  const powerEl = document.getElementById('sb-radio-power');
+  const swrEl = document.getElementById('sb-radio-swr');
+  if (!meters || !powerEl || !swrEl) return;
+
+  // Show live forward power while transmitting, otherwise the last measured TX power
+  const transmitting = meters.fwdPowerWatts !== null && meters.fwdPowerWatts >= 1;
+  const watts = transmitting ? meters.fwdPowerWatts : meters.txPowerWatts;
+  powerEl.textContent = (watts !== null && watts !== undefined) ? `${Math.round(watts)} W` : '--- W';
+  powerEl.classList.toggle('text-danger', transmitting);
+
+  const parts = [];
+  parts.push(meters.swr !== null ? `SWR ${meters.swr.toFixed(1)}` : 'SWR -');
+  if (meters.alc !== null && transmitting) parts.push(`ALC ${meters.alc.toFixed(0)}`);
+  if (meters.paTempC !== null) parts.push(`${meters.paTempC.toFixed(0)}°C`);
+  swrEl.textContent = parts.join(' · ');
+
+  const paTempEl = document.getElementById('radioPaTemp');
+  if (paTempEl && meters.paTempC !== null) paTempEl.textContent = `${meters.paTempC.toFixed(0)} °C`;
+
+  // Highlight a high SWR while transmitting
+  swrEl.classList.toggle('text-warning', transmitting && meters.swr !== null && meters.swr >= 2.0);
+});
+
+// Depth and latency of the radio command queue
+ipcRenderer.on('command-queue-update', (event, stats) => {
+  const queueEl = document.getElementById('sb-cmd-queue');
+  const latencyEl = document.getElementById('sb-cmd-latency');
+  const cell = document.getElementById('sb-cmd-cell');
+  if (!stats || !queueEl || !latencyEl) return;
+
+  const spots = stats.spotsWaiting + stats.queuedSpotCommands;
+  queueEl.textContent = `Queue: ${stats.queued}${spots > 0 ? ` (${spots} spots)` : ''}`;
+  latencyEl.textContent = stats.replyLatencyMs !== null ? `${stats.queueLatencyMs} + ${stats.replyLatencyMs} ms` : '- ms';
+  latencyEl.classList.toggle('text-warning', stats.maxQueueLatencyMs !== null && stats.maxQueueLatencyMs >= 2000);
+  if (cell) {
+    cell.title =
+      `Radio command queue\n` +
+      `Commands queued: ${stats.queued} (${stats.queuedSpotCommands} for spots)\n` +
+      `Spots waiting: ${stats.spotsWaiting}, held for bands not shown: ${stats.spotsHeld}\n` +
+      `Wait in queue: ${stats.queueLatencyMs ?? '-'} ms (max ${stats.maxQueueLatencyMs ?? '-'} ms)\n` +
+      `Radio reply: ${stats.replyLatencyMs ?? '-'} ms`;
+  }
+});
+
+// Keepalive round-trip times of the radio and cluster links, with the recent history as a sparkline
+ipcRenderer.on('link-health', (event, health) => {
+  if (!health) return;
+  const isRadio = health.source === 'radio';
+  const el = document.getElementById(isRadio ? 'sb-link-radio' : 'sb-link-cluster');
+  if (!el) return;
+
+  const label = isRadio ? 'Radio' : 'Cluster';
+  el.textContent = health.ok === false ? `${label}: no reply` : `${label}: ${health.lastLatencyMs ?? '-'} ms`;
+  el.classList.toggle('text-danger', health.ok === false);
+  el.classList.toggle('text-warning', health.ok === true && health.lastLatencyMs >= 1000);
+
+  const bars = '▁▂▃▄▅▆▇█';
+  const scale = Math.max(health.maxLatencyMs || 0, 1);
+  const sparkline = health.history
+    .map((ms) => (ms === null ? '×' : bars[Math.min(bars.length - 1, Math.floor((ms / scale) * bars.length))]))
+    .join('');
+  el.title =
+    `${label} keepalive ${isRadio ? 'ping' : 'probe (sent after a quiet period)'}\n` +
+    `Last: ${health.lastLatencyMs ?? '-'} ms, average: ${health.averageLatencyMs ?? '-'} ms, max: ${health.maxLatencyMs ?? '-'} ms\n` +
+    `Unanswered since connect: ${health.failures}\n` +
+    sparkline;
+});
+
+// Pending reconnect attempts by source ('radio', 'cluster', 'rotator', 'wavelog'), counted down in the status bar
+const reconnectStates = new Map();
+let reconnectCountdownTimer = null;
+const RECONNECT_LABELS = { radio: 'Radio', cluster: 'Cluster', rotator: 'Rotator', wavelog: 'Wavelog' };
+
+function renderReconnectCountdown() {
+  const cell = document.getElementById('sb-reconnect-cell');
+  const el = document.getElementById('sb-reconnect');
+  const pending = Array.from(reconnectStates.entries()).sort((a, b) => a[1].nextAttemptAt - b[1].nextAttemptAt);
+
+  if (pending.length === 0) {
+    clearInterval(reconnectCountdownTimer);
+    reconnectCountdownTimer = null;
+    if (cell) {
+      cell.classList.add('d-none');
+      cell.classList.remove('d-flex');
+    }
+    return;
+  }
+  if (!cell || !el) return;
+
+  const describe = ([source, state]) =>
+    `${RECONNECT_LABELS[source] || source}: retry in ${Math.max(0, Math.ceil((state.nextAttemptAt - Date.now()) / 1000))} s`;
+  el.textContent = describe(pending[0]) + (pending.length > 1 ? ` (+${pending.length - 1})` : '');
+  cell.title = pending.map((entry) => `${describe(entry)} (attempt ${entry[1].attempt})`).join('\n');
+  cell.classList.remove('d-none');
+  cell.classList.add('d-flex');
+}
+
+ipcRenderer.on('reconnect-state', (event, state) => {
+  if (!state) return;
+  if (state.nextAttemptAt) {
+    reconnectStates.set(state.source, state);
+  } else {
+    reconnectStates.delete(state.source);
+  }
+  if (reconnectStates.size > 0 && !reconnectCountdownTimer) {
+    reconnectCountdownTimer = setInterval(renderReconnectCountdown, 1000);
+  }
+  renderReconnectCountdown();
+});
+
 /**
  * Toggles the visibility of the status bar using Bootstrap classes.
  * @param {boolean} visible - True to show, false to hide.
@@ -1648,6 +2585,332 @@ function toggleStatusBar(visible) {
     }
 }
 
+/**
+ * Fills the license selects with the built-in privilege tables (once).
+ */
+function populateLicenseTables() {
+  const tableSelect = document.getElementById('licenseTable');
+  const copySelect = document.getElementById('licenseCopyFrom');
+  if (!tableSelect || tableSelect.dataset.populated) return;
+  tableSelect.dataset.populated = 'true';
+
+  const customOption = tableSelect.querySelector('option[value="custom"]');
+  Object.entries(LICENSE_TABLES).forEach(([key, table]) => {
+    tableSelect.insertBefore(new Option(table.name, key), customOption);
+    copySelect.add(new Option(table.name, key));
+  });
+
+  tableSelect.addEventListener('change', updateLicenseUI);
+  document.getElementById('licenseAddSegment').addEventListener('click', () => {
+    renderLicenseSegments([...readLicenseSegments(), { startKHz: '', endKHz: '', modes: [...MODE_CATEGORIES] }]);
+  });
+  document.getElementById('licenseCopyTable').addEventListener('click', () => {
+    const table = LICENSE_TABLES[copySelect.value];
+    if (table) renderLicenseSegments(table.segments.map((segment) => ({ ...segment, modes: [...segment.modes] })));
+  });
+}
+
+/**
+ * Shows the custom segment editor only when the custom table is selected.
+ */
+function updateLicenseUI() {
+  const isCustom = document.getElementById('licenseTable').value === 'custom';
+  document.getElementById('licenseCustomContainer').classList.toggle('d-none', !isCustom);
+}
+
+/**
+ * Builds the custom license segment table.
+ * @param {Array<object>} segments - { startKHz, endKHz, modes }.
+ */
+function renderLicenseSegments(segments) {
+  const body = document.getElementById('licenseSegmentsBody');
+  if (!body) return;
+  body.innerHTML = '';
+
+  segments.forEach((segment) => {
+    const row = body.insertRow();
+
+    ['startKHz', 'endKHz'].forEach((field) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = '0.1';
+      input.className = 'form-control form-control-sm';
+      input.dataset.field = field;
+      input.value = segment[field] ?? '';
+      row.insertCell().appendChild(input);
+    });
+
+    MODE_CATEGORIES.forEach((category) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'form-check-input';
+      checkbox.dataset.mode = category;
+      checkbox.checked = (segment.modes || []).includes(category);
+      row.insertCell().appendChild(checkbox);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-sm btn-outline-danger';
+    removeButton.title = 'Remove segment';
+    removeButton.innerHTML = '<i class="bi bi-trash"></i>';
+    removeButton.addEventListener('click', () => row.remove());
+    row.insertCell().appendChild(removeButton);
+  });
+}
+
+/**
+ * Reads the custom license segments back from the table. Rows without a valid range are dropped.
+ * @returns {Array<object>}
+ */
+function readLicenseSegments() {
+  const rows = document.querySelectorAll('#licenseSegmentsBody tr');
+  return Array.from(rows)
+    .map((row) => ({
+      startKHz: parseFloat(row.querySelector('[data-field="startKHz"]').value),
+      endKHz: parseFloat(row.querySelector('[data-field="endKHz"]').value),
+      modes: MODE_CATEGORIES.filter((category) => row.querySelector(`[data-mode="${category}"]`).checked),
+    }))
+    .filter((segment) => !isNaN(segment.startKHz) && !isNaN(segment.endKHz) && segment.endKHz > segment.startKHz);
+}
+
+/**
+ * Builds the CW macro table (flexRadio.cwx.macros).
+ * @param {Array<object>} macros - { label, text }.
+ */
+function renderCwxMacros(macros) {
+  const body = document.getElementById('cwxMacrosBody');
+  if (!body) return;
+  body.innerHTML = '';
+
+  macros.forEach((macro) => {
+    const row = body.insertRow();
+
+    ['label', 'text'].forEach((field) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'form-control form-control-sm';
+      input.dataset.field = field;
+      input.value = macro[field] ?? '';
+      row.insertCell().appendChild(input);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-sm btn-outline-danger';
+    removeButton.title = 'Remove macro';
+    removeButton.innerHTML = '<i class="bi bi-trash"></i>';
+    removeButton.addEventListener('click', () => row.remove());
+    row.insertCell().appendChild(removeButton);
+  });
+}
+
+/**
+ * Reads the CW macros back from the table. Rows without text are dropped.
+ * @returns {Array<object>}
+ */
+function readCwxMacros() {
+  const rows = document.querySelectorAll('#cwxMacrosBody tr');
+  return Array.from(rows)
+    .map((row) => {
+      const text = row.querySelector('[data-field="text"]').value.trim();
+      const label = row.querySelector('[data-field="label"]').value.trim();
+      return { label: label || text.slice(0, 6), text };
+    })
+    .filter((macro) => macro.text);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const addButton = document.getElementById('addCwxMacro');
+  if (!addButton) return;
+
+  addButton.addEventListener('click', () => {
+    // Keep rows that are still being filled in
+    const body = document.getElementById('cwxMacrosBody');
+    const macros = Array.from(body.querySelectorAll('tr')).map((row) => ({
+      label: row.querySelector('[data-field="label"]').value,
+      text: row.querySelector('[data-field="text"]').value,
+    }));
+    renderCwxMacros([...macros, { label: '', text: '' }]);
+  });
+});
+
+/**
+ * Builds the additional radios table (flexRadio.additionalRadios).
+ * @param {Array<object>} entries - { id, enabled, host, port, radioName, pushSpots, antennaManagement }.
+ */
+function renderAdditionalRadios(entries) {
+  const body = document.getElementById('additionalRadiosBody');
+  if (!body) return;
+  body.innerHTML = '';
+
+  entries.forEach((entry) => {
+    const row = body.insertRow();
+    // Keeps settings the table does not show (e.g. the antenna matrix) across a save
+    row.dataset.original = JSON.stringify(entry);
+
+    [['id', 'text', 'shack2'], ['host', 'text', '192.168.1.101'], ['port', 'number', '4992'], ['radioName', 'text', '']]
+      .forEach(([field, type, placeholder]) => {
+        const input = document.createElement('input');
+        input.type = type;
+        input.className = 'form-control form-control-sm';
+        input.dataset.field = field;
+        input.placeholder = field === 'radioName' ? entry.id || '' : placeholder;
+        input.value = entry[field] ?? '';
+        row.insertCell().appendChild(input);
+      });
+
+    const antennaSelect = document.createElement('select');
+    antennaSelect.className = 'form-select form-select-sm';
+    antennaSelect.dataset.field = 'antennaMode';
+    [['inherit', 'Same as main'], ['off', 'Off'], ['profiles', 'Profiles'], ['matrix', 'Matrix']].forEach(([value, text]) => {
+      antennaSelect.add(new Option(text, value));
+    });
+    antennaSelect.value = entry.antennaManagement?.mode || 'inherit';
+    row.insertCell().appendChild(antennaSelect);
+
+    [['pushSpots', entry.pushSpots !== false], ['enabled', entry.enabled !== false]].forEach(([field, checked]) => {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'form-check-input';
+      checkbox.dataset.field = field;
+      checkbox.checked = checked;
+      row.insertCell().appendChild(checkbox);
+    });
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'btn btn-sm btn-outline-danger';
+    removeButton.title = 'Remove radio';
+    removeButton.innerHTML = '<i class="bi bi-trash"></i>';
+    removeButton.addEventListener('click', () => row.remove());
+    row.insertCell().appendChild(removeButton);
+  });
+}
+
+/**
+ * Reads the additional radios back from the table. Rows without an id or host are dropped.
+ * @param {object} [options] - { keepIncomplete: true } keeps every row as typed, e.g. to re-render the table.
+ * @returns {Array<object>}
+ */
+function readAdditionalRadios({ keepIncomplete = false } = {}) {
+  const rows = document.querySelectorAll('#additionalRadiosBody tr');
+  const text = (input) => (keepIncomplete ? input.value : input.value.trim());
+  const entries = Array.from(rows).map((row) => {
+    const original = JSON.parse(row.dataset.original || '{}');
+    const field = (name) => row.querySelector(`[data-field="${name}"]`);
+    const antennaMode = field('antennaMode').value;
+    return {
+      ...original,
+      id: keepIncomplete ? field('id').value : field('id').value.trim().toLowerCase(),
+      enabled: field('enabled').checked,
+      host: text(field('host')),
+      port: keepIncomplete ? field('port').value : parseInt(field('port').value, 10) || 4992,
+      radioName: text(field('radioName')),
+      pushSpots: field('pushSpots').checked,
+      antennaManagement: antennaMode === 'inherit' ? null : { ...original.antennaManagement, mode: antennaMode },
+    };
+  });
+  return keepIncomplete ? entries : entries.filter((entry) => entry.id && entry.host);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const addButton = document.getElementById('addAdditionalRadio');
+  if (!addButton) return;
+
+  addButton.addEventListener('click', () => {
+    // Keep rows that are still being filled in
+    renderAdditionalRadios([
+      ...readAdditionalRadios({ keepIncomplete: true }),
+      { id: '', enabled: true, host: '', port: 4992, radioName: '', pushSpots: true, antennaManagement: null },
+    ]);
+  });
+});
+
+const POWER_PRESET_BANDS = ['160m', '80m', '60m', '40m', '30m', '20m', '17m', '15m', '12m', '10m', '6m'];
+const POWER_PRESET_MODES = ['SSB', 'CW', 'DIGI'];
+
+/**
+ * Builds the per-band power preset table (flexRadio.powerManagement.bands).
+ * @param {object} bands - Presets keyed by band name.
+ */
+function renderPowerPresets(bands) {
+  const body = document.getElementById('powerPresetsBody');
+  if (!body) return;
+  body.innerHTML = '';
+
+  const levelInput = (band, field, value) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.max = 100;
+    input.className = 'form-control form-control-sm';
+    input.dataset.band = band;
+    input.dataset.field = field;
+    input.value = value ?? '';
+    return input;
+  };
+
+  POWER_PRESET_BANDS.forEach((band) => {
+    const preset = bands[band] || {};
+    const row = document.createElement('tr');
+
+    const bandCell = document.createElement('td');
+    bandCell.className = 'fw-bold';
+    bandCell.textContent = band;
+    row.appendChild(bandCell);
+
+    const cells = [levelInput(band, 'rfpower', preset.rfpower), levelInput(band, 'tunepower', preset.tunepower)];
+
+    const atuSelect = document.createElement('select');
+    atuSelect.className = 'form-select form-select-sm';
+    atuSelect.dataset.band = band;
+    atuSelect.dataset.field = 'atu';
+    [['', '-'], ['bypass', 'Bypass'], ['memory', 'Memories']].forEach(([value, text]) => {
+      atuSelect.add(new Option(text, value));
+    });
+    atuSelect.value = preset.atu || '';
+    cells.push(atuSelect);
+
+    POWER_PRESET_MODES.forEach((mode) => {
+      cells.push(levelInput(band, `rfpower${mode}`, preset.rfpowerByMode?.[mode]));
+    });
+
+    cells.forEach((control) => {
+      const cell = document.createElement('td');
+      cell.appendChild(control);
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+}
+
+/**
+ * Reads the power preset table back into the configuration shape.
+ * @returns {object} - Presets keyed by band name.
+ */
+function readPowerPresets() {
+  const level = (band, field) => {
+    const input = document.querySelector(`#powerPresetsBody [data-band="${band}"][data-field="${field}"]`);
+    const value = input ? parseInt(input.value, 10) : NaN;
+    return isNaN(value) ? null : Math.min(100, Math.max(0, value));
+  };
+
+  return POWER_PRESET_BANDS.reduce((acc, band) => {
+    const atuSelect = document.querySelector(`#powerPresetsBody [data-band="${band}"][data-field="atu"]`);
+    acc[band] = {
+      rfpower: level(band, 'rfpower'),
+      tunepower: level(band, 'tunepower'),
+      atu: atuSelect ? atuSelect.value : '',
+      rfpowerByMode: POWER_PRESET_MODES.reduce((modes, mode) => {
+        modes[mode] = level(band, `rfpower${mode}`);
+        return modes;
+      }, {})
+    };
+    return acc;
+  }, {});
+}
+
 /**
  * Toggles the visibility of the Antenna Management Matrix
  * and updates the contextual help text based on the selected mode.
@@ -1655,17 +2918,20 @@ function toggleStatusBar(visible) {
 function updateAntennaMgmtUI() {
     const modeSelect = document.getElementById('antMgmtMode');
     const matrixContainer = document.getElementById('antMgmtMatrixContainer');
+    const profilesContainer = document.getElementById('antMgmtProfilesContainer');
     const helpText = document.getElementById('antMgmtHelpText');
 
     if (!modeSelect || !matrixContainer || !helpText) return;
 
+    if (profilesContainer) profilesContainer.classList.toggle('d-none', modeSelect.value !== 'profiles');
+
     if (modeSelect.value === 'matrix') {
         matrixContainer.classList.remove('d-none');
         helpText.innerHTML = "Wave-Flex Integrator will construct an exact antenna command (e.g. <code>rxant=ANT1 txant=ANT2</code>) and send it to the radio on QSY.";
     } else if (modeSelect.value === 'profiles') {
         matrixContainer.classList.add('d-none');
-        helpText.innerHTML = `Wave-Flex Integrator will command the radio to load a matching Global Profile (e.g. <code>20M CW</code>) before tuning the slice.<br>
-        <i class="bi bi-exclamation-triangle-fill text-warning mt-2"></i> <strong>Important:</strong> Your Global Profiles must use specific naming conventions (Band + Mode).
+        helpText.innerHTML = `Wave-Flex Integrator will command the radio to load a matching Global Profile (e.g. <code>CW - 20m</code>) before tuning the slice.<br>
+        <i class="bi bi-exclamation-triangle-fill text-warning mt-2"></i> <strong>Important:</strong> Your Global Profile names must match one of the templates below (Band + Mode).
         <a href="#" id="profileDocsLink" class="text-decoration-none">Read the documentation here</a>.`;
 
         // Safely attach the event listener to open the link via IPC
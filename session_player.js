@@ -0,0 +1,153 @@
+// session_player.js
+
+'use strict';
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const SessionRecorder = require('./session_recorder');
+
+/**
+ * Replays a session file written by SessionRecorder into the application's own clients:
+ * FlexRadio traffic goes through FlexRadioClient.processData (and so FlexRadioMessageParser),
+ * DX cluster traffic through DXClusterClient._handleData and WSJT-X datagrams through
+ * WSJTClient.handleMessage (WSJTMessage.parse). Only received traffic is replayed.
+ * Emits 'finished' when the last record has been played.
+ */
+class SessionPlayer extends EventEmitter {
+  /**
+   * Creates an instance of SessionPlayer.
+   * @param {string} filePath - Session file to replay.
+   * @param {object} logger - Logger instance.
+   * @param {object} targets - { flexRadioClient, dxClusterClient, wsjtClient }, any of which may be missing.
+   * @param {object} [options] - { speed } playback speed multiplier; 0 plays as fast as possible.
+   */
+  constructor(filePath, logger, targets, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.logger = logger;
+    this.targets = targets;
+    this.speed = options.speed ?? 1;
+    this.records = [];
+    this.position = 0;
+    this.timer = null;
+    this.playing = false;
+  }
+
+  /**
+   * Reads and validates the session file.
+   * @returns {number} - Number of records to replay.
+   * @throws {Error} - If the file cannot be read or is not a session file.
+   */
+  load() {
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter((line) => line.trim().length > 0);
+    if (lines.length === 0) {
+      throw new Error(`Session file ${this.filePath} is empty`);
+    }
+
+    const header = JSON.parse(lines[0]);
+    if (header.type !== 'header' || header.version !== SessionRecorder.SESSION_FORMAT_VERSION) {
+      throw new Error(`${this.filePath} is not a session file this version can replay`);
+    }
+
+    this.records = [];
+    lines.slice(1).forEach((line, index) => {
+      try {
+        const record = JSON.parse(line);
+        if (record.event || record.dir === 'in') this.records.push(record);
+      } catch (error) {
+        // A session cut short by a crash may end in a partial line
+        this.logger.warn(`Skipping unreadable session record on line ${index + 2}`);
+      }
+    });
+
+    this.logger.info(
+      `Loaded session recorded ${header.startedAt}${header.appVersion ? ` by v${header.appVersion}` : ''}: ${this.records.length} records.`
+    );
+    return this.records.length;
+  }
+
+  /**
+   * Starts (or resumes) playback.
+   */
+  start() {
+    if (this.playing) return;
+    this.playing = true;
+    this.logger.info(`Replaying session at ${this.speed === 0 ? 'full speed' : `${this.speed}x speed`}.`);
+    this._scheduleNext(0);
+  }
+
+  /**
+   * Pauses playback; start() resumes from the same record.
+   */
+  stop() {
+    this.playing = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _scheduleNext(previousTime) {
+    if (!this.playing) return;
+
+    if (this.position >= this.records.length) {
+      this.playing = false;
+      this.logger.info('Session replay finished.');
+      this.emit('finished');
+      return;
+    }
+
+    const record = this.records[this.position];
+    const delay = this.speed > 0 ? Math.max(0, (record.t - previousTime) / this.speed) : 0;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.position++;
+      try {
+        this._play(record);
+      } catch (error) {
+        this.logger.error(`Error replaying ${record.src} record at ${record.t} ms: ${error.message}`);
+      }
+      this._scheduleNext(record.t);
+    }, delay);
+  }
+
+  _play(record) {
+    const { flexRadioClient, dxClusterClient, wsjtClient } = this.targets;
+
+    if (record.event) {
+      // The cluster client only looks for the login prompt after its socket has connected
+      if (record.src === 'cluster' && record.event === 'connected' && dxClusterClient) {
+        dxClusterClient.status.connected = true;
+        dxClusterClient.status.awaiting_login = true;
+        dxClusterClient.status.logged_in = false;
+      }
+      return;
+    }
+
+    const data = Buffer.from(record.data, record.enc === 'base64' ? 'base64' : 'utf8');
+
+    switch (record.src) {
+      case 'flex':
+        if (flexRadioClient) flexRadioClient.processData(data);
+        break;
+      case 'cluster':
+        if (dxClusterClient) {
+          // Recording started after the login; treat the session as logged in
+          if (!dxClusterClient.status.connected) {
+            dxClusterClient.status.connected = true;
+            dxClusterClient.status.logged_in = true;
+          }
+          dxClusterClient._handleData(data);
+        }
+        break;
+      case 'wsjt':
+        if (wsjtClient) wsjtClient.handleMessage(data, { address: 'replay', port: 0 });
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+module.exports = SessionPlayer;
@@ -0,0 +1,107 @@
+// session_recorder.js
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Writes raw traffic from the FlexRadio, DX cluster and WSJT-X sockets to a session file
+ * so a user's problem can be replayed locally with SessionPlayer.
+ *
+ * The file is JSON Lines: a header record followed by one record per chunk of traffic,
+ * { t, src, dir, enc, data }, where `t` is milliseconds since recording started,
+ * `src` is 'flex', 'cluster' or 'wsjt', `dir` is 'in' or 'out' and `enc` is 'utf8' or 'base64'.
+ * Connection changes are recorded as { t, src, event }.
+ */
+class SessionRecorder {
+  /**
+   * Creates an instance of SessionRecorder.
+   * @param {string} filePath - Session file to write.
+   * @param {object} logger - Logger instance.
+   */
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.stream = null;
+    this.startedAt = null;
+  }
+
+  /**
+   * Opens the session file and writes the header.
+   * @param {object} [meta] - Extra header fields (e.g. app version).
+   */
+  start(meta = {}) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.stream = fs.createWriteStream(this.filePath, { flags: 'w' });
+    this.stream.on('error', (err) => {
+      this.logger.error(`Session recording failed: ${err.message}`);
+      this.stream = null;
+    });
+    this.startedAt = Date.now();
+    this._write({
+      type: 'header',
+      version: SESSION_FORMAT_VERSION,
+      startedAt: new Date(this.startedAt).toISOString(),
+      ...meta,
+    });
+    this.logger.info(`Recording session traffic to ${this.filePath}`);
+  }
+
+  /**
+   * Records a chunk of socket traffic.
+   * @param {string} src - 'flex', 'cluster' or 'wsjt'.
+   * @param {string} dir - 'in' (received) or 'out' (sent).
+   * @param {Buffer|string} data - The raw data.
+   * @param {boolean} [binary=false] - Store as base64 (for binary protocols such as WSJT-X).
+   */
+  record(src, dir, data, binary = false) {
+    if (!this.stream) return;
+    this._write({
+      t: Date.now() - this.startedAt,
+      src,
+      dir,
+      enc: binary ? 'base64' : 'utf8',
+      data: binary ? Buffer.from(data).toString('base64') : data.toString(),
+    });
+  }
+
+  /**
+   * Records a connection event (e.g. 'connected', 'closed').
+   * @param {string} src - 'flex', 'cluster' or 'wsjt'.
+   * @param {string} event - Event name.
+   */
+  recordEvent(src, event) {
+    if (!this.stream) return;
+    this._write({ t: Date.now() - this.startedAt, src, event });
+  }
+
+  /**
+   * Flushes and closes the session file.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.stream) {
+        resolve();
+        return;
+      }
+      const stream = this.stream;
+      this.stream = null;
+      stream.end(() => {
+        this.logger.info(`Session recording saved to ${this.filePath}`);
+        resolve();
+      });
+    });
+  }
+
+  _write(record) {
+    this.stream.write(JSON.stringify(record) + '\n');
+  }
+}
+
+SessionRecorder.SESSION_FORMAT_VERSION = SESSION_FORMAT_VERSION;
+
+module.exports = SessionRecorder;
@@ -19,12 +19,41 @@ class Slice {
     this.index_letter = '';
     this.xit_on = false;
     this.xit_freq = 0;
+    this.rxant = '';
+    this.txant = '';
+    this.filter_lo = 0; // Filter low edge in Hz, relative to the slice frequency
+    this.filter_hi = 0; // Filter high edge in Hz, relative to the slice frequency
+    this.pan = '';      // Stream ID of the panadapter the slice sits on
+    this.in_use = true;
     this.handle = ''; // GUI Client Handle of the slice
+    this.client_handle = ''; // Owner reported by the radio (client_handle=), preferred over the status handle
     this.stationName = ''; // Station name of the slice
     // Add other properties as needed
   }
 
 
+  /**
+   * Returns a plain summary of the slice for external consumers (status endpoint, WebSocket, UI).
+   * @returns {object}
+   */
+  toSummary() {
+    return {
+      index: this.index,
+      letter: this.index_letter || null,
+      frequency_mhz: this.frequency,
+      frequency_hz: Math.round(this.frequency * 1e6),
+      mode: this.mode,
+      tx: this.tx,
+      active: this.active,
+      rxant: this.rxant || null,
+      txant: this.txant || null,
+      filter_lo: this.filter_lo,
+      filter_hi: this.filter_hi,
+      panadapter: this.pan || null,
+      station: this.stationName || null,
+    };
+  }
+
   /**
    * Updates the station name of the slice based on the provided handleStationMap.
    * @param {Map<string, string>} handleStationMap - A map of GUI Client Handles to station names.
@@ -51,7 +80,6 @@ class Slice {
     if (keyValuePairs[0] === 'slice') {
       startIndex = 2; // Skip 'slice' and the index
     }
-    this.handle = handle; 
     for (let i = startIndex; i < keyValuePairs.length; i++) {
       const pair = keyValuePairs[i];
       const equalIndex = pair.indexOf('=');
@@ -81,6 +109,29 @@ class Slice {
           case 'xit_freq':
             this.xit_freq = parseInt(cleanValue, 10);
             break;
+          case 'rxant':
+            this.rxant = cleanValue;
+            break;
+          // FlexRadio sometimes outputs txant= and sometimes tx_ant= depending on version/context
+          case 'txant':
+          case 'tx_ant':
+            this.txant = cleanValue;
+            break;
+          case 'filter_lo':
+            this.filter_lo = parseInt(cleanValue, 10);
+            break;
+          case 'filter_hi':
+            this.filter_hi = parseInt(cleanValue, 10);
+            break;
+          case 'pan':
+            this.pan = cleanValue;
+            break;
+          case 'in_use':
+            this.in_use = cleanValue === '1';
+            break;
+          case 'client_handle':
+            this.client_handle = normalizeHandle(cleanValue);
+            break;
           // Add other properties as needed
           default:
             // Optionally log unknown properties
@@ -89,7 +140,19 @@ class Slice {
         }
       }
     }
+    this.handle = this.client_handle || normalizeHandle(handle);
   }
 }
 
+/**
+ * Normalizes a GUI client handle to the form used as key in handleStationMap ('0x0A1B2C3D' -> 'A1B2C3D').
+ * @param {string} handle - Handle as written by the radio.
+ * @returns {string}
+ */
+function normalizeHandle(handle) {
+  return String(handle || '').replace(/^0x/i, '').replace(/^0+/, '').toUpperCase();
+}
+
+Slice.normalizeHandle = normalizeHandle;
+
 module.exports = Slice;
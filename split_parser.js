@@ -0,0 +1,63 @@
+// split_parser.js
+
+'use strict';
+
+const utils = require('./utils');
+
+// Largest UP/DOWN offset taken from a comment; bigger numbers are more likely a report or a zone
+const MAX_OFFSET_KHZ = 50;
+
+/**
+ * Works out where to transmit from a DX spot comment such as "UP 2", "5 DN" or "QSX 14.025".
+ * Offsets are in kHz from the RX frequency; a range ("UP 1-3") uses its lower end.
+ * A QSX frequency can be given in MHz (14.025), kHz (14025) or as kHz within the current MHz (QSX 025).
+ * @param {string} comment - The spot comment.
+ * @param {number} rxFrequencyHz - The frequency the DX station transmits on (where we listen).
+ * @returns {{txFrequencyHz: number, text: string}|null} - The TX frequency and the matched text,
+ *   or null when the comment has no usable split instruction.
+ */
+function parseSplit(comment, rxFrequencyHz) {
+  if (!comment || !rxFrequencyHz) return null;
+  const text = comment.toUpperCase();
+  let match;
+  let txFrequencyHz = null;
+
+  // QSX / LSN / LISTENING <frequency>
+  if ((match = text.match(/\b(?:QSX|LSN|LISTENING|LISTEN)\s*:?\s*(\d+(?:\.\d+)?)/))) {
+    txFrequencyHz = qsxToHz(match[1], rxFrequencyHz);
+  } else if (
+    (match = text.match(/\b(UP|DOWN|DN|DWN)\s*(\d+(?:\.\d+)?)(?:\s*-\s*\d+(?:\.\d+)?)?\s*(?:KHZ|K)?\b/)) ||
+    (match = text.match(/\b(\d+(?:\.\d+)?)\s*(?:KHZ|K)?\s*(UP|DOWN|DN|DWN)\b/))
+  ) {
+    const direction = /^\d/.test(match[1]) ? match[2] : match[1];
+    const offsetKhz = parseFloat(/^\d/.test(match[1]) ? match[1] : match[2]);
+    if (offsetKhz > 0 && offsetKhz <= MAX_OFFSET_KHZ) {
+      const sign = direction === 'UP' ? 1 : -1;
+      txFrequencyHz = Math.round(rxFrequencyHz + sign * offsetKhz * 1000);
+    }
+  }
+
+  if (txFrequencyHz === null || txFrequencyHz === Math.round(rxFrequencyHz)) return null;
+
+  // Never move the transmitter out of the band the DX is in
+  const rxBand = utils.freqToBand(rxFrequencyHz);
+  if (!rxBand || utils.freqToBand(txFrequencyHz) !== rxBand) return null;
+
+  return { txFrequencyHz, text: match[0].trim() };
+}
+
+function qsxToHz(value, rxFrequencyHz) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return null;
+
+  if (value.includes('.') && number < 100) return Math.round(number * 1e6); // MHz, e.g. 14.025
+  if (number >= 1000) return Math.round(number * 1000);                    // kHz, e.g. 14025 or 14025.5
+
+  // kHz within the current MHz, e.g. "QSX 025" while listening on 14.020
+  const rxMHz = Math.floor(rxFrequencyHz / 1e6);
+  return Math.round(rxMHz * 1e6 + number * 1000);
+}
+
+module.exports = {
+  parseSplit,
+};
@@ -0,0 +1,229 @@
+// spot_color_rules.js
+
+'use strict';
+
+// Wavelog enrichment flags a rule can test. A condition of true/false must match exactly,
+// 'notTrue'/'notFalse' also match a flag Wavelog did not report (e.g. while Wavelog is down);
+// a flag left out of the rule (or set to null) matches anything.
+const FLAG_FIELDS = [
+  'dxcc_confirmed',
+  'dxcc_confirmed_on_band',
+  'dxcc_confirmed_on_band_mode',
+  'call_worked',
+  'call_worked_band',
+  'call_worked_band_mode',
+  'call_confirmed',
+  'call_confirmed_band',
+  'call_confirmed_band_mode',
+  'lotw_member',
+];
+
+// Conditions that match any value except the named one, including a missing flag
+const NEGATED_CONDITIONS = { notTrue: true, notFalse: false };
+
+// Used for anything no matching rule sets
+const FALLBACK_OPACITY = 80;
+const FALLBACK_PRIORITY = 4;   // SmartSDR spot priority, 1 (highest) to 5
+
+/*
+ * A rule looks like:
+ * {
+ *   name: 'New DXCC on CW',
+ *   enabled: true,
+ *   match: {
+ *     dxcc_confirmed: false,        // Any FLAG_FIELDS entry: true, false, 'notTrue' or 'notFalse'
+ *     myCallsign: false,            // Spotted callsign is the station callsign
+ *     bands: ['20m', '40m'],        // Empty or missing lists match anything
+ *     modes: ['CW'],
+ *     continents: ['AF'],
+ *     cqZones: ['33'],
+ *     spotters: ['SM*'],            // '*' matches any characters
+ *     keywords: ['UP', 'QSX'],      // Case-insensitive, any one found in the spot comment
+ *   },
+ *   set: { textColor: '#FFFFFF', backgroundColor: '#030F6D', opacity: 80, priority: 2, comment: 'New DXCC.' },
+ *   stop: false,                    // Skip the rules below when this one matches
+ * }
+ *
+ * Rules are tried top to bottom. Each color, the opacity and the priority come from the first
+ * matching rule that sets them; the comments of all matching rules are joined in order.
+ */
+
+/**
+ * Builds the rule list equivalent to the classic color settings, used when no rules are configured.
+ * @param {object} colors - flexRadio.spotManagement.colors from the configuration.
+ * @returns {Array<object>}
+ */
+function buildDefaultRules(colors) {
+  const rule = (name, match, set, stop = false) => ({ name, enabled: true, match, set, stop });
+
+  // The call history rules are mutually exclusive so only the most specific one adds its comment.
+  // A less specific rule applies when the more specific flags are not true, so a missing flag counts as no.
+  const callHistory = [
+    ['call_confirmed_band_mode', 'callConfirmedBandMode', 'Call confirmed on band and mode', 'Call confirmed on band and mode.'],
+    ['call_worked_band_mode', 'callWorkedBandMode', 'Worked before on band and mode', 'Worked before on band and mode.'],
+    ['call_confirmed_band', 'callConfirmedBand', 'Call confirmed on band', 'Call confirmed on band.'],
+    ['call_worked_band', 'callWorkedBand', 'Worked before on band', 'Worked before on band.'],
+    ['call_confirmed', 'callConfirmed', 'Call confirmed', 'Call confirmed.'],
+    ['call_worked', 'callWorked', 'Worked before', 'Worked before'],
+  ];
+  const notYet = {};
+  const callHistoryRules = callHistory.map(([flag, colorKey, name, comment]) => {
+    const match = { ...notYet, [flag]: true };
+    notYet[flag] = 'notTrue';
+    return rule(name, match, { opacity: colors[colorKey].opacity, comment });
+  });
+
+  return [
+    rule(
+      'My callsign',
+      { myCallsign: true },
+      {
+        textColor: colors.myCallsign.textColor,
+        backgroundColor: colors.myCallsign.backgroundColor,
+        opacity: FALLBACK_OPACITY,
+        comment: 'You.',
+      },
+      true
+    ),
+    // The LoTW text color wins over the DXCC one, but its comment follows the DXCC comment
+    rule('LoTW inactive (text color)', { lotw_member: false }, { textColor: colors.notLotw.textColor }),
+    rule(
+      'New DXCC',
+      { dxcc_confirmed: false },
+      { textColor: colors.dxccNeeded.textColor, backgroundColor: colors.dxccNeeded.backgroundColor, comment: 'New DXCC.' }
+    ),
+    rule(
+      'DXCC needed on band',
+      { dxcc_confirmed: 'notFalse', dxcc_confirmed_on_band: false },
+      { textColor: colors.dxccNeededBand.textColor, backgroundColor: colors.dxccNeededBand.backgroundColor, comment: 'DXCC needed for band.' }
+    ),
+    rule(
+      'DXCC needed on band and mode',
+      { dxcc_confirmed: 'notFalse', dxcc_confirmed_on_band: 'notFalse', dxcc_confirmed_on_band_mode: false },
+      {
+        textColor: colors.dxccNeededBandMode.textColor,
+        backgroundColor: colors.dxccNeededBandMode.backgroundColor,
+        comment: 'DXCC needed for band and mode.',
+      }
+    ),
+    rule('LoTW inactive', { lotw_member: false }, { comment: 'LoTW inactive.' }),
+    ...callHistoryRules,
+    rule('New callsign', { ...notYet }, { opacity: FALLBACK_OPACITY, comment: 'New callsign.' }),
+  ];
+}
+
+/**
+ * Checks whether a rule's conditions hold for a spot.
+ * @param {object} rule - The rule.
+ * @param {object} spot - The processed spot (spotted, spotter, band, mode, message, wavelog_augmented_data).
+ * @param {object} [context] - { stationCallsign }.
+ * @returns {boolean}
+ */
+function ruleMatches(rule, spot, context = {}) {
+  const match = rule.match || {};
+  const augmentedData = spot.wavelog_augmented_data || {};
+
+  for (const flag of FLAG_FIELDS) {
+    if (typeof match[flag] === 'boolean' && augmentedData[flag] !== match[flag]) return false;
+    if (Object.hasOwn(NEGATED_CONDITIONS, match[flag]) && augmentedData[flag] === NEGATED_CONDITIONS[match[flag]]) return false;
+  }
+
+  if (typeof match.myCallsign === 'boolean') {
+    const isMine =
+      !!context.stationCallsign && (spot.spotted || '').toUpperCase() === context.stationCallsign.toUpperCase();
+    if (isMine !== match.myCallsign) return false;
+  }
+
+  if (!inList(match.bands, spot.band)) return false;
+  if (!inList(match.modes, spot.mode)) return false;
+  if (!inList(match.continents, augmentedData.cont)) return false;
+  if (!inList(match.cqZones, augmentedData.dxcc_cqz)) return false;
+
+  if (hasEntries(match.spotters)) {
+    const spotter = (spot.spotter || '').toUpperCase();
+    if (!match.spotters.some((pattern) => wildcardToRegExp(pattern).test(spotter))) return false;
+  }
+
+  if (hasEntries(match.keywords)) {
+    const message = (spot.message || '').toUpperCase();
+    if (!match.keywords.some((keyword) => message.includes(String(keyword).trim().toUpperCase()))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Runs the rules against a spot and works out how it should look on the panadapter.
+ * @param {Array<object>} rules - Ordered rule list.
+ * @param {object} spot - The processed spot.
+ * @param {object} [context] - { stationCallsign, defaultTextColor, defaultBackgroundColor }.
+ * @returns {{textColor: string, backgroundColor: string, opacity: number, priority: number, comment: string, matched: string[]}}
+ */
+function evaluateSpotRules(rules, spot, context = {}) {
+  const result = {
+    textColor: null,
+    backgroundColor: null,
+    opacity: null,
+    priority: null,
+    comment: '',
+    matched: [],
+  };
+  const commentParts = [];
+
+  for (const rule of rules || []) {
+    if (!rule || rule.enabled === false) continue;
+    if (!ruleMatches(rule, spot, context)) continue;
+
+    const set = rule.set || {};
+    result.matched.push(rule.name || '(unnamed rule)');
+
+    if (result.textColor === null && isColor(set.textColor)) result.textColor = set.textColor;
+    if (result.backgroundColor === null && isColor(set.backgroundColor)) result.backgroundColor = set.backgroundColor;
+    if (result.opacity === null && Number.isFinite(set.opacity)) result.opacity = clamp(set.opacity, 0, 100);
+    if (result.priority === null && Number.isFinite(set.priority)) result.priority = clamp(set.priority, 1, 5);
+    if (set.comment) commentParts.push(set.comment);
+
+    if (rule.stop) break;
+  }
+
+  result.textColor = result.textColor || context.defaultTextColor;
+  result.backgroundColor = result.backgroundColor || context.defaultBackgroundColor;
+  result.opacity = result.opacity ?? FALLBACK_OPACITY;
+  result.priority = result.priority ?? FALLBACK_PRIORITY;
+  result.comment = commentParts.join(' ');
+  return result;
+}
+
+function hasEntries(list) {
+  return Array.isArray(list) && list.length > 0;
+}
+
+function inList(list, value) {
+  if (!hasEntries(list)) return true;
+  const wanted = String(value ?? '').toUpperCase();
+  return list.some((entry) => String(entry).trim().toUpperCase() === wanted);
+}
+
+function wildcardToRegExp(pattern) {
+  const escaped = String(pattern)
+    .trim()
+    .toUpperCase()
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function isColor(value) {
+  return typeof value === 'string' && /^#[0-9A-Fa-f]{6}$/.test(value);
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, Math.round(value)));
+}
+
+module.exports = {
+  FLAG_FIELDS,
+  buildDefaultRules,
+  ruleMatches,
+  evaluateSpotRules,
+};
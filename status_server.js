@@ -24,6 +24,26 @@ class StatusServer extends EventEmitter {
       slice_index: null,
       slice_letter: null,
     };
+
+    // Every slice on the radio (listening slices included), see Slice.toSummary()
+    this.lastKnownSlices = [];
+
+    // Transmitter state (PTT, interlock and RF power setting)
+    this.lastKnownTransmit = {
+      ptt: false,
+      interlock_state: null,
+      tx_inhibit_reason: null,
+      rf_power_setting: null,
+    };
+
+    // Meter readings are tracked separately; they arrive at a different rate than slice updates.
+    this.lastKnownMeters = {
+      tx_power_w: null,
+      fwd_power_w: null,
+      swr: null,
+      alc: null,
+      pa_temp_c: null,
+    };
   }
 
   /**
@@ -54,6 +74,42 @@ class StatusServer extends EventEmitter {
     };
   }
 
+  /**
+   * Updates the cached list of all slices.
+   * @param {object[]|null} slices
+   */
+  updateSlices(slices) {
+    this.lastKnownSlices = slices || [];
+  }
+
+  /**
+   * Updates the cached transmitter state from FlexRadioClient.getTransmitState().
+   * @param {object|null} txState
+   */
+  updateTransmit(txState) {
+    this.lastKnownTransmit = {
+      ptt: txState ? txState.ptt : false,
+      interlock_state: txState ? txState.state : null,
+      tx_inhibit_reason: txState && txState.reason ? txState.reason : null,
+      rf_power_setting: txState ? txState.rfPower : null,
+    };
+  }
+
+  /**
+   * Updates the cached meter readings from FlexRadioClient.getMeterReadings().
+   * Pass null to clear them.
+   * @param {object|null} meters
+   */
+  updateMeters(meters) {
+    this.lastKnownMeters = {
+      tx_power_w: meters ? meters.txPowerWatts : null,
+      fwd_power_w: meters ? meters.fwdPowerWatts : null,
+      swr: meters ? meters.swr : null,
+      alc: meters ? meters.alc : null,
+      pa_temp_c: meters ? meters.paTempC : null,
+    };
+  }
+
   /**
    * Starts the HTTP server. Binds to 127.0.0.1 only; never 0.0.0.0.
    */
@@ -93,6 +149,9 @@ class StatusServer extends EventEmitter {
 
       const body = JSON.stringify({
         ...this.lastKnownState,
+        ...this.lastKnownMeters,
+        ...this.lastKnownTransmit,
+        slices: this.lastKnownSlices,
         timestamp: Date.now(),
       });
 
@@ -0,0 +1,104 @@
+// transmit_state.js
+
+'use strict';
+
+// Interlock states in which the radio is keyed or about to be keyed
+const KEYED_STATES = ['PTT_REQUESTED', 'TRANSMITTING', 'UNKEY_REQUESTED'];
+
+/**
+ * Class representing the transmitter state of a FlexRadio,
+ * built from the 'interlock' and 'transmit' status messages.
+ */
+class TransmitState {
+  constructor() {
+    this.state = 'RECEIVE';   // Interlock state (RECEIVE, READY, NOT_READY, PTT_REQUESTED, TRANSMITTING, TX_FAULT, TIMEOUT, STUCK_INPUT, UNKEY_REQUESTED)
+    this.reason = '';         // Why TX is inhibited (e.g. OUT_OF_BAND), empty if not inhibited
+    this.source = '';         // PTT source (e.g. SW, MIC, ACC, TUNE)
+    this.txAllowed = true;
+    this.txClientHandle = '';
+    this.rfPower = null;      // RF power setting (0-100)
+    this.tunePower = null;    // Tune power setting (0-100)
+    this.mox = false;
+    this.tune = false;
+  }
+
+  /**
+   * Updates the state from an interlock status message.
+   * @param {string} statusMessage - e.g. "state=TRANSMITTING reason= source=SW tx_allowed=1"
+   */
+  interlockUpdate(statusMessage) {
+    this._parsePairs(statusMessage, (key, value) => {
+      switch (key) {
+        case 'state':
+          this.state = value;
+          break;
+        case 'reason':
+          this.reason = value;
+          break;
+        case 'source':
+          this.source = value;
+          break;
+        case 'tx_allowed':
+          this.txAllowed = value === '1';
+          break;
+        case 'tx_client_handle':
+          this.txClientHandle = value;
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * Updates the state from a transmit status message.
+   * @param {string} statusMessage - e.g. "rfpower=100 tunepower=10 mox=0 tune=0"
+   */
+  transmitUpdate(statusMessage) {
+    this._parsePairs(statusMessage, (key, value) => {
+      switch (key) {
+        case 'rfpower':
+          this.rfPower = parseInt(value, 10);
+          break;
+        case 'tunepower':
+          this.tunePower = parseInt(value, 10);
+          break;
+        case 'mox':
+          this.mox = value === '1';
+          break;
+        case 'tune':
+          this.tune = value === '1';
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  /**
+   * True while the radio is keyed, being keyed or being unkeyed.
+   * @returns {boolean}
+   */
+  isTransmitting() {
+    return KEYED_STATES.includes(this.state) || this.mox || this.tune;
+  }
+
+  /**
+   * True only when RF is actually on the air.
+   * @returns {boolean}
+   */
+  isPttOn() {
+    return this.state === 'TRANSMITTING';
+  }
+
+  _parsePairs(statusMessage, handler) {
+    const keyValuePairs = statusMessage.match(/(\w+)=("[^"]*"|\S*)/g);
+    if (!keyValuePairs) return;
+    keyValuePairs.forEach((pair) => {
+      const equalIndex = pair.indexOf('=');
+      handler(pair.substring(0, equalIndex), pair.substring(equalIndex + 1).replace(/"/g, ''));
+    });
+  }
+}
+
+module.exports = TransmitState;
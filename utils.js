@@ -10,6 +10,21 @@ function setUtilLogger(customLogger) {
   logger = customLogger;
 }
 
+// Band edges in MHz
+const BAND_RANGES = [
+  { band: '160m', low: 1.8, high: 2.0 },
+  { band: '80m', low: 3.5, high: 4.0 },
+  { band: '60m', low: 5.33, high: 5.41 },
+  { band: '40m', low: 7.0, high: 7.3 },
+  { band: '30m', low: 10.1, high: 10.15 },
+  { band: '20m', low: 14.0, high: 14.35 },
+  { band: '17m', low: 18.068, high: 18.168 },
+  { band: '15m', low: 21.0, high: 21.45 },
+  { band: '12m', low: 24.89, high: 24.99 },
+  { band: '10m', low: 28.0, high: 29.7 },
+  { band: '6m', low: 50.0, high: 54.0 },
+];
+
 /**
  * Converts frequency in Hz to the standard amateur radio band string.
  * @param {number} freqHz - Frequency in Hertz.
@@ -17,18 +32,20 @@ function setUtilLogger(customLogger) {
  */
 function freqToBand(freqHz) {
   const mhz = freqHz / 1e6;
-  if (mhz >= 1.8 && mhz <= 2.0) return '160m';
-  if (mhz >= 3.5 && mhz <= 4.0) return '80m';
-  if (mhz >= 5.33 && mhz <= 5.41) return '60m';
-  if (mhz >= 7.0 && mhz <= 7.3) return '40m';
-  if (mhz >= 10.1 && mhz <= 10.15) return '30m';
-  if (mhz >= 14.0 && mhz <= 14.35) return '20m';
-  if (mhz >= 18.068 && mhz <= 18.168) return '17m';
-  if (mhz >= 21.0 && mhz <= 21.45) return '15m';
-  if (mhz >= 24.89 && mhz <= 24.99) return '12m';
-  if (mhz >= 28.0 && mhz <= 29.7) return '10m';
-  if (mhz >= 50.0 && mhz <= 54.0) return '6m';
-  return null;
+  const range = BAND_RANGES.find((entry) => mhz >= entry.low && mhz <= entry.high);
+  return range ? range.band : null;
+}
+
+/**
+ * Lists the bands that overlap a frequency range, e.g. what a panadapter shows.
+ * @param {number} lowHz - Lower edge in Hertz.
+ * @param {number} highHz - Upper edge in Hertz.
+ * @returns {string[]} - Band strings, lowest band first.
+ */
+function bandsInRange(lowHz, highHz) {
+  const lowMHz = lowHz / 1e6;
+  const highMHz = highHz / 1e6;
+  return BAND_RANGES.filter((entry) => entry.low <= highMHz && entry.high >= lowMHz).map((entry) => entry.band);
 }
 
 /**
@@ -73,6 +90,7 @@ function openLogQSO(callsign, config) {
 module.exports = {
   setUtilLogger,
   freqToBand,
+  bandsInRange,
   cleanCallsign,
   openLogQSO
 };
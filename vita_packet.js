@@ -0,0 +1,49 @@
+// vita_packet.js
+
+'use strict';
+
+// Packet class codes used by FlexRadio in the VITA-49 class identifier
+const PACKET_CLASS = {
+  METER: 0x8002,
+  DISCOVERY: 0xffff,
+};
+
+/**
+ * Parses the header of a FlexRadio VITA-49 packet and locates its payload.
+ * @param {Buffer} buffer - Raw UDP datagram.
+ * @returns {{packetClass: number, streamId: number|null, payload: Buffer}|null} - Null if the packet has no class identifier or is truncated.
+ */
+function parseVitaPacket(buffer) {
+  if (buffer.length < 28) return null;
+
+  const header = buffer.readUInt32BE(0);
+  const packetType = header >>> 28;
+  const hasClassId = (header >>> 27) & 0x1;
+  const hasTrailer = (header >>> 26) & 0x1;
+  const tsi = (header >>> 22) & 0x3;
+  const tsf = (header >>> 20) & 0x3;
+  const packetSizeBytes = (header & 0xffff) * 4;
+
+  let offset = 4;
+  let streamId = null;
+
+  // Packet types 1 and 3 carry a stream identifier
+  if (packetType === 1 || packetType === 3) {
+    streamId = buffer.readUInt32BE(offset);
+    offset += 4;
+  }
+
+  if (!hasClassId) return null;
+  const packetClass = buffer.readUInt32BE(offset + 4) & 0xffff;
+  offset += 8;
+
+  if (tsi !== 0) offset += 4;
+  if (tsf !== 0) offset += 8;
+
+  const end = Math.min(buffer.length, packetSizeBytes) - (hasTrailer ? 4 : 0);
+  if (end < offset) return null;
+
+  return { packetClass, streamId, payload: buffer.subarray(offset, end) };
+}
+
+module.exports = { PACKET_CLASS, parseVitaPacket };
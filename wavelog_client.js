@@ -1,6 +1,7 @@
 'use strict';
 const { EventEmitter } = require('events');
 const fetch = require('node-fetch');
+const ReconnectPolicy = require('./reconnect_policy');
 
 const WAVELOG_TIMEOUT_MS = 8000;
 const BREAKER_FAILURE_THRESHOLD = 3;
@@ -24,8 +25,13 @@ class WavelogClient extends EventEmitter {
     this.fetchPromise = null; // Promise for ongoing fetch
     this._breakerState = 'CLOSED';
     this._failureCount = 0;
-    this._probeDelay = PROBE_INITIAL_DELAY_MS;
-    this._probeTimerId = null;
+    // Backoff between the probes that check whether Wavelog is back while the breaker is open
+    this._probePolicy = new ReconnectPolicy({
+      initialDelay: PROBE_INITIAL_DELAY_MS,
+      maxDelay: PROBE_BACKOFF_CAP_MS,
+      backoffFactor: PROBE_BACKOFF_FACTOR,
+    });
+    this._probePolicy.on('change', (state) => this.emit('reconnectState', state));
   }
 
   /**
@@ -69,13 +75,13 @@ class WavelogClient extends EventEmitter {
   }
 
   _scheduleProbe() {
-    if (this._probeTimerId !== null) return;
-    this._probeTimerId = setTimeout(() => this._runProbe(), this._probeDelay);
+    if (this._probePolicy.isScheduled()) return;
+    const delay = this._probePolicy.schedule(() => this._runProbe());
+    this.logger.info(`Checking whether Wavelog is back in ${Math.round(delay / 1000)} seconds...`);
   }
 
   async _runProbe() {
     this._breakerState = 'HALF_OPEN'; // synchronous, before any await
-    this._probeTimerId = null;
     // Clear cache so the probe forces a real network call, not a cache hit.
     // Fields cleared: activeStationData (cache), fetchPromise (in-flight dedup), fetchFailed (stale flag).
     this.activeStationData = null;
@@ -85,11 +91,10 @@ class WavelogClient extends EventEmitter {
       await this.getActiveStation(false, true);
       this._breakerState = 'CLOSED';
       this._failureCount = 0;
-      this._probeDelay = PROBE_INITIAL_DELAY_MS;
+      this._probePolicy.connected();
       this.emit('breakerClosed');
     } catch (err) {
       this._breakerState = 'OPEN';
-      this._probeDelay = Math.min(this._probeDelay * PROBE_BACKOFF_FACTOR, PROBE_BACKOFF_CAP_MS);
       this._scheduleProbe();
     }
   }
@@ -116,6 +121,17 @@ class WavelogClient extends EventEmitter {
         mode: activeTXSlice.mode,
       };
 
+      // Working split: the TX slice carries the frequency we listen on
+      if (typeof activeTXSlice.rxFrequency === 'number') {
+        payload.frequency_rx = Math.round(activeTXSlice.rxFrequency * 1e6);
+        payload.mode_rx = activeTXSlice.rxMode || activeTXSlice.mode;
+      }
+
+      // Measured output power (Watts) from the radio's meters, when known
+      if (typeof activeTXSlice.power === 'number') {
+        payload.power = activeTXSlice.power;
+      }
+
       const baseURL = this.config.wavelogAPI.URL.replace(/\/$/, '');
       const fullURL = `${baseURL}/api/radio`;
 
@@ -144,7 +160,8 @@ class WavelogClient extends EventEmitter {
         throw new Error(`Failed to send active TX slice to Wavelog: HTTP ${response.status}`);
       }
       this.logger.info(
-        `Successfully sent active TX slice to Wavelog: Frequency ${adjustedFrequencyHz} Hz, Mode ${activeTXSlice.mode}`
+        `Successfully sent active TX slice to Wavelog: Frequency ${adjustedFrequencyHz} Hz, Mode ${activeTXSlice.mode}` +
+          (payload.frequency_rx ? `, RX ${payload.frequency_rx} Hz` : '')
       );
       this._recordSuccess();
     } catch (error) {
@@ -3,10 +3,13 @@
 const { WebSocketServer } = require('ws');
 const https = require('https');
 const EventEmitter = require('events');
+const { PRIMARY_RADIO_ID, normalizeRadioId } = require('./flexradio_radios');
 
 /**
  * WebSocket Server that facilitates real-time communication with the Wavelog browser client.
  * Supports both standard WS (54322) and secure WSS (54323) for HTTPS compatibility.
+ * A client selects one radio of a multi-radio station with ?radio=<id> in the URL and only
+ * receives (and tunes) that radio; without it, it gets the main radio.
  */
 class WavelogWsServer extends EventEmitter {
   constructor(config, logger) {
@@ -93,9 +96,11 @@ class WavelogWsServer extends EventEmitter {
    * Internal helper to attach event listeners to a WebSocket server instance.
    */
   _setupServerLogic(serverInstance, label) {
-    serverInstance.on('connection', (ws) => {
+    serverInstance.on('connection', (ws, req) => {
       // Assign a unique ID for debugging purposes
       ws.id = this.nextClientId++;
+      const query = (req && req.url ? req.url : '').split('?')[1] || '';
+      ws.radioId = normalizeRadioId(new URLSearchParams(query).get('radio')) || PRIMARY_RADIO_ID;
 
       // CLEAR TIMER: If we get a connection, we are LIVE. Cancel any pending disconnect.
       if (this.disconnectTimer) {
@@ -110,7 +115,9 @@ class WavelogWsServer extends EventEmitter {
 
       this.clients.add(ws);
       ws.isAlive = true; // Mark as alive initially
-      this.logger.info(`Wavelog client [ID #${ws.id}] connected via ${label}. Total clients: ${this.clients.size}`);
+      this.logger.info(
+        `Wavelog client [ID #${ws.id}] connected via ${label} for radio "${ws.radioId}". Total clients: ${this.clients.size}`
+      );
 
       // Trigger status refresh so the UI turns green immediately
       this.emit('client-connected');
@@ -130,6 +137,8 @@ class WavelogWsServer extends EventEmitter {
           if (message.type === 'lookup_result') {
             this.logger.debug(`Received callsign lookup from Wavelog [Client #${ws.id}]: ${message.payload.callsign}`);
             this.emit('lookup', message.payload);
+          } else if (message.type === 'qsy') {
+            this._handleQsyMessage(ws, message);
           }
         } catch (e) {
           // Silently ignore non-JSON messages
@@ -158,6 +167,75 @@ class WavelogWsServer extends EventEmitter {
     });
   }
 
+  /**
+   * Handles a QSY request: { type: 'qsy', frequency, mode, frequency_tx } with frequencies in Hz.
+   * Emits 'qsy' with the request and a reply function; the outcome goes back to the requesting client
+   * as { type: 'qsy_result', radio, success, error }.
+   */
+  _handleQsyMessage(ws, message) {
+    const frequencyHz = parseInt(message.frequency, 10);
+    const txFrequencyHz = message.frequency_tx ? parseInt(message.frequency_tx, 10) : null;
+
+    const reply = (result) => {
+      if (ws.readyState !== 1) return; // 1 = OPEN
+      ws.send(JSON.stringify({
+        type: 'qsy_result',
+        radio: ws.radioId,
+        success: !!(result && result.success),
+        error: result ? result.error || null : 'Unknown error',
+        timestamp: Date.now()
+      }));
+    };
+
+    if (isNaN(frequencyHz) || (txFrequencyHz !== null && isNaN(txFrequencyHz))) {
+      reply({ success: false, error: 'Invalid Frequency' });
+      return;
+    }
+
+    this.logger.info(`[Client #${ws.id}] QSY request for radio "${ws.radioId}": ${frequencyHz} Hz ${message.mode || ''}`);
+    this.emit('qsy', {
+      frequencyHz,
+      mode: message.mode ? String(message.mode).toUpperCase() : null,
+      txFrequencyHz,
+      radioId: ws.radioId,
+    }, reply);
+  }
+
+  /**
+   * Sends a message to the clients that selected a radio.
+   * @param {string} radioId - Radio id.
+   * @param {string} message - Serialized message.
+   * @returns {number} - Number of clients the message was sent to.
+   */
+  _sendToRadioClients(radioId, message) {
+    let sent = 0;
+    this.clients.forEach(client => {
+      if (client.radioId !== radioId) return;
+      if (client.readyState === 1) { // 1 = OPEN
+        client.send(message);
+        sent++;
+      } else {
+        // Clean up dead connections lazily
+        this.clients.delete(client);
+        // If cleanup made it empty, schedule disconnect
+        if (this.clients.size === 0) {
+            this._scheduleDisconnectEvent();
+        }
+      }
+    });
+    return sent;
+  }
+
+  /**
+   * Returns the radio a broadcast is for: the one given, else the main radio.
+   * @param {object|null} radio - { id, radioName } from buildRadioConfigs().
+   * @returns {{id: string, radioName: string}}
+   */
+  _resolveRadio(radio) {
+    if (radio) return radio;
+    return { id: PRIMARY_RADIO_ID, radioName: this.config.wavelogAPI?.radioName || 'wave-flex-integrator' };
+  }
+
   /**
    * Schedules the disconnect event with a 2-second delay (Debounce).
    * Prevents UI flickering if Wavelog reconnects immediately.
@@ -174,44 +252,75 @@ class WavelogWsServer extends EventEmitter {
   }
 
   /**
-   * Broadcasts radio status (Frequency/Mode) to all connected clients (WS and WSS).
-   * @param {object} radioData - { frequency, mode, radio, power }
+   * Broadcasts radio status (Frequency/Mode) to the connected clients (WS and WSS) of a radio.
+   * @param {object} radioData - { frequency, mode, power, rxFrequency, rxMode } (rx* only while split)
+   * @param {object} [radio] - { id, radioName } of the radio; the main radio when left out.
    */
-  broadcastStatus(radioData) {
+  broadcastStatus(radioData, radio = null) {
     if (this.clients.size === 0) return;
 
-    // Get the name carefully
-    let configuredRadioName = 'wave-flex-integrator'; // Default
-    
-    if (this.config.wavelogAPI && this.config.wavelogAPI.radioName) {
-        configuredRadioName = this.config.wavelogAPI.radioName;
-    } 
-  
+    const { id: radioId, radioName: configuredRadioName } = this._resolveRadio(radio);
+
     // Ensure safe default for frequency
     const freqHz = radioData.frequency ? Math.round(radioData.frequency * 1000000) : 0;
     
     // Construct the message expected by Wavelog
-    const message = JSON.stringify({
+    const status = {
       type: 'radio_status',
       radio: configuredRadioName, 
       frequency: freqHz,          // Wavelog expects Hz (integer)
       mode: radioData.mode || 'N/A',
       power: radioData.power || null, 
       timestamp: Date.now()
+    };
+
+    // Working split: frequency is where we transmit, frequency_rx where we listen
+    if (typeof radioData.rxFrequency === 'number') {
+      status.frequency_rx = Math.round(radioData.rxFrequency * 1000000);
+      status.mode_rx = radioData.rxMode || status.mode;
+    }
+
+    this._sendToRadioClients(radioId, JSON.stringify(status));
+  }
+
+  /**
+   * Broadcasts every slice on the radio (not only the TX slice) to the connected clients of the radio.
+   * Lets a second screen or SO2R operator follow the listening slices as well.
+   * @param {object[]} slices - Slice summaries from FlexRadioClient.getSlices()
+   * @param {object} [radio] - { id, radioName } of the radio; the main radio when left out.
+   */
+  broadcastSlices(slices, radio = null) {
+    if (this.clients.size === 0) return;
+
+    const { id: radioId, radioName } = this._resolveRadio(radio);
+    const message = JSON.stringify({
+      type: 'slices_status',
+      radio: radioName,
+      slices: slices,
+      timestamp: Date.now()
     });
 
-    this.clients.forEach(client => {
-      if (client.readyState === 1) { // 1 = OPEN
-        client.send(message);
-      } else {
-        // Clean up dead connections lazily
-        this.clients.delete(client);
-        // If cleanup made it empty, schedule disconnect
-        if (this.clients.size === 0) {
-            this._scheduleDisconnectEvent();
-        }
-      }
+    this._sendToRadioClients(radioId, message);
+  }
+
+  /**
+   * Pushes a callsign clicked on the panadapter to Wavelog's live logging form.
+   * @param {object} spot - { callsign, frequency (MHz), mode }
+   * @param {object} [radio] - { id, radioName } of the radio it was clicked on; the main radio when left out.
+   * @returns {number} - Number of clients the message was sent to.
+   */
+  broadcastSpotClicked(spot, radio = null) {
+    const { id: radioId, radioName } = this._resolveRadio(radio);
+    const message = JSON.stringify({
+      type: 'spot_clicked',
+      radio: radioName,
+      callsign: spot.callsign,
+      frequency: spot.frequency ? Math.round(spot.frequency * 1000000) : 0, // Hz, like radio_status
+      mode: spot.mode || '',
+      timestamp: Date.now()
     });
+
+    return this._sendToRadioClients(radioId, message);
   }
 
   /**
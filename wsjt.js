@@ -12,6 +12,9 @@ const dgram = require('dgram');
 const EventEmitter = require('events');
 const { WSJTMessage } = require('./wsjt_message_parser');
 
+// How long a decoded CQ can still be answered from a spot click
+const CQ_MEMORY_MS = 5 * 60 * 1000;
+
 class WSJTClient extends EventEmitter {
     /**
      * Creates an instance of WSJTClient.
@@ -25,6 +28,9 @@ class WSJTClient extends EventEmitter {
         this.address = config.wsjt && config.wsjt.address ? config.wsjt.address : '0.0.0.0';
         this.logger = logger;
         this.socket = null;
+        this.recorder = null; // SessionRecorder capturing raw traffic, if recording
+        this.recentCQs = new Map(); // Callsign -> { decode, rinfo, receivedAt } for CQ/QRZ decodes
+        this.instances = new Map(); // WSJT-X instance id -> rinfo of its latest status message
     }
 
     /**
@@ -43,50 +49,8 @@ class WSJTClient extends EventEmitter {
         });
 
         this.socket.on('message', (msg, rinfo) => {
-            try {
-                const message = WSJTMessage.parse(msg);
-                if (this.logger) {
-                    this.logger.debug(`Received WSJT-X message from ${rinfo.address}:${rinfo.port}`);
-                    this.logger.debug(`Message Type: ${message.type}, ID: ${message.id}`);
-                }
-
-                // Emit an event based on message type
-                switch (message.type) {
-                    case WSJTMessage.MESSAGE_TYPES.HEARTBEAT:
-                        this.emit('heartbeat', message);
-                        break;
-                    case WSJTMessage.MESSAGE_TYPES.STATUS:
-                        this.emit('status', message);
-                        break;
-                    case WSJTMessage.MESSAGE_TYPES.DECODE:
-                        this.emit('decode', message);
-                        break;
-                    case WSJTMessage.MESSAGE_TYPES.CLEAR:
-                        this.emit('clear', message);
-                        break;
-                    case WSJTMessage.MESSAGE_TYPES.QSO_LOGGED:
-                        this.emit('qso_logged', message);
-                        break;
-                    case WSJTMessage.MESSAGE_TYPES.WSPR_DECODE:
-                        this.emit('wspr_decode', message);
-                        break;
-                    case WSJTMessage.MESSAGE_TYPES.LOGGED_ADIF:
-                        this.emit('logged_adif', message);
-                        break;
-                    default:
-                        // Unknown or unhandled message type
-                        if (this.logger) {
-                            this.logger.warn(`Unhandled WSJT-X message type: ${message.type}`);
-                        }
-                        break;
-                }
-            } catch (error) {
-                if (this.logger) {
-                    this.logger.error(`Failed to parse WSJT-X message: ${error.message}`);
-                } else {
-                    console.error(`Failed to parse WSJT-X message: ${error.message}`);
-                }
-            }
+            if (this.recorder) this.recorder.record('wsjt', 'in', msg, true);
+            this.handleMessage(msg, rinfo);
         });
 
         this.socket.on('listening', () => {
@@ -101,6 +65,140 @@ class WSJTClient extends EventEmitter {
         this.socket.bind(this.port, this.address);
     }
 
+    /**
+     * Parses a WSJT-X datagram and emits the matching event.
+     * @param {Buffer} msg - The raw datagram.
+     * @param {object} rinfo - Sender address info ({ address, port }).
+     */
+    handleMessage(msg, rinfo) {
+        try {
+            const message = WSJTMessage.parse(msg);
+            if (this.logger) {
+                this.logger.debug(`Received WSJT-X message from ${rinfo.address}:${rinfo.port}`);
+                this.logger.debug(`Message Type: ${message.type}, ID: ${message.id}`);
+            }
+
+            // Emit an event based on message type
+            switch (message.type) {
+                case WSJTMessage.MESSAGE_TYPES.HEARTBEAT:
+                    this.emit('heartbeat', message);
+                    break;
+                case WSJTMessage.MESSAGE_TYPES.STATUS:
+                    this.instances.set(message.id, rinfo);
+                    this.emit('status', message);
+                    break;
+                case WSJTMessage.MESSAGE_TYPES.DECODE:
+                    this.rememberCQ(message, rinfo);
+                    this.emit('decode', message);
+                    break;
+                case WSJTMessage.MESSAGE_TYPES.CLEAR:
+                    this.emit('clear', message);
+                    break;
+                case WSJTMessage.MESSAGE_TYPES.QSO_LOGGED:
+                    this.emit('qso_logged', message);
+                    break;
+                case WSJTMessage.MESSAGE_TYPES.WSPR_DECODE:
+                    this.emit('wspr_decode', message);
+                    break;
+                case WSJTMessage.MESSAGE_TYPES.LOGGED_ADIF:
+                    this.emit('logged_adif', message);
+                    break;
+                default:
+                    // Unknown or unhandled message type
+                    if (this.logger) {
+                        this.logger.warn(`Unhandled WSJT-X message type: ${message.type}`);
+                    }
+                    break;
+            }
+        } catch (error) {
+            if (this.logger) {
+                this.logger.error(`Failed to parse WSJT-X message: ${error.message}`);
+            } else {
+                console.error(`Failed to parse WSJT-X message: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Remembers CQ and QRZ decodes so a spot click can answer them later.
+     * @param {WSJTMessage} decode - A parsed Decode message.
+     * @param {object} rinfo - Address of the WSJT-X instance that sent it.
+     */
+    rememberCQ(decode, rinfo) {
+        const words = (decode.messageText || '').trim().toUpperCase().split(/\s+/);
+        if (words[0] !== 'CQ' && words[0] !== 'QRZ') return;
+
+        // The caller is the first word that looks like a callsign (letters and digits, not a grid square)
+        const caller = words
+            .slice(1)
+            .map((word) => word.replace(/[<>]/g, ''))
+            .find((word) => /[A-Z]/.test(word) && /[0-9]/.test(word) && !/^[A-R]{2}[0-9]{2}$/.test(word));
+        if (!caller) return;
+
+        const now = Date.now();
+        this.recentCQs.set(caller, { decode, rinfo, receivedAt: now });
+
+        for (const [callsign, entry] of this.recentCQs) {
+            if (now - entry.receivedAt > CQ_MEMORY_MS) this.recentCQs.delete(callsign);
+        }
+    }
+
+    /**
+     * Answers the latest CQ or QRZ from a callsign, as if the operator double-clicked it in WSJT-X.
+     * @param {string} callsign - The callsign to answer.
+     * @returns {Promise<object>} - { success: boolean, error: string|null }
+     */
+    replyToCallsign(callsign) {
+        return new Promise((resolve) => {
+            const entry = this.recentCQs.get((callsign || '').toUpperCase());
+            if (!entry || Date.now() - entry.receivedAt > CQ_MEMORY_MS) {
+                resolve({ success: false, error: `No recent CQ from ${callsign} decoded by WSJT-X.` });
+                return;
+            }
+            if (!this.socket) {
+                resolve({ success: false, error: 'WSJT-X listener is not running.' });
+                return;
+            }
+
+            const reply = WSJTMessage.encodeReply(entry.decode.id, entry.decode);
+            if (this.recorder) this.recorder.record('wsjt', 'out', reply, true);
+            this.socket.send(reply, entry.rinfo.port, entry.rinfo.address, (err) => {
+                if (err) {
+                    resolve({ success: false, error: `Could not send Reply to WSJT-X: ${err.message}` });
+                } else {
+                    if (this.logger) this.logger.info(`Sent WSJT-X Reply to "${entry.decode.messageText}"`);
+                    resolve({ success: true, error: null });
+                }
+            });
+        });
+    }
+
+    /**
+     * Stops a WSJT-X instance from transmitting, as if the operator pressed Halt Tx.
+     * @param {string} id - The WSJT-X instance id (from its status messages).
+     * @returns {Promise<object>} - { success: boolean, error: string|null }
+     */
+    haltTx(id) {
+        return new Promise((resolve) => {
+            const rinfo = this.instances.get(id);
+            if (!rinfo || !this.socket) {
+                resolve({ success: false, error: `WSJT-X instance ${id} is not known.` });
+                return;
+            }
+
+            const halt = WSJTMessage.encodeHaltTx(id);
+            if (this.recorder) this.recorder.record('wsjt', 'out', halt, true);
+            this.socket.send(halt, rinfo.port, rinfo.address, (err) => {
+                if (err) {
+                    resolve({ success: false, error: `Could not send Halt Tx to WSJT-X: ${err.message}` });
+                } else {
+                    if (this.logger) this.logger.info(`Sent WSJT-X Halt Tx to ${id}`);
+                    resolve({ success: true, error: null });
+                }
+            });
+        });
+    }
+
     /**
      * Stops listening for UDP messages and closes the socket.
      */
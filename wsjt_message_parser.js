@@ -8,7 +8,9 @@ const MESSAGE_TYPES = {
     STATUS: 1,
     DECODE: 2,
     CLEAR: 3,
+    REPLY: 4,
     QSO_LOGGED: 5,
+    HALT_TX: 8,
     WSPR_DECODE: 10,
     LOGGED_ADIF: 12,
     // Other message types can be added here if necessary
@@ -164,6 +166,7 @@ class WSJTMessage {
                 message.isNew = readBoolean(buffer, offset);
                 offset += 1;
 
+                message.timeMilliseconds = buffer.readUInt32BE(offset); // Kept for Reply messages
                 const timeResult = readQTime(buffer, offset);
                 message.time = timeResult.value;
                 offset = timeResult.offset;
@@ -328,6 +331,55 @@ class WSJTMessage {
 
         return message;
     }
+
+    /**
+     * Builds a Reply message, which makes WSJT-X act as if the operator
+     * double-clicked the given decode. WSJT-X only accepts replies to CQ and QRZ decodes.
+     * @param {string} id - The WSJT-X instance id (from the decode message).
+     * @param {WSJTMessage} decode - A parsed Decode message.
+     * @param {number} [modifiers=0] - Keyboard modifiers (e.g. 0x02 Shift, 0x04 Ctrl).
+     * @returns {Buffer} - The encoded datagram.
+     */
+    static encodeReply(id, decode, modifiers = 0) {
+        const header = Buffer.alloc(12);
+        header.writeUInt32BE(MAGIC_NUMBER, 0);
+        header.writeUInt32BE(SCHEMA_VERSION, 4);
+        header.writeUInt32BE(MESSAGE_TYPES.REPLY, 8);
+
+        const fields = Buffer.alloc(4 + 4 + 8 + 4);
+        fields.writeUInt32BE(decode.timeMilliseconds >>> 0, 0);
+        fields.writeInt32BE(decode.snr, 4);
+        fields.writeDoubleBE(decode.deltaTime, 8);
+        fields.writeUInt32BE(decode.deltaFrequency, 16);
+
+        const flags = Buffer.alloc(2);
+        flags.writeUInt8(decode.lowConfidence ? 1 : 0, 0);
+        flags.writeUInt8(modifiers, 1);
+
+        return Buffer.concat([
+            header,
+            writeQByteArray(id),
+            fields,
+            writeQByteArray(decode.mode),
+            writeQByteArray(decode.messageText),
+            flags,
+        ]);
+    }
+
+    /**
+     * Builds a Halt Tx message, which stops WSJT-X transmitting.
+     * @param {string} id - The WSJT-X instance id (from its status messages).
+     * @param {boolean} [autoTxOnly=false] - Only turn off Enable Tx instead of stopping the current transmission.
+     * @returns {Buffer} - The encoded datagram.
+     */
+    static encodeHaltTx(id, autoTxOnly = false) {
+        const header = Buffer.alloc(12);
+        header.writeUInt32BE(MAGIC_NUMBER, 0);
+        header.writeUInt32BE(SCHEMA_VERSION, 4);
+        header.writeUInt32BE(MESSAGE_TYPES.HALT_TX, 8);
+
+        return Buffer.concat([header, writeQByteArray(id), Buffer.from([autoTxOnly ? 1 : 0])]);
+    }
 }
 
 // Helper functions to read data types
@@ -353,6 +405,23 @@ function readQByteArray(buffer, offset) {
     }
 }
 
+/**
+ * Encodes a utf8 string as a QByteArray.
+ * @param {string|null} value - The string to encode; null encodes as a null QByteArray.
+ * @returns {Buffer} - The length-prefixed bytes.
+ */
+function writeQByteArray(value) {
+    if (value === null || value === undefined) {
+        const nullLength = Buffer.alloc(4);
+        nullLength.writeUInt32BE(0xffffffff, 0);
+        return nullLength;
+    }
+    const bytes = Buffer.from(value, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(bytes.length, 0);
+    return Buffer.concat([length, bytes]);
+}
+
 /**
  * Reads a boolean value from the buffer.
  * @param {Buffer} buffer - The buffer to read from.